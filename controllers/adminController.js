@@ -0,0 +1,288 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Meeting = require('../models/Meeting');
+const MeetingInvitation = require('../models/MeetingInvitation');
+const asyncHandler = require('../utils/asyncHandler');
+const { rebuildUserBookings } = require('../utils/bookingProjection');
+const { revokeUserSessions } = require('../utils/sessions');
+const { recordAudit } = require('../utils/audit');
+const { ROLES } = require('../utils/permissions');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const USER_STATUSES = ['active', 'deactivated'];
+
+// Helper: find a user by the id in the route, or null when there's no such user
+const findUser = id => (mongoose.Types.ObjectId.isValid(id) ? User.findById(id) : null);
+
+// Helper: match a search term literally rather than as a pattern
+const escapeRegex = value => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper: record an admin's change to an account
+const auditAccount = (user, actor, before, after) => recordAudit({
+  entityType: 'User',
+  entityId: user._id,
+  action: 'update',
+  actor,
+  before,
+  after,
+  metadata: { via: 'admin' }
+});
+
+// @desc    List and search users
+// @route   GET /api/admin/users
+// @access  Private (admin, support)
+exports.getUsers = asyncHandler(async (req, res) => {
+  const { search, role, status } = req.query;
+  const filter = {};
+
+  if (role) {
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `role must be one of ${ROLES.join(', ')}`
+      });
+    }
+    filter.role = role === 'user' ? { $in: ['user', null] } : role;
+  }
+
+  if (status) {
+    if (!USER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of ${USER_STATUSES.join(', ')}`
+      });
+    }
+    filter.isActive = status === 'active' ? { $ne: false } : false;
+  }
+
+  // Search by name, username or email
+  if (search) {
+    const searchRegex = new RegExp(escapeRegex(search), 'i');
+    filter.$or = [
+      { name: searchRegex },
+      { username: searchRegex },
+      { email: searchRegex }
+    ];
+  }
+
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const startIndex = (page - 1) * limit;
+
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      .select('name username email role isActive deactivatedAt createdAt')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(startIndex)
+      .limit(limit),
+    User.countDocuments(filter)
+  ]);
+
+  const pagination = {};
+
+  if (startIndex + limit < total) {
+    pagination.next = { page: page + 1, limit };
+  }
+
+  if (startIndex > 0) {
+    pagination.prev = { page: page - 1, limit };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: users.length,
+    total,
+    pagination,
+    data: users
+  });
+});
+
+// @desc    Get any user
+// @route   GET /api/admin/users/:id
+// @access  Private (admin, support)
+exports.getUser = asyncHandler(async (req, res) => {
+  const user = await findUser(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Deactivate a user: they're signed out, can't sign in and can't be booked
+// @route   PUT /api/admin/users/:id/deactivate
+// @access  Private (admin)
+exports.deactivateUser = asyncHandler(async (req, res) => {
+  const user = await findUser(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  if (user._id.equals(req.user._id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot deactivate your own account'
+    });
+  }
+
+  if (!user.isActive) {
+    return res.status(400).json({
+      success: false,
+      message: 'User is already deactivated'
+    });
+  }
+
+  user.isActive = false;
+  user.deactivatedAt = new Date();
+  // Invalidate every token the user holds
+  user.tokenVersion += 1;
+  await user.save();
+
+  await revokeUserSessions(user._id, 'deactivated');
+  await auditAccount(user, req.user, { isActive: true }, { isActive: false });
+
+  console.log(`User ${user._id} deactivated by ${req.user._id}`);
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Reactivate a deactivated user
+// @route   PUT /api/admin/users/:id/reactivate
+// @access  Private (admin)
+exports.reactivateUser = asyncHandler(async (req, res) => {
+  const user = await findUser(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  if (user.isActive) {
+    return res.status(400).json({
+      success: false,
+      message: 'User is already active'
+    });
+  }
+
+  user.isActive = true;
+  user.deactivatedAt = undefined;
+  await user.save();
+
+  await auditAccount(user, req.user, { isActive: false }, { isActive: true });
+
+  console.log(`User ${user._id} reactivated by ${req.user._id}`);
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Change a user's role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private (admin)
+exports.updateUserRole = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({
+      success: false,
+      message: `role must be one of ${ROLES.join(', ')}`
+    });
+  }
+
+  const user = await findUser(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  // Keeps at least one admin around
+  if (user._id.equals(req.user._id) && role !== 'admin') {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot remove your own admin role'
+    });
+  }
+
+  const previousRole = user.role;
+  user.role = role;
+  await user.save();
+
+  await auditAccount(user, req.user, { role: previousRole }, { role });
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Rebuild a user's booking dashboard from their meetings
+// @route   POST /api/admin/users/:id/rebuild-bookings
+// @access  Private (admin, support)
+exports.rebuildUserBookings = asyncHandler(async (req, res) => {
+  const user = await findUser(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const booking = await rebuildUserBookings(user._id);
+
+  console.log(`Booking dashboard of user ${user._id} rebuilt by ${req.user._id}`);
+
+  res.status(200).json({
+    success: true,
+    data: booking
+  });
+});
+
+// @desc    Get any meeting, with its host and invitations
+// @route   GET /api/admin/meetings/:id
+// @access  Private (admin, support)
+exports.getMeeting = asyncHandler(async (req, res) => {
+  const meeting = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Meeting.findById(req.params.id).populate('hostId', 'name username email')
+    : null;
+
+  if (!meeting) {
+    return res.status(404).json({
+      success: false,
+      message: 'Meeting not found'
+    });
+  }
+
+  const invitations = await MeetingInvitation.find({ meetingId: meeting._id }).sort({ createdAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...meeting.toObject(),
+      invitations
+    }
+  });
+});
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('../utils/asyncHandler');
+const { findAuditLogs } = require('../utils/audit');
+
+const ENTITY_TYPES = ['Meeting', 'MeetingInvitation', 'User'];
+const ID_FILTERS = ['entityId', 'meetingId', 'actorId'];
+
+// @desc    Search the audit log
+// @route   GET /api/audit
+// @access  Private (admin)
+exports.searchAuditLogs = asyncHandler(async (req, res) => {
+  const { entityType, action, path, actorEmail, from, to } = req.query;
+  const filter = {};
+
+  if (entityType) {
+    if (!ENTITY_TYPES.includes(entityType)) {
+      return res.status(400).json({
+        success: false,
+        message: `entityType must be one of ${ENTITY_TYPES.join(', ')}`
+      });
+    }
+    filter.entityType = entityType;
+  }
+
+  for (const field of ID_FILTERS) {
+    if (!req.query[field]) continue;
+
+    if (!mongoose.Types.ObjectId.isValid(req.query[field])) {
+      return res.status(400).json({
+        success: false,
+        message: `${field} is not a valid id`
+      });
+    }
+    filter[field] = req.query[field];
+  }
+
+  if (action) {
+    filter.action = action;
+  }
+
+  // Entries that changed a field, e.g. path=startTime
+  if (path) {
+    filter['changes.path'] = path;
+  }
+
+  if (actorEmail) {
+    filter.actorEmail = actorEmail.toLowerCase();
+  }
+
+  if (from || to) {
+    const range = {};
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+
+    if (fromDate) range.$gte = fromDate;
+    if (toDate) range.$lte = toDate;
+    filter.createdAt = range;
+  }
+
+  const { entries, total, pagination } = await findAuditLogs(filter, {
+    page: req.query.page,
+    limit: req.query.limit
+  });
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    total,
+    pagination,
+    data: entries
+  });
+});
@@ -1,6 +1,20 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const asyncHandler = require('../utils/asyncHandler');
 const Booking = require('../models/Booking');
+const { linkInvitationsToUser } = require('../utils/invitations');
+const { rebuildUserBookings } = require('../utils/bookingProjection');
+const { limitResetRequests, issuePasswordResetToken, consumePasswordResetToken } = require('../utils/passwordReset');
+const { notifyPasswordReset } = require('../utils/notifications');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  findActiveSessions,
+  summarizeSession
+} = require('../utils/sessions');
+const Session = require('../models/Session');
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -32,6 +46,7 @@ exports.register = asyncHandler(async (req, res) => {
     userId: user._id,
     upcomingMeetings: [],
     pendingMeetings: [],
+    waitlistedMeetings: [],
     canceledMeetings: [],
     pastMeetings: []
   });
@@ -54,7 +69,12 @@ exports.register = asyncHandler(async (req, res) => {
   user.availability = defaultAvailability;
   await user.save();
 
-  sendTokenResponse(user, 201, res);
+  // Pick up invitations sent to this email before the account existed
+  if (await linkInvitationsToUser(user) > 0) {
+    await rebuildUserBookings(user._id);
+  }
+
+  await sendTokenResponse(user, 201, req, res);
 });
 
 // @desc    Login user
@@ -91,7 +111,14 @@ exports.login = asyncHandler(async (req, res) => {
     });
   }
 
-  sendTokenResponse(user, 200, res);
+  if (!user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'This account has been deactivated'
+    });
+  }
+
+  await sendTokenResponse(user, 200, req, res);
 });
 
 // @desc    Get current logged in user
@@ -116,8 +143,10 @@ exports.updateDetails = asyncHandler(async (req, res) => {
     email: req.body.email
   };
 
+  const emailChanged = Boolean(req.body.email && req.body.email !== user.email);
+
   // If email is being changed, increment token version
-  if (req.body.email && req.body.email !== user.email) {
+  if (emailChanged) {
     user.tokenVersion += 1;
     await user.save();
   }
@@ -127,10 +156,19 @@ exports.updateDetails = asyncHandler(async (req, res) => {
     runValidators: true
   });
 
+  // Changing the email signs out every session, so this device starts a new one
+  let tokens;
+  if (emailChanged) {
+    await revokeUserSessions(user._id, 'signed-out-everywhere');
+    tokens = await startSession(user, req);
+  } else {
+    tokens = { token: user.getSignedJwtToken(req.sessionId) };
+  }
+
   res.status(200).json({
     success: true,
     data: updatedUser,
-    token: user.getSignedJwtToken() // Send new token with updated version
+    ...tokens
   });
 });
 
@@ -152,37 +190,205 @@ exports.updatePassword = asyncHandler(async (req, res) => {
   // tokenVersion will be automatically incremented in the pre-save hook
   await user.save();
 
-  sendTokenResponse(user, 200, res);
+  // Sign out every session; this device starts a new one
+  await revokeUserSessions(user._id, 'password-changed');
+
+  await sendTokenResponse(user, 200, req, res);
 });
 
-// @desc    Logout user / clear cookie
+// @desc    Email a link to reset a forgotten password
+// @route   POST /api/auth/forgotpassword
+// @access  Public
+exports.forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (!email || typeof email !== 'string') {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide an email'
+    });
+  }
+
+  const { allowed, retryAfter } = limitResetRequests(email);
+
+  if (!allowed) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      success: false,
+      message: 'Too many reset requests for this email, please try again later'
+    });
+  }
+
+  // The answer is the same whether or not the email has an account
+  const user = await User.findOne({ email: email.trim().toLowerCase() });
+
+  if (user && user.isActive) {
+    const { token, expiresInMinutes } = await issuePasswordResetToken(user);
+    notifyPasswordReset(user, token, expiresInMinutes);
+    console.log(`Password reset requested for user ${user._id}`);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'If an account exists for that email, a link to reset the password has been sent to it'
+  });
+});
+
+// @desc    Reset password with an emailed reset token
+// @route   PUT /api/auth/resetpassword/:token
+// @access  Public (reset token)
+exports.resetPassword = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+
+  if (!password || typeof password !== 'string' || password.length < 6) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password must be at least 6 characters long'
+    });
+  }
+
+  const user = await consumePasswordResetToken(req.params.token);
+
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: 'This reset link is invalid or has expired'
+    });
+  }
+
+  user.password = password;
+  // tokenVersion is incremented in the pre-save hook
+  await user.save();
+
+  // Sign out every session; this device starts a new one
+  await revokeUserSessions(user._id, 'password-changed');
+
+  console.log(`Password reset for user ${user._id}`);
+
+  await sendTokenResponse(user, 200, req, res);
+});
+
+// @desc    Get a new access token with a refresh token (which is rotated)
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token)
+exports.refreshToken = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a refresh token'
+    });
+  }
+
+  const result = await rotateSession(refreshToken, req);
+
+  if (result.error) {
+    return res.status(result.statusCode).json({
+      success: false,
+      message: result.error
+    });
+  }
+
+  sendTokens(result.user, { token: result.user.getSignedJwtToken(result.session._id), refreshToken: result.refreshToken }, 200, res);
+});
+
+// @desc    List the devices the user is signed in on
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = asyncHandler(async (req, res) => {
+  const sessions = await findActiveSessions(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map(session => summarizeSession(session, req.sessionId))
+  });
+});
+
+// @desc    Sign out one device
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = asyncHandler(async (req, res) => {
+  const session = mongoose.isValidObjectId(req.params.id)
+    ? await Session.findOne({ _id: req.params.id, userId: req.user._id, revokedAt: null })
+    : null;
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found'
+    });
+  }
+
+  await revokeSession(session._id, 'revoked');
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Logout user from this device
 // @route   POST /api/auth/logout
 // @access  Private
 exports.logout = asyncHandler(async (req, res) => {
+  if (req.sessionId) {
+    await revokeSession(req.sessionId, 'logout');
+  } else {
+    // Tokens from before sessions existed can only be invalidated all at once
+    const user = await User.findById(req.user.id);
+    user.tokenVersion += 1;
+    await user.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Logout user from every device
+// @route   POST /api/auth/logout-all
+// @access  Private
+exports.logoutAll = asyncHandler(async (req, res) => {
   // Increment token version to invalidate existing tokens
   const user = await User.findById(req.user.id);
   user.tokenVersion += 1;
   await user.save();
 
+  await revokeUserSessions(user._id, 'signed-out-everywhere');
+
   res.status(200).json({
     success: true,
     data: {}
   });
 });
 
-// Helper function to get token from model, create cookie and send response
-const sendTokenResponse = (user, statusCode, res) => {
-  // Create token
-  const token = user.getSignedJwtToken();
+// Helper: start a session for the requesting device and sign its first access token
+const startSession = async (user, req) => {
+  const { session, refreshToken } = await createSession(user, req);
+
+  return { token: user.getSignedJwtToken(session._id), refreshToken };
+};
+
+// Helper function to start a session and send its tokens
+const sendTokenResponse = async (user, statusCode, req, res) => {
+  sendTokens(user, await startSession(user, req), statusCode, res);
+};
 
+// Helper: send tokens along with who they belong to
+const sendTokens = (user, { token, refreshToken }, statusCode, res) => {
   res.status(statusCode).json({
     success: true,
     token,
+    refreshToken,
     user: {
       id: user._id,
       name: user.name,
       email: user.email,
-      username: user.username
+      username: user.username,
+      role: user.role
     }
   });
 }; 
\ No newline at end of file
@@ -1,8 +1,11 @@
 const Booking = require('../models/Booking');
 const Meeting = require('../models/Meeting');
 const MeetingInvitation = require('../models/MeetingInvitation');
-const User = require('../models/User');
 const asyncHandler = require('../utils/asyncHandler');
+const { rebuildUserBookings } = require('../utils/bookingProjection');
+const { countTakenSeats, getWaitlistPosition } = require('../utils/waitlist');
+const { isMeetingHost, isMeetingParticipant } = require('../utils/permissions');
+const { resolveViewerTimezone, localizeMeeting } = require('../utils/timezone');
 
 // @desc    Get user's bookings dashboard
 // @route   GET /api/bookings
@@ -16,6 +19,7 @@ exports.getBookings = asyncHandler(async (req, res) => {
       userId: req.user.id,
       upcomingMeetings: [],
       pendingMeetings: [],
+      waitlistedMeetings: [],
       canceledMeetings: [],
       pastMeetings: []
     });
@@ -76,11 +80,14 @@ exports.getUpcomingMeetings = asyncHandler(async (req, res) => {
     };
   }
   
+  // Render times in the viewer's timezone
+  const viewerTimezone = resolveViewerTimezone(req.query.viewerTimezone, req.user);
+  
   res.status(200).json({
     success: true,
     count: paginatedMeetings.length,
     pagination,
-    data: paginatedMeetings
+    data: paginatedMeetings.map(item => localizeMeeting(item.toObject(), viewerTimezone))
   });
 });
 
@@ -133,11 +140,74 @@ exports.getPendingMeetings = asyncHandler(async (req, res) => {
     };
   }
   
+  // Render times in the viewer's timezone
+  const viewerTimezone = resolveViewerTimezone(req.query.viewerTimezone, req.user);
+  
   res.status(200).json({
     success: true,
     count: paginatedMeetings.length,
     pagination,
-    data: paginatedMeetings
+    data: paginatedMeetings.map(item => localizeMeeting(item.toObject(), viewerTimezone))
+  });
+});
+
+// @desc    Get user's waitlisted meetings (with search and pagination)
+// @route   GET /api/bookings/waitlisted
+// @access  Private
+exports.getWaitlistedMeetings = asyncHandler(async (req, res) => {
+  const booking = await Booking.findOne({ userId: req.user.id });
+  
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      message: 'Booking dashboard not found'
+    });
+  }
+  
+  // Apply search if provided
+  let waitlistedMeetings = booking.waitlistedMeetings;
+  
+  if (req.query.search) {
+    const searchRegex = new RegExp(req.query.search, 'i');
+    waitlistedMeetings = waitlistedMeetings.filter(m => 
+      searchRegex.test(m.title)
+    );
+  }
+  
+  // Apply pagination
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 10;
+  const startIndex = (page - 1) * limit;
+  const endIndex = page * limit;
+  const total = waitlistedMeetings.length;
+  
+  const paginatedMeetings = waitlistedMeetings.slice(startIndex, endIndex);
+  
+  // Pagination metadata
+  const pagination = {};
+  
+  if (endIndex < total) {
+    pagination.next = {
+      page: page + 1,
+      limit
+    };
+  }
+  
+  if (startIndex > 0) {
+    pagination.prev = {
+      page: page - 1,
+      limit
+    };
+  }
+  
+  // Render times in the viewer's timezone
+  const viewerTimezone = resolveViewerTimezone(req.query.viewerTimezone, req.user);
+  
+  res.status(200).json({
+    success: true,
+    count: paginatedMeetings.length,
+    pagination,
+    data: paginatedMeetings.map(item => localizeMeeting(item.toObject(), viewerTimezone))
   });
 });
 
@@ -190,11 +260,14 @@ exports.getCanceledMeetings = asyncHandler(async (req, res) => {
     };
   }
   
+  // Render times in the viewer's timezone
+  const viewerTimezone = resolveViewerTimezone(req.query.viewerTimezone, req.user);
+  
   res.status(200).json({
     success: true,
     count: paginatedMeetings.length,
     pagination,
-    data: paginatedMeetings
+    data: paginatedMeetings.map(item => localizeMeeting(item.toObject(), viewerTimezone))
   });
 });
 
@@ -247,11 +320,14 @@ exports.getPastMeetings = asyncHandler(async (req, res) => {
     };
   }
   
+  // Render times in the viewer's timezone
+  const viewerTimezone = resolveViewerTimezone(req.query.viewerTimezone, req.user);
+  
   res.status(200).json({
     success: true,
     count: paginatedMeetings.length,
     pagination,
-    data: paginatedMeetings
+    data: paginatedMeetings.map(item => localizeMeeting(item.toObject(), viewerTimezone))
   });
 });
 
@@ -269,10 +345,8 @@ exports.getMeetingParticipants = asyncHandler(async (req, res) => {
   }
   
   // Check if user is authorized to view participants
-  const isHost = meeting.hostId.toString() === req.user.id;
-  const isParticipant = meeting.participants.some(
-    p => p.userId && p.userId.toString() === req.user.id
-  );
+  const isHost = isMeetingHost(meeting, req.user);
+  const isParticipant = isMeetingParticipant(meeting, req.user);
   
   if (!isHost && !isParticipant) {
     return res.status(403).json({
@@ -288,7 +362,8 @@ exports.getMeetingParticipants = asyncHandler(async (req, res) => {
   const participantsInfo = meeting.participants.map(p => ({
     userId: p.userId,
     email: p.email,
-    status: p.status
+    status: p.status,
+    waitlistPosition: getWaitlistPosition(meeting, p) || undefined
   }));
   
   // Add pending invitations
@@ -308,6 +383,8 @@ exports.getMeetingParticipants = asyncHandler(async (req, res) => {
   res.status(200).json({
     success: true,
     count: participantsInfo.length,
+    capacity: meeting.capacity || null,
+    seatsTaken: countTakenSeats(meeting),
     data: participantsInfo
   });
 });
@@ -316,144 +393,12 @@ exports.getMeetingParticipants = asyncHandler(async (req, res) => {
 // @route   PUT /api/bookings/refresh
 // @access  Private
 exports.refreshBookings = asyncHandler(async (req, res) => {
-  // Get all meetings where user is a participant
-  const now = new Date();
-  const today = now.toISOString().split('T')[0];
-  const currentTime = now.toTimeString().slice(0, 5); // HH:MM format
-  
-  console.log(`Refreshing bookings for user ${req.user.id}. Current time: ${now.toISOString()}`);
-  
-  // Get all meetings involving the user
-  const allMeetings = await Meeting.find({
-    $or: [
-      { hostId: req.user.id },
-      { 'participants.userId': req.user.id }
-    ]
-  });
-  
-  console.log(`Found ${allMeetings.length} meetings for user ${req.user.id}`);
-  
-  // Get all pending invitations for the user
-  const pendingInvitations = await MeetingInvitation.find({
-    $or: [
-      { userId: req.user.id },
-      { email: req.user.email }
-    ],
-    status: 'pending'
-  }).populate('meetingId');
-  
-  // Initialize booking categories
-  const upcomingMeetings = [];
-  const pendingMeetings = [];
-  const canceledMeetings = [];
-  const pastMeetings = [];
-  
-  // Process all meetings
-  for (const meeting of allMeetings) {
-    // Find the participant entry for this user
-    const participantEntry = meeting.participants.find(
-      p => p.userId && p.userId.toString() === req.user.id
-    );
-    
-    // Skip if user is not a participant
-    if (!participantEntry && meeting.hostId.toString() !== req.user.id) {
-      console.log(`No participant record found for user ${req.user.id} in meeting ${meeting._id}`);
-      continue;
-    }
-    
-    // Determine if meeting is in the past
-    // Create a proper date object for comparison
-    const [year, month, day] = meeting.date.split('-').map(Number);
-    const [hours, minutes] = meeting.endTime.split(':').map(Number);
-    
-    // Create a proper date object for the meeting end time (months are 0-indexed in JS Date)
-    const endDateTime = new Date(year, month - 1, day, hours, minutes);
-    const isPast = endDateTime < now;
-    
-    console.log(`Meeting ${meeting._id}: ${meeting.title} - Date: ${meeting.date}, End Time: ${meeting.endTime}, isPast: ${isPast}`);
-    
-    // Create the meeting item
-    const meetingItem = {
-      meetingId: meeting._id,
-      title: meeting.title,
-      date: meeting.date,
-      startTime: meeting.startTime,
-      endTime: meeting.endTime,
-      status: participantEntry ? participantEntry.status : 'accepted', // Host is always accepted
-      hostId: meeting.hostId,
-      isActive: meeting.isActive
-    };
-    
-    // Add to appropriate category
-    if (isPast) {
-      console.log(`Adding meeting ${meeting._id} to past meetings`);
-      pastMeetings.push(meetingItem);
-    } else if (meeting.status === 'canceled') {
-      console.log(`Adding meeting ${meeting._id} to canceled meetings`);
-      canceledMeetings.push(meetingItem);
-    } else if (participantEntry && participantEntry.status === 'accepted' || meeting.hostId.toString() === req.user.id) {
-      console.log(`Adding meeting ${meeting._id} to upcoming meetings`);
-      upcomingMeetings.push(meetingItem);
-    }
-  }
+  console.log(`Rebuilding bookings for user ${req.user.id}`);
   
-  // Process pending invitations
-  for (const invitation of pendingInvitations) {
-    const meeting = invitation.meetingId;
-    
-    if (meeting) {
-      // Create a proper date object for comparison
-      const [year, month, day] = meeting.date.split('-').map(Number);
-      const [hours, minutes] = meeting.endTime.split(':').map(Number);
-      
-      // Create a proper date object for the meeting end time
-      const endDateTime = new Date(year, month - 1, day, hours, minutes);
-      const isPast = endDateTime < now;
-      
-      if (!isPast) {
-        console.log(`Adding pending invitation for meeting ${meeting._id}`);
-        pendingMeetings.push({
-          meetingId: meeting._id,
-          title: meeting.title,
-          date: meeting.date,
-          startTime: meeting.startTime,
-          endTime: meeting.endTime,
-          status: 'pending',
-          hostId: meeting.hostId,
-          isActive: meeting.isActive,
-          invitationId: invitation._id
-        });
-      } else {
-        console.log(`Skipping past pending invitation for meeting ${meeting._id}`);
-      }
-    }
-  }
-  
-  // Find or create the user's booking dashboard
-  let booking = await Booking.findOne({ userId: req.user.id });
-  
-  if (!booking) {
-    booking = new Booking({
-      userId: req.user.id,
-      upcomingMeetings: [],
-      pendingMeetings: [],
-      canceledMeetings: [],
-      pastMeetings: []
-    });
-  }
-  
-  // Update booking collections
-  booking.upcomingMeetings = upcomingMeetings;
-  booking.pendingMeetings = pendingMeetings;
-  booking.canceledMeetings = canceledMeetings;
-  booking.pastMeetings = pastMeetings;
-  
-  console.log(`Updated bookings for user ${req.user.id}: Upcoming=${upcomingMeetings.length}, Pending=${pendingMeetings.length}, Canceled=${canceledMeetings.length}, Past=${pastMeetings.length}`);
-  
-  await booking.save();
+  const booking = await rebuildUserBookings(req.user.id);
   
   res.status(200).json({
     success: true,
     data: booking
   });
-}); 
\ No newline at end of file
+});
@@ -0,0 +1,45 @@
+const Booking = require('../models/Booking');
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const { buildCalendar } = require('../utils/ics');
+
+// @desc    Subscribable iCalendar feed of a user's upcoming and past meetings
+// @route   GET /api/calendar/feed/:token.ics
+// @access  Public (secret feed token)
+exports.getCalendarFeed = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  const user = token ? await User.findOne({ calendarFeedToken: token }) : null;
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'Calendar feed not found'
+    });
+  }
+
+  const booking = await Booking.findOne({ userId: user._id });
+
+  // Recurring series appear once per occurrence on the dashboard but once (with RRULE) in the feed
+  const meetingIds = booking
+    ? [...new Set(
+        [...booking.upcomingMeetings, ...booking.pastMeetings].map(item => item.meetingId.toString())
+      )]
+    : [];
+
+  const meetings = await Meeting.find({ _id: { $in: meetingIds } });
+  const hosts = await User.find({ _id: { $in: meetings.map(m => m.hostId) } });
+  const hostMap = {};
+  hosts.forEach(host => {
+    hostMap[host._id.toString()] = host;
+  });
+
+  const calendar = buildCalendar(
+    meetings.map(meeting => ({ meeting, host: hostMap[meeting.hostId.toString()] })),
+    { name: `${user.name}'s meetings` }
+  );
+
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.status(200).send(calendar);
+});
@@ -0,0 +1,316 @@
+const EventType = require('../models/EventType');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const asyncHandler = require('../utils/asyncHandler');
+const { EVENT_TYPE_FIELDS, generateUniqueSlug } = require('../utils/eventTypes');
+const { ownsSchedule } = require('../utils/availabilitySchedules');
+const { sameId, findTeamMember } = require('../utils/permissions');
+const { findMemberTeam, findManagedTeam } = require('../utils/teams');
+
+const ASSIGNMENTS = ['host', 'round-robin', 'collective'];
+
+// Helper: Find an event type the current user manages: their own, or one of a
+// team they own or administer
+async function findOwnEventType(req, res) {
+  const eventType = await EventType.findById(req.params.id);
+  const canManage = Boolean(eventType) && (
+    sameId(eventType.hostId, req.user) ||
+    Boolean(eventType.teamId && await findManagedTeam(eventType.teamId, req.user))
+  );
+
+  if (!canManage) {
+    res.status(404).json({
+      success: false,
+      message: 'Event type not found'
+    });
+    return null;
+  }
+
+  return eventType;
+}
+
+// Helper: Filter for the event types whose slug a new one can't share: the
+// host's, and for a team event type the team's
+function slugScope(hostId, teamId) {
+  return teamId ? { $or: [{ hostId }, { teamId }] } : { hostId };
+}
+
+// Helper: Copy the editable event type fields present in the request body
+function pickEventTypeFields(body) {
+  const picked = {};
+  EVENT_TYPE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      picked[field] = body[field];
+    }
+  });
+  return picked;
+}
+
+// Helper: Check select questions have something to choose from
+function validateQuestions(questions) {
+  if (questions === undefined) return null;
+
+  if (!Array.isArray(questions)) {
+    return 'Questions must be a list';
+  }
+
+  const selectWithoutOptions = questions.find(q =>
+    q && q.type === 'select' && (!Array.isArray(q.options) || q.options.length === 0)
+  );
+
+  return selectWithoutOptions
+    ? `Question "${selectWithoutOptions.label}" needs at least one option`
+    : null;
+}
+
+// Helper: Check who bookings are assigned to. Round-robin and collective
+// assignment are for team event types, and their hosts must be team members.
+function validateAssignment(fields, team) {
+  const { assignment, hosts } = fields;
+
+  if (assignment !== undefined && !ASSIGNMENTS.includes(assignment)) {
+    return `Assignment must be one of ${ASSIGNMENTS.join(', ')}`;
+  }
+
+  if (!team) {
+    return (assignment && assignment !== 'host') || (Array.isArray(hosts) && hosts.length > 0)
+      ? 'Round-robin and collective assignment are only for team event types'
+      : null;
+  }
+
+  if (hosts === undefined) return null;
+
+  if (!Array.isArray(hosts)) {
+    return 'Hosts must be a list';
+  }
+
+  if (hosts.some(host => !host || !findTeamMember(team, host.userId))) {
+    return 'Hosts must be members of the team';
+  }
+
+  const hostIds = hosts.map(host => String(host.userId));
+  return new Set(hostIds).size !== hostIds.length ? 'Each host can only be listed once' : null;
+}
+
+// @desc    Get the current user's event types, or with ?teamId= a team's
+// @route   GET /api/events
+// @route   GET /api/events/created
+// @access  Private
+exports.getEventTypes = asyncHandler(async (req, res) => {
+  const filter = { hostId: req.user.id };
+
+  if (req.query.teamId) {
+    const team = await findMemberTeam(req.query.teamId, req.user);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    filter.teamId = team._id;
+    delete filter.hostId;
+  }
+
+  if (req.query.active !== undefined) {
+    filter.isActive = req.query.active === 'true';
+  }
+
+  const eventTypes = await EventType.find(filter).sort({ createdAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: eventTypes.length,
+    data: eventTypes
+  });
+});
+
+// @desc    Create an event type. With a teamId it's a team event type, hosted
+//          by the current user and managed by the team's owner and admins.
+// @route   POST /api/events
+// @access  Private
+exports.createEventType = asyncHandler(async (req, res) => {
+  const fields = pickEventTypeFields(req.body);
+
+  let team = null;
+
+  if (req.body.teamId) {
+    team = await findManagedTeam(req.body.teamId, req.user);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found, or you are not one of its owners or admins'
+      });
+    }
+  }
+
+  const teamId = team ? team._id : null;
+
+  const questionsError = validateQuestions(fields.questions);
+  if (questionsError) {
+    return res.status(400).json({
+      success: false,
+      message: questionsError
+    });
+  }
+
+  const assignmentError = validateAssignment(fields, team);
+  if (assignmentError) {
+    return res.status(400).json({
+      success: false,
+      message: assignmentError
+    });
+  }
+
+  if (!ownsSchedule(req.user, fields.scheduleId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Availability schedule not found'
+    });
+  }
+
+  // A single duration may be given instead of a list of options
+  if (!fields.durations && req.body.duration) {
+    fields.durations = [parseInt(req.body.duration, 10)];
+  }
+
+  if (fields.slug) {
+    const taken = await EventType.exists({ ...slugScope(req.user._id, teamId), slug: String(fields.slug).toLowerCase() });
+    if (taken) {
+      return res.status(400).json({
+        success: false,
+        message: `${teamId ? 'You or the team' : 'You'} already have an event type at /${fields.slug}`
+      });
+    }
+  } else {
+    fields.slug = await generateUniqueSlug(req.user.id, fields.title, null, teamId);
+  }
+
+  const eventType = await EventType.create({
+    ...fields,
+    hostId: req.user.id,
+    teamId
+  });
+
+  console.log(`Event type ${eventType._id} (${eventType.slug}) created by user ${req.user.id}`);
+
+  res.status(201).json({
+    success: true,
+    data: eventType
+  });
+});
+
+// @desc    Get an event type
+// @route   GET /api/events/:id
+// @access  Private
+exports.getEventType = asyncHandler(async (req, res) => {
+  const eventType = await findOwnEventType(req, res);
+  if (!eventType) return;
+
+  res.status(200).json({
+    success: true,
+    data: eventType
+  });
+});
+
+// @desc    Update an event type. Meetings already booked keep the settings they were booked with.
+// @route   PUT /api/events/:id
+// @access  Private
+exports.updateEventType = asyncHandler(async (req, res) => {
+  const eventType = await findOwnEventType(req, res);
+  if (!eventType) return;
+
+  const fields = pickEventTypeFields(req.body);
+
+  const questionsError = validateQuestions(fields.questions);
+  if (questionsError) {
+    return res.status(400).json({
+      success: false,
+      message: questionsError
+    });
+  }
+
+  const team = eventType.teamId ? await Team.findById(eventType.teamId) : null;
+
+  const assignmentError = validateAssignment(fields, team);
+  if (assignmentError) {
+    return res.status(400).json({
+      success: false,
+      message: assignmentError
+    });
+  }
+
+  // A team event type can be handed to another member to host, from their
+  // default schedule unless one of theirs is given
+  let hostId = eventType.hostId;
+
+  if (req.body.hostId !== undefined && !sameId(req.body.hostId, eventType.hostId)) {
+    const member = team && findTeamMember(team, req.body.hostId);
+
+    if (!member) {
+      return res.status(400).json({
+        success: false,
+        message: 'The host must be a member of the team'
+      });
+    }
+
+    hostId = member.userId;
+    if (fields.scheduleId === undefined) {
+      fields.scheduleId = null;
+    }
+  }
+
+  // The schedule is the host's, who may not be the one editing a team event type.
+  // null goes back to the default schedule.
+  const host = sameId(hostId, req.user) ? req.user : await User.findById(hostId);
+
+  if (!host || !ownsSchedule(host, fields.scheduleId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Availability schedule not found'
+    });
+  }
+
+  // The slug must stay free among the (possibly new) host's event types
+  const slug = fields.slug ? String(fields.slug).toLowerCase() : eventType.slug;
+
+  if (slug !== eventType.slug || !sameId(hostId, eventType.hostId)) {
+    const taken = await EventType.exists({
+      ...slugScope(hostId, eventType.teamId),
+      slug,
+      _id: { $ne: eventType._id }
+    });
+
+    if (taken) {
+      return res.status(400).json({
+        success: false,
+        message: `${eventType.teamId ? 'The host or the team' : 'You'} already have an event type at /${slug}`
+      });
+    }
+  }
+
+  Object.assign(eventType, fields, { hostId });
+  await eventType.save();
+
+  res.status(200).json({
+    success: true,
+    data: eventType
+  });
+});
+
+// @desc    Delete an event type. Meetings booked from it are kept.
+// @route   DELETE /api/events/:id
+// @access  Private
+exports.deleteEventType = asyncHandler(async (req, res) => {
+  const eventType = await findOwnEventType(req, res);
+  if (!eventType) return;
+
+  await eventType.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -1,8 +1,74 @@
 const Meeting = require('../models/Meeting');
 const User = require('../models/User');
 const MeetingInvitation = require('../models/MeetingInvitation');
-const Booking = require('../models/Booking');
+const EventType = require('../models/EventType');
 const asyncHandler = require('../utils/asyncHandler');
+const {
+  checkTimeConflict,
+  checkSchedulingRules,
+  parseTimeToMinutes,
+  formatMinutes,
+  getDayOfWeek,
+  getDayAvailability,
+  findUserByIdOrEmail,
+  findFreeWindows,
+  suggestMeetingTimes
+} = require('../utils/scheduling');
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  zonedTimeToUtc,
+  utcToZonedTime,
+  addDays,
+  listDates,
+  resolveViewerTimezone,
+  localizeMeeting
+} = require('../utils/timezone');
+const {
+  isRecurring,
+  isOccurrenceDate,
+  countOccurrencesBefore,
+  findException,
+  expandOccurrences,
+  occurrenceDateFilter
+} = require('../utils/recurrence');
+const { validateMeetingTimes } = require('../utils/timeSlots');
+const { countTakenSeats, getWaitlistPosition } = require('../utils/waitlist');
+const { isMeetingHost, isMeetingParticipant } = require('../utils/permissions');
+const { findMemberTeam, canViewAvailability } = require('../utils/teams');
+
+// Longest date range the free-slot finder will scan
+const MAX_FREE_SLOT_RANGE_DAYS = 31;
+
+// How far ahead the occurrences of a moved series are checked for conflicts
+const SERIES_CHECK_DAYS = 90;
+
+// Fields the host can change on a meeting. Its status, participants, activation
+// and the occurrences of a series each change through their own endpoint.
+const MEETING_FIELDS = [
+  'title', 'description', 'date', 'startTime', 'endTime', 'duration', 'timezone',
+  'meetingLink', 'password', 'bannerSettings', 'capacity', 'teamId', 'scheduleId',
+  'location', 'bufferBefore', 'bufferAfter', 'reminderOffsets'
+];
+
+// Fields that can be changed on a single occurrence of a series
+const OCCURRENCE_FIELDS = ['date', 'startTime', 'endTime', 'title', 'description'];
+
+// Fields that can be changed on a whole series (or a split-off part of it)
+const SERIES_FIELDS = ['title', 'description', 'startTime', 'endTime', 'duration', 'meetingLink', 'recurrence', 'reminderOffsets'];
+const { buildCalendar, getIcsFilename } = require('../utils/ics');
+const {
+  notifyInvitations,
+  notifyRescheduled,
+  notifyCancelled
+} = require('../utils/notifications');
+const { applyInvitationResponse, fillOpenSeats } = require('../utils/invitations');
+const { publish } = require('../utils/meetingEvents');
+const { auditMeeting, auditInvitation, findAuditLogs } = require('../utils/audit');
+const { applyEventType } = require('../utils/eventTypes');
+const { resolveSchedule, getScheduleTimezone, ownsSchedule } = require('../utils/availabilitySchedules');
+const { INITIAL_STATUSES, getAvailableActions, transitionMeeting } = require('../utils/meetingLifecycle');
+const { IMPORT_MODES, planImport, commitImport, formatImportItem } = require('../utils/icsImport');
 
 // @desc    Create new meeting
 // @route   POST /api/meetings
@@ -10,12 +76,124 @@ const asyncHandler = require('../utils/asyncHandler');
 exports.createMeeting = asyncHandler(async (req, res) => {
   // Add user ID to request body
   req.body.hostId = req.user.id;
+  
+  // Times are wall-clock values in the meeting's timezone, defaulting to the host's
+  req.body.timezone = req.body.timezone || req.user.preferences?.timezone || DEFAULT_TIMEZONE;
+
+  // Times are stored as 24-hour "HH:MM". With an event type the end time
+  // follows from the duration, so only the start is taken.
+  const timeInput = req.body.eventTypeId
+    ? { date: req.body.date, startTime: req.body.startTime }
+    : req.body;
+  const { times, errors: timeErrors } = validateMeetingTimes(timeInput, {
+    required: req.body.eventTypeId ? ['date', 'startTime'] : ['date', 'startTime', 'endTime']
+  });
+  
+  if (timeErrors) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a valid date and times',
+      errors: timeErrors
+    });
+  }
+  
+  Object.assign(req.body, times);
+
+  // A meeting booked from an event type inherits its settings. The duration
+  // must be one the event type offers and sets the end time.
+  let eventType = null;
+  
+  if (req.body.eventTypeId) {
+    eventType = await EventType.findOne({ _id: req.body.eventTypeId, hostId: req.user.id });
+    
+    if (!eventType) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event type not found'
+      });
+    }
+    
+    const { fields, error, errors } = applyEventType(eventType, {
+      duration: req.body.duration,
+      answers: req.body.answers
+    });
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+        errors
+      });
+    }
+    
+    // Anything given explicitly (title, link, buffers...) wins over the event type
+    Object.entries(fields).forEach(([field, value]) => {
+      if (req.body[field] === undefined) {
+        req.body[field] = value;
+      }
+    });
+    req.body.duration = fields.duration;
+    req.body.intakeAnswers = fields.intakeAnswers;
+    
+    const endMinutes = parseTimeToMinutes(req.body.startTime) + fields.duration;
+    
+    if (endMinutes > 24 * 60) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid date and times',
+        errors: [{ field: 'startTime', message: `A ${fields.duration}-minute meeting starting at ${req.body.startTime} would run past midnight` }]
+      });
+    }
+    
+    req.body.endTime = formatMinutes(endMinutes);
+  }
+  
+  // The availability schedule governing the meeting must be one of the host's
+  if (!ownsSchedule(req.user, req.body.scheduleId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Availability schedule not found'
+    });
+  }
+  
+  // Meetings can be listed under a team the host belongs to
+  if (req.body.teamId && !(await findMemberTeam(req.body.teamId, req.user))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Team not found'
+    });
+  }
+  
+  // New meetings start out upcoming or pending; after that the status only changes through its lifecycle actions
+  if (!INITIAL_STATUSES.includes(req.body.status)) {
+    req.body.status = 'upcoming';
+  }
+  delete req.body.statusHistory;
+
+  // The time must be free in the host's calendar and respect their own
+  // scheduling rules (buffers and daily limit)
+  const ruleOptions = {
+    timezone: req.body.timezone,
+    eventType,
+    buffers: req.body
+  };
+  
+  const hostProblem = await checkHostTime(req.user, req.body, eventType);
+  
+  if (hostProblem) {
+    return res.status(400).json({
+      success: false,
+      ...hostProblem
+    });
+  }
 
   // Create meeting
   const meeting = await Meeting.create(req.body);
 
   // Process participants/invitees
   if (req.body.invitees && req.body.invitees.length > 0) {
+    const createdInvitations = [];
+
     const invitationPromises = req.body.invitees.map(async (email) => {
       // Check if user exists with that email
       const invitedUser = await User.findOne({ email });
@@ -35,7 +213,9 @@ exports.createMeeting = asyncHandler(async (req, res) => {
           invitedUser._id, 
           req.body.date, 
           req.body.startTime, 
-          req.body.endTime
+          req.body.endTime,
+          null,
+          req.body.timezone
         );
         
         if (conflict) {
@@ -44,10 +224,27 @@ exports.createMeeting = asyncHandler(async (req, res) => {
             status: 'conflict detected'
           };
         }
+        
+        // Invitees are held to their own rules, including their notice and horizon
+        const violations = await checkSchedulingRules(
+          invitedUser,
+          req.body.date,
+          req.body.startTime,
+          req.body.endTime,
+          { ...ruleOptions, bookedByOther: true }
+        );
+        
+        if (violations.length > 0) {
+          return {
+            email,
+            status: 'scheduling rules not met',
+            violations
+          };
+        }
       }
       
       // Create invitation
-      await MeetingInvitation.create(invitation);
+      createdInvitations.push(await MeetingInvitation.create(invitation));
       
       // Also add to meeting's participants array as pending
       meeting.participants.push({
@@ -56,11 +253,6 @@ exports.createMeeting = asyncHandler(async (req, res) => {
         status: 'pending'
       });
       
-      // If the invited user exists, update their bookings to show the pending invitation
-      if (invitedUser) {
-        await updateUserBookings(invitedUser._id);
-      }
-      
       return {
         email,
         status: 'invitation sent'
@@ -78,8 +270,15 @@ exports.createMeeting = asyncHandler(async (req, res) => {
     
     await meeting.save();
     
-    // Update host's booking/dashboard
-    await updateUserBookings(req.user.id);
+    await auditMeeting(meeting, 'create', req.user);
+    for (const invitation of createdInvitations) {
+      await auditInvitation(invitation, 'create', req.user);
+    }
+    
+    // Email the invitees (in the background)
+    notifyInvitations(meeting, createdInvitations);
+    
+    await publish('meeting.created', { meeting });
     
     res.status(201).json({
       success: true,
@@ -96,8 +295,9 @@ exports.createMeeting = asyncHandler(async (req, res) => {
     
     await meeting.save();
     
-    // Update host's booking/dashboard
-    await updateUserBookings(req.user.id);
+    await auditMeeting(meeting, 'create', req.user);
+    
+    await publish('meeting.created', { meeting });
     
     res.status(201).json({
       success: true,
@@ -116,7 +316,7 @@ exports.getMeetings = asyncHandler(async (req, res) => {
   const reqQuery = { ...req.query };
   
   // Fields to exclude
-  const removeFields = ['select', 'sort', 'page', 'limit', 'search'];
+  const removeFields = ['select', 'sort', 'page', 'limit', 'search', 'from', 'to', 'viewerTimezone'];
   
   // Loop over removeFields and delete them from reqQuery
   removeFields.forEach(param => delete reqQuery[param]);
@@ -139,8 +339,18 @@ exports.getMeetings = asyncHandler(async (req, res) => {
   // Create operators ($gt, $gte, etc)
   queryStr = queryStr.replace(/\b(gt|gte|lt|lte|in)\b/g, match => `$${match}`);
   
+  const filter = JSON.parse(queryStr);
+  
+  // When a date range is given, include recurring series with occurrences in it
+  const { from, to } = req.query;
+  const expandRange = from && to;
+  
+  if (expandRange) {
+    filter.$and = [occurrenceDateFilter(from, to)];
+  }
+  
   // Finding resource
-  query = Meeting.find(JSON.parse(queryStr));
+  query = Meeting.find(filter);
   
   // Search functionality
   if (req.query.search) {
@@ -170,7 +380,7 @@ exports.getMeetings = asyncHandler(async (req, res) => {
   const limit = parseInt(req.query.limit, 10) || 10;
   const startIndex = (page - 1) * limit;
   const endIndex = page * limit;
-  const total = await Meeting.countDocuments(JSON.parse(queryStr));
+  const total = await Meeting.countDocuments(filter);
   
   query = query.skip(startIndex).limit(limit);
   
@@ -197,7 +407,7 @@ exports.getMeetings = asyncHandler(async (req, res) => {
     const meetingObj = meeting.toObject();
     
     // Check if user is the host
-    const isHost = meetingObj.hostId.toString() === req.user.id;
+    const isHost = isMeetingHost(meetingObj, req.user);
     
     // Find user's participant entry
     const participantEntry = meetingObj.participants.find(p => 
@@ -222,6 +432,15 @@ exports.getMeetings = asyncHandler(async (req, res) => {
     return meetingObj;
   });
   
+  // Expand recurring series into their occurrences within the range
+  const expandedMeetings = expandRange
+    ? processedMeetings.flatMap(meetingObj => expandOccurrences(meetingObj, from, to))
+    : processedMeetings;
+  
+  // Render times in the viewer's timezone
+  const viewerTimezone = resolveViewerTimezone(req.query.viewerTimezone, req.user);
+  const responseMeetings = expandedMeetings.map(meetingObj => localizeMeeting(meetingObj, viewerTimezone));
+  
   // Pagination result
   const pagination = {};
   
@@ -241,9 +460,9 @@ exports.getMeetings = asyncHandler(async (req, res) => {
   
   res.status(200).json({
     success: true,
-    count: processedMeetings.length,
+    count: responseMeetings.length,
     pagination,
-    data: processedMeetings
+    data: responseMeetings
   });
 });
 
@@ -261,10 +480,8 @@ exports.getMeeting = asyncHandler(async (req, res) => {
   }
   
   // Check if user is host or participant
-  const isHost = meeting.hostId.toString() === req.user.id;
-  const isParticipant = meeting.participants.some(
-    participant => participant.userId && participant.userId.toString() === req.user.id
-  );
+  const isHost = isMeetingHost(meeting, req.user);
+  const isParticipant = isMeetingParticipant(meeting, req.user);
   
   if (!isHost && !isParticipant) {
     return res.status(403).json({
@@ -273,9 +490,12 @@ exports.getMeeting = asyncHandler(async (req, res) => {
     });
   }
   
+  // Render times in the viewer's timezone
+  const viewerTimezone = resolveViewerTimezone(req.query.viewerTimezone, req.user);
+  
   res.status(200).json({
     success: true,
-    data: meeting
+    data: localizeMeeting(meeting.toObject(), viewerTimezone)
   });
 });
 
@@ -283,7 +503,7 @@ exports.getMeeting = asyncHandler(async (req, res) => {
 // @route   PUT /api/meetings/:id
 // @access  Private
 exports.updateMeeting = asyncHandler(async (req, res) => {
-  let meeting = await Meeting.findById(req.params.id);
+  const meeting = await Meeting.findById(req.params.id);
   
   if (!meeting) {
     return res.status(404).json({
@@ -293,40 +513,88 @@ exports.updateMeeting = asyncHandler(async (req, res) => {
   }
   
   // Make sure user is the host
-  if (meeting.hostId.toString() !== req.user.id) {
+  if (!isMeetingHost(meeting, req.user)) {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to update this meeting'
     });
   }
   
+  const { times, errors: timeErrors } = validateMeetingTimes(req.body, { current: meeting });
+  
+  if (timeErrors) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a valid date and times',
+      errors: timeErrors
+    });
+  }
+  
+  // Anything else in the body is ignored
+  const changes = { ...pickFields(req.body, MEETING_FIELDS), ...times };
+  
+  // The availability schedule governing the meeting must be one of the host's; null takes it off
+  if (!ownsSchedule(req.user, changes.scheduleId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Availability schedule not found'
+    });
+  }
+  
+  // Meetings can be listed under a team the host belongs to; null takes it off
+  if (changes.teamId && !(await findMemberTeam(changes.teamId, req.user))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Team not found'
+    });
+  }
+  
+  // Lowering the capacity doesn't take anyone's seat away
+  const seatsTaken = countTakenSeats(meeting);
+  
+  if (changes.capacity && changes.capacity < seatsTaken) {
+    return res.status(400).json({
+      success: false,
+      message: `${seatsTaken} participants already have a seat; capacity can't be lower`
+    });
+  }
+  
   // Check if the date/time has changed, if so, check for conflicts for participants
-  if (
-    req.body.date && req.body.date !== meeting.date ||
-    req.body.startTime && req.body.startTime !== meeting.startTime ||
-    req.body.endTime && req.body.endTime !== meeting.endTime
-  ) {
-    const conflicts = [];
-    
-    // Check for conflicts for all accepted participants
-    for (const participant of meeting.participants) {
-      if (participant.status === 'accepted' && participant.userId) {
-        const conflict = await checkTimeConflict(
-          participant.userId,
-          req.body.date || meeting.date,
-          req.body.startTime || meeting.startTime,
-          req.body.endTime || meeting.endTime,
-          meeting._id // Exclude current meeting from conflict check
-        );
-        
-        if (conflict) {
-          conflicts.push({
-            userId: participant.userId,
-            email: participant.email
-          });
-        }
+  const isRescheduled = Boolean(
+    changes.date && changes.date !== meeting.date ||
+    changes.startTime && changes.startTime !== meeting.startTime ||
+    changes.endTime && changes.endTime !== meeting.endTime ||
+    changes.timezone && changes.timezone !== meeting.timezone
+  );
+  const previousTime = {
+    date: meeting.date,
+    startTime: meeting.startTime,
+    endTime: meeting.endTime,
+    timezone: meeting.timezone
+  };
+
+  // A new schedule (its days off) or new buffers can clash with the same time
+  const scheduleId = changes.scheduleId === undefined ? meeting.scheduleId : changes.scheduleId;
+  const buffers = {
+    bufferBefore: changes.bufferBefore ?? meeting.bufferBefore,
+    bufferAfter: changes.bufferAfter ?? meeting.bufferAfter
+  };
+  const isRulesChanged = String(scheduleId || '') !== String(meeting.scheduleId || '') ||
+    Number(buffers.bufferBefore || 0) !== (meeting.bufferBefore || 0) ||
+    Number(buffers.bufferAfter || 0) !== (meeting.bufferAfter || 0);
+
+  if (isRescheduled || isRulesChanged) {
+    const conflicts = await findParticipantConflicts(
+      meeting,
+      changes.date || meeting.date,
+      changes.startTime || meeting.startTime,
+      changes.endTime || meeting.endTime,
+      {
+        timezone: changes.timezone || meeting.timezone,
+        scheduleId,
+        buffers
       }
-    }
+    );
     
     if (conflicts.length > 0) {
       return res.status(400).json({
@@ -337,17 +605,28 @@ exports.updateMeeting = asyncHandler(async (req, res) => {
     }
   }
   
+  // A new time is a new revision of the calendar event invitees already have
+  if (isRescheduled) {
+    changes.sequence = (meeting.sequence || 0) + 1;
+  }
+  
   // Update the meeting
-  meeting = await Meeting.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true
-  });
+  const before = meeting.toObject();
+  Object.assign(meeting, changes);
+  // Saves only if nobody changed the meeting (e.g. took a seat) since it was loaded
+  meeting.increment();
+  await meeting.save();
   
-  // Update bookings for all participants
-  for (const participant of meeting.participants) {
-    if (participant.userId) {
-      await updateUserBookings(participant.userId);
-    }
+  await auditMeeting(meeting, 'update', req.user, { before });
+  
+  await publish('meeting.updated', { meeting });
+  
+  // A raised (or removed) capacity seats people from the waitlist
+  await fillOpenSeats(meeting);
+  
+  // Email the participants about the new time (in the background)
+  if (isRescheduled) {
+    notifyRescheduled(meeting, previousTime, await MeetingInvitation.find({ meetingId: meeting._id }));
   }
   
   res.status(200).json({
@@ -370,17 +649,16 @@ exports.deleteMeeting = asyncHandler(async (req, res) => {
   }
   
   // Make sure user is the host
-  if (meeting.hostId.toString() !== req.user.id) {
+  if (!isMeetingHost(meeting, req.user)) {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to delete this meeting'
     });
   }
   
-  // Get all participants to update their bookings
-  const participantIds = meeting.participants
-    .filter(p => p.userId)
-    .map(p => p.userId);
+  // Keep copies for the cancellation emails
+  const invitations = await MeetingInvitation.find({ meetingId: meeting._id });
+  const cancelledMeeting = meeting.toObject();
   
   // Delete all invitations for this meeting
   await MeetingInvitation.deleteMany({ meetingId: meeting._id });
@@ -388,10 +666,15 @@ exports.deleteMeeting = asyncHandler(async (req, res) => {
   // Delete the meeting
   await meeting.deleteOne();
   
-  // Update bookings for all participants
-  for (const userId of participantIds) {
-    await updateUserBookings(userId);
-  }
+  await auditMeeting(meeting, 'delete', req.user, {
+    before: cancelledMeeting,
+    metadata: { invitationsDeleted: invitations.length }
+  });
+  
+  await publish('meeting.deleted', { meeting: cancelledMeeting });
+  
+  // Email the participants (in the background)
+  notifyCancelled(cancelledMeeting, invitations);
   
   res.status(200).json({
     success: true,
@@ -399,11 +682,11 @@ exports.deleteMeeting = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Toggle meeting active status
-// @route   PUT /api/meetings/:id/active
+// @desc    Download a meeting as an iCalendar (.ics) file
+// @route   GET /api/meetings/:id/ics
 // @access  Private
-exports.toggleMeetingActive = asyncHandler(async (req, res) => {
-  let meeting = await Meeting.findById(req.params.id);
+exports.exportMeetingIcs = asyncHandler(async (req, res) => {
+  const meeting = await Meeting.findById(req.params.id);
   
   if (!meeting) {
     return res.status(404).json({
@@ -412,233 +695,376 @@ exports.toggleMeetingActive = asyncHandler(async (req, res) => {
     });
   }
   
-  // Make sure user is the host
-  if (meeting.hostId.toString() !== req.user.id) {
+  // Check if user is host or participant
+  const isHost = isMeetingHost(meeting, req.user);
+  const isParticipant = isMeetingParticipant(meeting, req.user);
+  
+  if (!isHost && !isParticipant) {
     return res.status(403).json({
       success: false,
-      message: 'Not authorized to update this meeting'
+      message: 'Not authorized to access this meeting'
     });
   }
   
-  // Toggle the isActive status or set to the provided value
-  meeting.isActive = req.body.isActive !== undefined ? req.body.isActive : !meeting.isActive;
-  
-  await meeting.save();
+  const host = await User.findById(meeting.hostId);
+  const calendar = buildCalendar([{ meeting, host }]);
   
-  res.status(200).json({
-    success: true,
-    data: meeting,
-    message: `Meeting is now ${meeting.isActive ? 'active' : 'inactive'}`
-  });
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${getIcsFilename(meeting.title)}"`);
+  res.status(200).send(calendar);
 });
 
-// Helper: Check for time conflicts for a user
-async function checkTimeConflict(userId, date, startTime, endTime, excludeMeetingId = null) {
-  // Check if userId is an email (contains @)
-  const isEmail = typeof userId === 'string' && userId.includes('@');
-  console.log(`Checking time conflicts for ${isEmail ? 'email' : 'userId'}: ${userId}`);
-  
-  // Find the user by ID or email to get their ID
-  let userIdToCheck = userId;
+// @desc    Update one occurrence, this and following occurrences, or all occurrences of a series
+// @route   PUT /api/meetings/:id/occurrences/:date
+// @access  Private
+exports.updateOccurrence = asyncHandler(async (req, res) => {
+  const scope = req.body.scope || 'this';
+  const occurrenceDate = req.params.date;
   
-  if (isEmail) {
-    const user = await User.findOne({ email: userId });
-    if (user) {
-      userIdToCheck = user._id;
-      console.log(`Found user by email: ${userId} -> ID: ${userIdToCheck}`);
-    } else {
-      console.log(`No user found with email: ${userId}`);
-      return null; // No user with this email, so no conflicts
-    }
+  if (!['this', 'following', 'all'].includes(scope)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Scope must be one of this, following or all'
+    });
   }
   
-  // Get user's accepted meetings
-  const query = {
-    date: date,
-    $or: [
-      // Check if user is a participant with accepted status
-      {
-        'participants.userId': userIdToCheck,
-        'participants.status': 'accepted'
-      },
-      // Check if user is the host
-      { hostId: userIdToCheck }
-    ]
-  };
+  const meeting = await Meeting.findById(req.params.id);
   
-  if (excludeMeetingId) {
-    query._id = { $ne: excludeMeetingId };
+  if (!meeting) {
+    return res.status(404).json({
+      success: false,
+      message: 'Meeting not found'
+    });
   }
   
-  const userMeetings = await Meeting.find(query);
-  console.log(`Found ${userMeetings.length} meetings for user on ${date}`);
-  
-  // Convert the time strings to Date objects for comparison
-  const newStartTime = new Date(`${date}T${startTime}`);
-  const newEndTime = new Date(`${date}T${endTime}`);
-  
-  console.log(`Checking conflicts between ${startTime} - ${endTime}`);
+  // Make sure user is the host
+  if (!isMeetingHost(meeting, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this meeting'
+    });
+  }
   
-  // Check for overlaps
-  for (const meeting of userMeetings) {
-    const meetingStartTime = new Date(`${meeting.date}T${meeting.startTime}`);
-    const meetingEndTime = new Date(`${meeting.date}T${meeting.endTime}`);
-    
-    console.log(`Comparing with meeting "${meeting.title}": ${meeting.startTime} - ${meeting.endTime}`);
-    
-    // Check if there's an overlap
-    if (
-      (newStartTime >= meetingStartTime && newStartTime < meetingEndTime) ||
-      (newEndTime > meetingStartTime && newEndTime <= meetingEndTime) ||
-      (newStartTime <= meetingStartTime && newEndTime >= meetingEndTime)
-    ) {
-      console.log(`Found conflict with meeting "${meeting.title}"`);
-      return meeting; // Conflict found
-    }
+  if (!isRecurring(meeting)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Meeting is not a recurring series'
+    });
   }
   
-  console.log(`No conflicts found for user ${userId} on ${date}`);
-  return null; // No conflict
-}
-
-// Helper: Update user's booking dashboard
-async function updateUserBookings(userId) {
-  // Get all meetings where user is a participant
-  const now = new Date();
-  console.log(`Current time for comparison: ${now.toISOString()}`);
+  if (!isOccurrenceDate(meeting, occurrenceDate)) {
+    return res.status(404).json({
+      success: false,
+      message: `Meeting has no occurrence on ${occurrenceDate}`
+    });
+  }
   
-  // Get all meetings involving the user
-  const allMeetings = await Meeting.find({
-    $or: [
-      { hostId: userId },
-      { 'participants.userId': userId }
-    ]
+  const exception = findException(meeting, occurrenceDate);
+  const { times, errors: timeErrors } = validateMeetingTimes(req.body, {
+    current: scope === 'this' && exception ? exception : meeting
   });
   
-  console.log(`Found ${allMeetings.length} meetings for user ${userId}`);
-  
-  // Get user information
-  const user = await User.findById(userId);
-  if (!user) {
-    console.error(`User ${userId} not found for booking update`);
-    return null;
+  if (timeErrors) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a valid date and times',
+      errors: timeErrors
+    });
   }
   
-  // Initialize booking categories
-  const upcomingMeetings = [];
-  const pendingMeetings = [];
-  const canceledMeetings = [];
-  const pastMeetings = [];
+  Object.assign(req.body, times);
   
-  // Process each meeting
-  for (const meeting of allMeetings) {
-    // Parse date and time - ensure we're using the correct format
-    try {
-      const [year, month, day] = meeting.date.split('-').map(Number);
-      
-      // We should check based on the MEETING DATE, not just end time
-      // For past meetings, even the date is important
-      const meetingDate = new Date(year, month - 1, day);
-      const today = new Date();
-      today.setHours(0, 0, 0, 0); // Set to beginning of today
-      
-      // Create date objects for proper comparison
-      const [startHours, startMinutes] = meeting.startTime.split(':').map(Number);
-      const [endHours, endMinutes] = meeting.endTime.split(':').map(Number);
-      
-      // Create complete date objects with time
-      const startDateTime = new Date(year, month - 1, day, startHours, startMinutes);
-      const endDateTime = new Date(year, month - 1, day, endHours, endMinutes);
-      
-      // A meeting is in the past if:
-      // 1. The meeting date is before today, OR
-      // 2. The meeting is today but the end time has passed
-      const isPast = meetingDate < today || endDateTime < now;
-      
-      console.log(`Meeting ${meeting._id}: "${meeting.title}" - Date: ${meeting.date}, Start: ${meeting.startTime}, End: ${meeting.endTime}`);
-      console.log(`  Meeting date: ${meetingDate.toISOString()}, Today: ${today.toISOString()}`);
-      console.log(`  End time: ${endDateTime.toISOString()}, Now: ${now.toISOString()}`);
-      console.log(`  isPast: ${isPast}`);
+  const before = meeting.toObject();
+  
+  // When the occurrence was, and whether this moves it
+  const previousTime = {
+    date: exception?.date || occurrenceDate,
+    startTime: exception?.startTime || meeting.startTime,
+    endTime: exception?.endTime || meeting.endTime,
+    timezone: meeting.timezone
+  };
+  const newTime = {
+    ...previousTime,
+    date: req.body.date || previousTime.date,
+    startTime: req.body.startTime || previousTime.startTime,
+    endTime: req.body.endTime || previousTime.endTime
+  };
+  const isRescheduled = ['date', 'startTime', 'endTime'].some(field => newTime[field] !== previousTime[field]);
+  
+  // The series as it will be when the change is to it as a whole or from here on
+  const seriesChanges = pickFields(req.body, SERIES_FIELDS);
+  const proposedSeries = scope === 'this'
+    ? null
+    : applySeriesChanges(meeting, occurrenceDate, scope, seriesChanges, req.body.date);
+  
+  // Check the occurrences that move against accepted participants' calendars:
+  // this one, or those of the series coming up with its new time and recurrence
+  if (isRescheduled || (proposedSeries && seriesChanges.recurrence)) {
+    let occurrences = [newTime];
     
-      // Find the participant record for this user
-      const participantRecord = meeting.participants.find(
-        p => (p.userId && p.userId.toString() === userId) || p.email === user.email
-      );
-      
-      if (!participantRecord) {
-        console.log(`  No participant record found for user ${userId}`);
-        continue;
-      }
-      
-      // Determine this user's relationship to the meeting
-      const isHost = meeting.hostId.toString() === userId;
-      const status = participantRecord.status;
-      
-      // Create base meeting data object
-      const meetingData = {
-        meetingId: meeting._id,
-        title: meeting.title,
-        date: meeting.date,
-        startTime: meeting.startTime,
-        endTime: meeting.endTime,
-        status: status,
-        hostId: meeting.hostId,
-        isActive: meeting.isActive
-      };
+    if (proposedSeries) {
+      const today = utcToZonedTime(new Date(), meeting.timezone).date;
+      const from = proposedSeries.date > today ? proposedSeries.date : today;
+      occurrences = expandOccurrences(proposedSeries, from, addDays(from, SERIES_CHECK_DAYS));
+    }
+    
+    for (const occurrence of occurrences) {
+      const conflicts = await findParticipantConflicts(meeting, occurrence.date, occurrence.startTime, occurrence.endTime);
       
-      // Categorize based on time and status
-      if (isPast) {
-        console.log(`  Adding meeting to PAST meetings`);
-        pastMeetings.push(meetingData);
-      } else if (meeting.status === 'cancelled' || status === 'rejected') {
-        console.log(`  Adding meeting to CANCELED meetings`);
-        canceledMeetings.push(meetingData);
-      } else if (status === 'pending' && !isHost) {
-        console.log(`  Adding meeting to PENDING meetings`);
-        pendingMeetings.push(meetingData);
-      } else if (status === 'accepted' || isHost) {
-        console.log(`  Adding meeting to UPCOMING meetings`);
-        upcomingMeetings.push(meetingData);
+      if (conflicts.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Time conflicts detected with some participants on ${occurrence.date}`,
+          conflicts
+        });
       }
-    } catch (error) {
-      console.error(`Error processing meeting ${meeting._id}: ${error.message}`);
-      console.error(`Meeting data: ${JSON.stringify(meeting)}`);
     }
   }
   
-  // Find or create the user's booking dashboard
-  let booking = await Booking.findOne({ userId });
+  let updatedSeries = meeting;
   
-  if (!booking) {
-    booking = new Booking({
-      userId,
-      upcomingMeetings: [],
-      pendingMeetings: [],
-      canceledMeetings: [],
-      pastMeetings: []
+  if (scope === 'this') {
+    // Record the change as an exception on this occurrence only
+    const changes = pickFields(req.body, OCCURRENCE_FIELDS);
+    
+    if (exception) {
+      Object.assign(exception, changes);
+    } else {
+      meeting.exceptions.push({ originalDate: occurrenceDate, ...changes });
+    }
+    
+    // Calendars pick up the moved occurrence from the series' next revision
+    if (isRescheduled) {
+      meeting.sequence = (meeting.sequence || 0) + 1;
+    }
+    
+    await meeting.save();
+  } else if (scope === 'all' || occurrenceDate === meeting.date) {
+    // Editing from the first occurrence onwards is the same as editing the whole series
+    Object.assign(meeting, seriesChanges);
+    
+    if (isRescheduled) {
+      meeting.sequence = (meeting.sequence || 0) + 1;
+    }
+    
+    await meeting.save();
+  } else {
+    // Split the series: end the current one before this occurrence and start a new one here
+    updatedSeries = await Meeting.create({
+      hostId: meeting.hostId,
+      title: meeting.title,
+      description: meeting.description,
+      startTime: meeting.startTime,
+      endTime: meeting.endTime,
+      duration: meeting.duration,
+      timezone: meeting.timezone,
+      meetingLink: meeting.meetingLink,
+      reminderOffsets: meeting.reminderOffsets,
+      eventTypeId: meeting.eventTypeId,
+      teamId: meeting.teamId,
+      scheduleId: meeting.scheduleId,
+      location: meeting.location,
+      bufferBefore: meeting.bufferBefore,
+      bufferAfter: meeting.bufferAfter,
+      capacity: meeting.capacity,
+      intakeAnswers: meeting.intakeAnswers,
+      password: meeting.password,
+      isActive: meeting.isActive,
+      bannerSettings: meeting.bannerSettings,
+      ...seriesChanges,
+      date: proposedSeries.date,
+      recurrence: proposedSeries.recurrence,
+      participants: meeting.participants.map(p => ({
+        userId: p.userId,
+        email: p.email,
+        status: p.status,
+        responseAt: p.responseAt,
+        waitlistedAt: p.waitlistedAt
+      })),
+      exceptions: proposedSeries.exceptions
+    });
+    
+    // Carry the invitations over to the new series
+    const invitations = await MeetingInvitation.find({ meetingId: meeting._id });
+    await MeetingInvitation.insertMany(invitations.map(invitation => ({
+      meetingId: updatedSeries._id,
+      userId: invitation.userId,
+      email: invitation.email,
+      status: invitation.status
+    })));
+    
+    meeting.recurrence.until = addDays(occurrenceDate, -1);
+    meeting.exceptions = meeting.exceptions.filter(e => e.originalDate < occurrenceDate);
+    // Calendars cut the old series short when they get its next revision
+    meeting.sequence = (meeting.sequence || 0) + 1;
+    await meeting.save();
+    
+    await auditMeeting(updatedSeries, 'create', req.user, {
+      metadata: { splitFrom: meeting._id, occurrenceDate }
     });
+    
+    await publish('meeting.created', { meeting: updatedSeries });
   }
   
-  // Update booking collections
-  booking.upcomingMeetings = upcomingMeetings;
-  booking.pendingMeetings = pendingMeetings;
-  booking.canceledMeetings = canceledMeetings;
-  booking.pastMeetings = pastMeetings;
+  await auditMeeting(meeting, 'update', req.user, {
+    before,
+    metadata: { occurrenceDate, scope }
+  });
   
-  console.log(`Updated bookings for user ${userId}:`);
-  console.log(`  Upcoming: ${upcomingMeetings.length}`);
-  console.log(`  Pending: ${pendingMeetings.length}`);
-  console.log(`  Canceled: ${canceledMeetings.length}`);
-  console.log(`  Past: ${pastMeetings.length}`);
+  await publish('meeting.updated', { meeting });
   
-  await booking.save();
+  // Email the participants about the new time (in the background)
+  if (isRescheduled) {
+    const invitations = await MeetingInvitation.find({ meetingId: updatedSeries._id });
+    
+    if (scope === 'this') {
+      notifyRescheduled(meeting, previousTime, invitations, { occurrence: newTime });
+    } else if (updatedSeries === meeting) {
+      notifyRescheduled(meeting, {
+        date: before.date,
+        startTime: before.startTime,
+        endTime: before.endTime,
+        timezone: before.timezone
+      }, invitations);
+    } else {
+      notifyRescheduled(updatedSeries, previousTime, invitations, { previousSeries: meeting });
+    }
+  }
   
-  return booking;
-}
+  res.status(200).json({
+    success: true,
+    scope,
+    data: updatedSeries,
+    previousSeries: updatedSeries === meeting ? undefined : meeting
+  });
+});
 
-// Helper: Ensure invitation exists for a user in a meeting
-async function ensureInvitationExists(meetingId, userId, userEmail) {
-  // Check if invitation already exists
+// @desc    Cancel one occurrence, or this and all following occurrences, of a series
+// @route   DELETE /api/meetings/:id/occurrences/:date
+// @access  Private
+exports.cancelOccurrence = asyncHandler(async (req, res) => {
+  const scope = req.query.scope || 'this';
+  const occurrenceDate = req.params.date;
+  
+  if (!['this', 'following'].includes(scope)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Scope must be this or following'
+    });
+  }
+  
+  const meeting = await Meeting.findById(req.params.id);
+  
+  if (!meeting) {
+    return res.status(404).json({
+      success: false,
+      message: 'Meeting not found'
+    });
+  }
+  
+  // Make sure user is the host
+  if (!isMeetingHost(meeting, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this meeting'
+    });
+  }
+  
+  if (!isRecurring(meeting)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Meeting is not a recurring series'
+    });
+  }
+  
+  if (!isOccurrenceDate(meeting, occurrenceDate)) {
+    return res.status(404).json({
+      success: false,
+      message: `Meeting has no occurrence on ${occurrenceDate}`
+    });
+  }
+  
+  const before = meeting.toObject();
+  
+  if (scope === 'this') {
+    const exception = findException(meeting, occurrenceDate);
+    
+    if (exception) {
+      exception.isCancelled = true;
+    } else {
+      meeting.exceptions.push({ originalDate: occurrenceDate, isCancelled: true });
+    }
+  } else {
+    if (occurrenceDate === meeting.date) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is the first occurrence; delete the meeting to cancel the whole series'
+      });
+    }
+    
+    meeting.recurrence.until = addDays(occurrenceDate, -1);
+    meeting.exceptions = meeting.exceptions.filter(e => e.originalDate < occurrenceDate);
+  }
+  
+  await meeting.save();
+  
+  await auditMeeting(meeting, 'update', req.user, {
+    before,
+    metadata: { occurrenceDate, scope, cancelled: true }
+  });
+  
+  await publish('meeting.updated', { meeting });
+  
+  res.status(200).json({
+    success: true,
+    data: meeting,
+    message: scope === 'this'
+      ? `Occurrence on ${occurrenceDate} cancelled`
+      : `Occurrences from ${occurrenceDate} onwards cancelled`
+  });
+});
+
+// @desc    Toggle meeting active status
+// @route   PUT /api/meetings/:id/active
+// @access  Private
+exports.toggleMeetingActive = asyncHandler(async (req, res) => {
+  let meeting = await Meeting.findById(req.params.id);
+  
+  if (!meeting) {
+    return res.status(404).json({
+      success: false,
+      message: 'Meeting not found'
+    });
+  }
+  
+  // Make sure user is the host
+  if (!isMeetingHost(meeting, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this meeting'
+    });
+  }
+  
+  // Toggle the isActive status or set to the provided value
+  const before = meeting.toObject();
+  meeting.isActive = req.body.isActive !== undefined ? req.body.isActive : !meeting.isActive;
+  
+  await meeting.save();
+  
+  await auditMeeting(meeting, 'update', req.user, { before });
+  
+  await publish('meeting.updated', { meeting });
+  
+  res.status(200).json({
+    success: true,
+    data: meeting,
+    message: `Meeting is now ${meeting.isActive ? 'active' : 'inactive'}`
+  });
+});
+
+// Helper: Ensure invitation exists for a user in a meeting
+async function ensureInvitationExists(meetingId, userId, userEmail) {
+  // Check if invitation already exists
   let invitation = await MeetingInvitation.findOne({
     meetingId,
     $or: [
@@ -725,12 +1151,7 @@ exports.respondToInvitation = asyncHandler(async (req, res) => {
     });
   }
   
-  // Update invitation status
-  invitation.status = status;
-  await invitation.save();
-  
-  // Find the meeting
-  const meeting = await Meeting.findById(invitation.meetingId);
+  const meeting = await applyInvitationResponse(invitation, status, req.user);
   
   if (!meeting) {
     return res.status(404).json({
@@ -739,53 +1160,15 @@ exports.respondToInvitation = asyncHandler(async (req, res) => {
     });
   }
   
-  // Find the participant entry for this user
-  const participantIndex = meeting.participants.findIndex(
-    p => (p.userId && p.userId.toString() === req.user.id) || p.email === invitation.email
+  // Accepting a full meeting puts the invitee on its waitlist
+  const participant = meeting.participants.find(p =>
+    (p.userId && p.userId.toString() === req.user.id) || p.email === invitation.email
   );
   
-  if (status === 'accepted') {
-    // If user already exists in participants, update status
-    if (participantIndex !== -1) {
-      meeting.participants[participantIndex].status = 'accepted';
-      meeting.participants[participantIndex].responseAt = new Date();
-      
-      // Ensure user ID is set if it wasn't before
-      if (!meeting.participants[participantIndex].userId && req.user.id) {
-        meeting.participants[participantIndex].userId = req.user.id;
-      }
-    } else {
-      // Add user to participants
-      meeting.participants.push({
-        userId: req.user.id,
-        email: invitation.email,
-        status: 'accepted',
-        responseAt: new Date()
-      });
-    }
-  } else if (status === 'rejected') {
-    // If found in participants array, update status to rejected
-    if (participantIndex !== -1) {
-      meeting.participants[participantIndex].status = 'rejected';
-      meeting.participants[participantIndex].responseAt = new Date();
-    }
-  }
-  
-  await meeting.save();
-  
-  // Update user's bookings
-  console.log(`Updating bookings for user ${req.user.id} after responding to invitation`);
-  await updateUserBookings(req.user.id);
-  
-  // Also update host's bookings to reflect the status change
-  if (meeting.hostId.toString() !== req.user.id) {
-    console.log(`Updating bookings for host ${meeting.hostId} after user response`);
-    await updateUserBookings(meeting.hostId);
-  }
-  
   res.status(200).json({
     success: true,
     data: invitation,
+    waitlistPosition: invitation.status === 'waitlisted' ? getWaitlistPosition(meeting, participant) : undefined,
     meeting
   });
 });
@@ -804,7 +1187,7 @@ exports.duplicateMeeting = asyncHandler(async (req, res) => {
   }
   
   // Make sure user is the host
-  if (meeting.hostId.toString() !== req.user.id) {
+  if (!isMeetingHost(meeting, req.user)) {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to duplicate this meeting'
@@ -823,6 +1206,15 @@ exports.duplicateMeeting = asyncHandler(async (req, res) => {
     timezone: meeting.timezone,
     meetingLink: meeting.meetingLink,
     bannerSettings: meeting.bannerSettings,
+    recurrence: meeting.recurrence,
+    reminderOffsets: meeting.reminderOffsets,
+    eventTypeId: meeting.eventTypeId,
+    teamId: meeting.teamId,
+    scheduleId: meeting.scheduleId,
+    location: meeting.location,
+    bufferBefore: meeting.bufferBefore,
+    bufferAfter: meeting.bufferAfter,
+    capacity: meeting.capacity,
     isActive: true, // Set the copy to active by default
     // Don't copy participants or status - it's a new meeting
   };
@@ -833,7 +1225,30 @@ exports.duplicateMeeting = asyncHandler(async (req, res) => {
   }
   
   if (req.body.date) {
-    newMeetingData.date = req.body.date;
+    const { times, errors: timeErrors } = validateMeetingTimes({ date: req.body.date });
+    
+    if (timeErrors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid date',
+        errors: timeErrors
+      });
+    }
+    
+    newMeetingData.date = times.date;
+  }
+  
+  // The copy is held to the same checks as a new meeting
+  const eventType = meeting.eventTypeId
+    ? await EventType.findOne({ _id: meeting.eventTypeId, hostId: meeting.hostId })
+    : null;
+  const hostProblem = await checkHostTime(req.user, newMeetingData, eventType);
+  
+  if (hostProblem) {
+    return res.status(400).json({
+      success: false,
+      ...hostProblem
+    });
   }
   
   // Create the new meeting
@@ -848,6 +1263,12 @@ exports.duplicateMeeting = asyncHandler(async (req, res) => {
   
   await newMeeting.save();
   
+  await auditMeeting(newMeeting, 'create', req.user, {
+    metadata: { duplicatedFrom: meeting._id }
+  });
+  
+  await publish('meeting.created', { meeting: newMeeting });
+  
   res.status(201).json({
     success: true,
     data: newMeeting,
@@ -855,10 +1276,11 @@ exports.duplicateMeeting = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Toggle meeting status (scheduled, canceled, completed)
-// @route   PUT /api/meetings/:id/toggle
+// @desc    Change meeting status (schedule, cancel, complete, reopen)
+// @route   PUT /api/meetings/:id/status
+// @route   PUT /api/meetings/:id/toggle (legacy: { status: 'scheduled' | 'canceled' | 'completed' })
 // @access  Private
-exports.toggleMeetingStatus = asyncHandler(async (req, res) => {
+exports.updateMeetingStatus = asyncHandler(async (req, res) => {
   const meeting = await Meeting.findById(req.params.id);
   
   if (!meeting) {
@@ -869,40 +1291,128 @@ exports.toggleMeetingStatus = asyncHandler(async (req, res) => {
   }
   
   // Make sure user is the host
-  if (meeting.hostId.toString() !== req.user.id) {
+  if (!isMeetingHost(meeting, req.user)) {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to update this meeting'
     });
   }
   
-  // Set the new status or cycle through statuses
-  if (req.body.status && ['scheduled', 'canceled', 'completed'].includes(req.body.status)) {
-    meeting.status = req.body.status;
-  } else {
-    // Cycle through statuses: scheduled -> completed -> canceled -> scheduled
-    if (meeting.status === 'scheduled') {
-      meeting.status = 'completed';
-    } else if (meeting.status === 'completed') {
-      meeting.status = 'canceled';
-    } else {
-      meeting.status = 'scheduled';
-    }
+  const action = req.body.action || legacyStatusAction(meeting, req.body.status);
+  
+  if (!action) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide an action',
+      availableActions: getAvailableActions(meeting)
+    });
   }
   
-  await meeting.save();
+  const result = await transitionMeeting(meeting, action, {
+    actor: req.user,
+    reason: req.body.reason
+  });
   
-  // Update bookings for all participants
-  for (const participant of meeting.participants) {
-    if (participant.userId) {
-      await updateUserBookings(participant.userId);
-    }
+  if (result.error) {
+    return res.status(result.statusCode).json({
+      success: false,
+      message: result.error,
+      availableActions: getAvailableActions(meeting)
+    });
   }
   
   res.status(200).json({
     success: true,
-    data: meeting,
-    message: `Meeting status updated to ${meeting.status}`
+    data: result.meeting,
+    availableActions: getAvailableActions(result.meeting),
+    message: `Meeting status updated to ${result.meeting.status}`
+  });
+});
+
+// Helper: Map the status values the old toggle endpoint took onto an action
+function legacyStatusAction(meeting, status) {
+  switch (status) {
+    case 'scheduled':
+      return meeting.status === 'pending' ? 'schedule' : 'reopen';
+    case 'canceled':
+    case 'cancelled':
+      return 'cancel';
+    case 'completed':
+      return 'complete';
+    default:
+      return null;
+  }
+}
+
+// @desc    Get the status history of a meeting
+// @route   GET /api/meetings/:id/status-history
+// @access  Private
+exports.getMeetingStatusHistory = asyncHandler(async (req, res) => {
+  const meeting = await Meeting.findById(req.params.id)
+    .populate('statusHistory.actorId', 'name email');
+  
+  if (!meeting) {
+    return res.status(404).json({
+      success: false,
+      message: 'Meeting not found'
+    });
+  }
+  
+  // Host and participants can see the history
+  const isHost = isMeetingHost(meeting, req.user);
+  const isParticipant = isMeetingParticipant(meeting, req.user);
+  
+  if (!isHost && !isParticipant) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this meeting'
+    });
+  }
+  
+  res.status(200).json({
+    success: true,
+    status: meeting.status,
+    availableActions: isHost ? getAvailableActions(meeting) : [],
+    count: meeting.statusHistory.length,
+    data: meeting.statusHistory
+  });
+});
+
+// @desc    Get the change history of a meeting and its invitations
+// @route   GET /api/meetings/:id/history
+// @access  Private
+exports.getMeetingHistory = asyncHandler(async (req, res) => {
+  const meeting = await Meeting.findById(req.params.id);
+  
+  if (!meeting) {
+    return res.status(404).json({
+      success: false,
+      message: 'Meeting not found'
+    });
+  }
+  
+  // Host and participants can see the history
+  const isHost = isMeetingHost(meeting, req.user);
+  const isParticipant = isMeetingParticipant(meeting, req.user);
+  
+  if (!isHost && !isParticipant) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this meeting'
+    });
+  }
+  
+  const { entries, total, pagination } = await findAuditLogs(
+    { meetingId: meeting._id },
+    { page: req.query.page, limit: req.query.limit }
+  );
+  
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    total,
+    pagination,
+    data: entries
   });
 });
 
@@ -917,7 +1427,7 @@ exports.getUserCreatedMeetings = asyncHandler(async (req, res) => {
   const reqQuery = { ...req.query };
   
   // Fields to exclude
-  const removeFields = ['select', 'sort', 'page', 'limit', 'search'];
+  const removeFields = ['select', 'sort', 'page', 'limit', 'search', 'viewerTimezone'];
   
   // Loop over removeFields and delete them from reqQuery
   removeFields.forEach(param => delete reqQuery[param]);
@@ -995,11 +1505,14 @@ exports.getUserCreatedMeetings = asyncHandler(async (req, res) => {
     };
   }
   
+  // Render times in the viewer's timezone
+  const viewerTimezone = resolveViewerTimezone(req.query.viewerTimezone, req.user);
+  
   res.status(200).json({
     success: true,
     count: meetings.length,
     pagination,
-    data: meetings
+    data: meetings.map(meeting => localizeMeeting(meeting.toObject(), viewerTimezone))
   });
 });
 
@@ -1007,16 +1520,23 @@ exports.getUserCreatedMeetings = asyncHandler(async (req, res) => {
 // @route   POST /api/meetings/check-availability
 // @access  Private
 exports.checkUserAvailability = asyncHandler(async (req, res) => {
-  const { date, startTime, endTime, userId } = req.body;
+  const { userId } = req.body;
   
   // Validate required fields
-  if (!date || !startTime || !endTime) {
+  const { times, errors: timeErrors } = validateMeetingTimes(req.body, {
+    required: ['date', 'startTime', 'endTime']
+  });
+  
+  if (timeErrors) {
     return res.status(400).json({
       success: false,
-      message: 'Please provide date, startTime, and endTime'
+      message: 'Please provide a valid date, startTime, and endTime',
+      errors: timeErrors
     });
   }
   
+  const { date, startTime, endTime } = times;
+  
   let targetUser;
   
   // Check if we're looking up another user by their email or ID
@@ -1041,6 +1561,14 @@ exports.checkUserAvailability = asyncHandler(async (req, res) => {
     }
     
     console.log(`Found user: ${targetUser.name} (${targetUser._id})`);
+    
+    // Other people's availability is visible to their teammates
+    if (!(await canViewAvailability(req.user, targetUser))) {
+      return res.status(403).json({
+        success: false,
+        message: `Not authorized to view the availability of ${userId}; you need to share a team`
+      });
+    }
   } else {
     // Use the authenticated user
     targetUser = await User.findById(req.user.id);
@@ -1053,18 +1581,54 @@ exports.checkUserAvailability = asyncHandler(async (req, res) => {
     }
   }
   
+  // The requested time is in the given timezone (or the requester's); availability
+  // is kept in the target user's own timezone, so compare on their wall clock
+  const timezone = req.body.timezone || req.user.preferences?.timezone || DEFAULT_TIMEZONE;
+  
+  if (!isValidTimezone(timezone)) {
+    return res.status(400).json({
+      success: false,
+      message: `${timezone} is not a valid timezone`
+    });
+  }
+  
+  // Your own hours can be checked against any of your schedules; other people's against their default
+  const isSelf = targetUser._id.toString() === req.user.id.toString();
+  
+  if (isSelf && !ownsSchedule(targetUser, req.body.scheduleId)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Availability schedule not found'
+    });
+  }
+  
+  const schedule = resolveSchedule(targetUser, isSelf ? req.body.scheduleId : null);
+  const targetTimezone = getScheduleTimezone(targetUser, schedule);
+  const localStart = utcToZonedTime(zonedTimeToUtc(date, startTime, timezone), targetTimezone);
+  const localEnd = utcToZonedTime(zonedTimeToUtc(date, endTime, timezone), targetTimezone);
+  
   // Get the day of the week for the requested date
-  const dayOfWeek = new Date(date).toLocaleString('en-US', { weekday: 'long' });
+  const dayOfWeek = getDayOfWeek(localStart.date);
   
   // Find the day in the user's availability
-  const availabilityForDay = targetUser.availability.find(a => a.day === dayOfWeek);
+  const availabilityForDay = getDayAvailability(targetUser, localStart.date, schedule);
   
   // If no availability is set for this day or the day is marked as unavailable
   if (!availabilityForDay || !availabilityForDay.isAvailable) {
+    const subject = isSelf ? "You're" : `${targetUser.name || 'User'} is`;
+    let reason = `on ${dayOfWeek}s`;
+    
+    if (availabilityForDay?.source === 'time-off') {
+      reason = `on ${localStart.date} (time off${availabilityForDay.reason ? `: ${availabilityForDay.reason}` : ''})`;
+    } else if (availabilityForDay?.source === 'override') {
+      reason = `on ${localStart.date}`;
+    }
+    
     return res.status(200).json({
       success: true,
       available: false,
-      message: `${targetUser._id.toString() === req.user.id.toString() ? "You're" : `${targetUser.name || 'User'} is`} not available on ${dayOfWeek}s`
+      source: availabilityForDay?.source || 'weekly',
+      message: `${subject} not available ${reason}`
     });
   }
   
@@ -1073,8 +1637,8 @@ exports.checkUserAvailability = asyncHandler(async (req, res) => {
   let availableSlotMessage = '';
   
   // Parse meeting start and end times for comparison (convert to minutes)
-  const meetingStartMinutes = parseTimeToMinutes(startTime);
-  const meetingEndMinutes = parseTimeToMinutes(endTime);
+  const meetingStartMinutes = parseTimeToMinutes(localStart.time);
+  const meetingEndMinutes = parseTimeToMinutes(localEnd.time) + (localEnd.date > localStart.date ? 24 * 60 : 0);
   
   if (availabilityForDay.slots && availabilityForDay.slots.length > 0) {
     // Check each slot
@@ -1101,59 +1665,414 @@ exports.checkUserAvailability = asyncHandler(async (req, res) => {
     availableSlotMessage = 'All day is available';
   }
   
+  if (isTimeAvailable && availabilityForDay.source === 'override') {
+    availableSlotMessage += ` (special hours on ${localStart.date})`;
+  }
+  
   // Check for conflicts with existing accepted meetings
   let meetingConflict = null;
   if (isTimeAvailable) {
-    meetingConflict = await checkTimeConflict(targetUser._id, date, startTime, endTime);
+    meetingConflict = await checkTimeConflict(targetUser._id, date, startTime, endTime, null, timezone, schedule._id);
+  }
+  
+  // Then the user's scheduling rules; notice and horizon only apply to others booking them
+  let violations = [];
+  if (isTimeAvailable && !meetingConflict) {
+    violations = await checkSchedulingRules(targetUser, date, startTime, endTime, {
+      timezone,
+      bookedByOther: !isSelf
+    });
   }
   
   // Include the name of the user being checked in the response message
-  const userReference = targetUser._id.toString() === req.user.id.toString() 
+  const userReference = isSelf 
     ? 'You have' 
     : `${targetUser.name || 'User'} has`;
   
   res.status(200).json({
     success: true,
-    available: isTimeAvailable && !meetingConflict,
+    available: isTimeAvailable && !meetingConflict && violations.length === 0,
     message: meetingConflict 
-      ? `${userReference} a conflict with existing meeting "${meetingConflict.title}"` 
-      : (isTimeAvailable 
-          ? availableSlotMessage 
-          : `${userReference} no available time slot on ${dayOfWeek} for this meeting`),
+      ? (meetingConflict.isTimeOff
+          ? `${userReference} time off on ${meetingConflict.date} ("${meetingConflict.title}")`
+          : meetingConflict.isBusyBlock
+            ? `${userReference} imported busy time "${meetingConflict.title}" at this time`
+            : `${userReference} a conflict with existing meeting "${meetingConflict.title}"`)
+      : (!isTimeAvailable 
+          ? `${userReference} no available time slot on ${dayOfWeek} for this meeting`
+          : violations.length > 0
+            ? `This time breaks ${isSelf ? 'your' : `${targetUser.name || 'the user'}'s`} scheduling rules: ${violations[0].message}`
+            : availableSlotMessage),
+    violations,
     conflict: meetingConflict ? {
       meetingId: meetingConflict._id,
       title: meetingConflict.title,
-      time: `${meetingConflict.startTime} - ${meetingConflict.endTime}`
+      time: `${meetingConflict.startTime} - ${meetingConflict.endTime}`,
+      type: meetingConflict.isTimeOff ? 'time-off' : meetingConflict.isBusyBlock ? 'busy' : 'meeting'
     } : null
   });
 });
 
-// Helper function to parse time strings to minutes for easier comparison
-function parseTimeToMinutes(timeStr) {
-  // Handle different time formats
-  if (!timeStr) return 0;
-  
-  // Format: "HH:MM" (24-hour format)
-  if (timeStr.includes(':')) {
-    const [hours, minutes] = timeStr.split(':').map(Number);
-    return hours * 60 + minutes;
+// @desc    Find bookable windows for one or more users over a date range
+// @route   POST /api/meetings/free-slots
+// @access  Private
+exports.findFreeSlots = asyncHandler(async (req, res) => {
+  const { users } = req.body;
+
+  const options = parseSearchOptions(req.body, req.user);
+
+  if (options.error) {
+    return res.status(400).json({
+      success: false,
+      message: options.error
+    });
   }
+
+  const { startDate, endDate, duration, granularity, timezone, scheduleId } = options;
+
+  // Default to the authenticated user
+  const identifiers = Array.isArray(users) && users.length > 0 ? users : [req.user.id];
+  const targetUsers = [];
+
+  for (const identifier of identifiers) {
+    const user = await findUserByIdOrEmail(identifier);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: `User with email/id ${identifier} not found`
+      });
+    }
+
+    // Other people's availability is visible to their teammates
+    if (!(await canViewAvailability(req.user, user))) {
+      return res.status(403).json({
+        success: false,
+        message: `Not authorized to view the availability of ${identifier}; you need to share a team`
+      });
+    }
+
+    targetUsers.push(user);
+  }
+
+  const windows = await findFreeWindows(targetUsers, {
+    startDate,
+    endDate,
+    duration,
+    granularity,
+    timezone,
+    bookerId: req.user.id,
+    scheduleId
+  });
+
+  res.status(200).json({
+    success: true,
+    timezone,
+    duration,
+    granularity,
+    users: targetUsers.map(user => ({
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      timezone: user.preferences?.timezone || DEFAULT_TIMEZONE
+    })),
+    count: windows.length,
+    data: windows
+  });
+});
+
+// @desc    Suggest times when the host and invitees (or a quorum of them) are free
+// @route   POST /api/meetings/suggest-times
+// @access  Private
+exports.suggestTimes = asyncHandler(async (req, res) => {
+  const { invitees } = req.body;
+
+  if (!Array.isArray(invitees) || invitees.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a list of invitee emails'
+    });
+  }
+
+  const options = parseSearchOptions(req.body, req.user);
+
+  if (options.error) {
+    return res.status(400).json({
+      success: false,
+      message: options.error
+    });
+  }
+
+  const host = await User.findById(req.user.id);
+
+  // Invitees without an account have no known availability, so they can't be scheduled around
+  const registeredInvitees = [];
+  const unknownInvitees = [];
+
+  for (const email of [...new Set(invitees.map(e => e.toLowerCase()))]) {
+    const invitee = await User.findOne({ email });
+
+    if (!invitee) {
+      unknownInvitees.push(email);
+    } else if (invitee._id.toString() !== req.user.id) {
+      registeredInvitees.push(invitee);
+    }
+  }
+
+  const quorum = req.body.quorum !== undefined
+    ? parseInt(req.body.quorum, 10)
+    : registeredInvitees.length;
+
+  if (isNaN(quorum) || quorum < 0 || quorum > registeredInvitees.length) {
+    return res.status(400).json({
+      success: false,
+      message: `Quorum must be between 0 and ${registeredInvitees.length} (the number of invitees with an account)`
+    });
+  }
+
+  const suggestions = await suggestMeetingTimes(host, registeredInvitees, {
+    ...options,
+    quorum,
+    limit: parseInt(req.body.limit, 10) || 10
+  });
+
+  res.status(200).json({
+    success: true,
+    timezone: options.timezone,
+    duration: options.duration,
+    quorum,
+    unknownInvitees,
+    count: suggestions.length,
+    data: suggestions
+  });
+});
+
+// @desc    Import meetings or busy time from an iCalendar (.ics) file
+// @route   POST /api/meetings/import
+// @access  Private
+exports.importCalendar = asyncHandler(async (req, res) => {
+  // Accept the raw file (text/calendar) or JSON with the file in an "ics" field
+  const body = typeof req.body === 'string' ? { ics: req.body } : (req.body || {});
+  const mode = req.query.mode || body.mode || 'meetings';
+  const dryRun = isFlagSet(req.query.dryRun ?? body.dryRun);
+  const allowConflicts = isFlagSet(req.query.allowConflicts ?? body.allowConflicts);
+
+  if (!body.ics || typeof body.ics !== 'string') {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide the contents of an .ics file'
+    });
+  }
+
+  if (!IMPORT_MODES.includes(mode)) {
+    return res.status(400).json({
+      success: false,
+      message: `Mode must be one of: ${IMPORT_MODES.join(', ')}`
+    });
+  }
+
+  const user = await User.findById(req.user.id);
+  const plan = await planImport(user, body.ics, { mode });
+
+  if (plan.error) {
+    return res.status(400).json({
+      success: false,
+      message: plan.error
+    });
+  }
+
+  const items = dryRun ? plan.items : await commitImport(user, plan.items, { mode, allowConflicts });
+
+  console.log(`Calendar import by ${user.email}: ${items.length} events, mode ${mode}${dryRun ? ' (dry run)' : ''}`);
+
+  const summary = items.reduce((counts, item) => {
+    counts[item.action] = (counts[item.action] || 0) + 1;
+    return counts;
+  }, { total: items.length });
+
+  res.status(dryRun ? 200 : 201).json({
+    success: true,
+    dryRun,
+    mode,
+    summary,
+    data: items.map(formatImportItem)
+  });
+});
+
+// Helper: Validate the date range, duration, granularity and timezone of a slot search
+function parseSearchOptions(body, user) {
+  const { startDate, endDate } = body;
+  const duration = parseInt(body.duration, 10);
+  const granularity = parseInt(body.granularity, 10) || duration;
+
+  // Validate required fields
+  if (!startDate || !endDate || !duration) {
+    return { error: 'Please provide startDate, endDate and duration' };
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate) || !/^\d{4}-\d{2}-\d{2}$/.test(endDate) || endDate < startDate) {
+    return { error: 'Please provide a valid date range in YYYY-MM-DD format' };
+  }
+
+  if (listDates(startDate, endDate).length > MAX_FREE_SLOT_RANGE_DAYS) {
+    return { error: `Date range cannot be longer than ${MAX_FREE_SLOT_RANGE_DAYS} days` };
+  }
+
+  if (duration <= 0 || granularity <= 0) {
+    return { error: 'Duration and granularity must be positive numbers of minutes' };
+  }
+
+  // Render windows in the requested timezone, or the viewer's preferred one
+  const timezone = body.timezone || user.preferences?.timezone || DEFAULT_TIMEZONE;
+
+  if (!isValidTimezone(timezone)) {
+    return { error: `${timezone} is not a valid timezone` };
+  }
+
+  // Which of the searching user's own schedules to use; their default if not given
+  const scheduleId = body.scheduleId || null;
+
+  if (!ownsSchedule(user, scheduleId)) {
+    return { error: 'Availability schedule not found' };
+  }
+
+  return { startDate, endDate, duration, granularity, timezone, scheduleId };
+}
+
+// Helper: Find accepted participants who have another meeting at the given time,
+// or whose scheduling rules the time breaks. The host is held to their buffers
+// and daily limit; the others also to their notice and horizon. The meeting's
+// timezone, schedule and buffers apply unless the update changes them.
+async function findParticipantConflicts(meeting, date, startTime, endTime, {
+  timezone = meeting.timezone,
+  scheduleId = meeting.scheduleId,
+  buffers = meeting
+} = {}) {
+  const conflicts = [];
   
-  // Format: "HH:MM AM/PM" (12-hour format)
-  if (timeStr.includes(' ')) {
-    const [time, period] = timeStr.split(' ');
-    let [hours, minutes] = time.split(':').map(Number);
-    
-    // Convert to 24-hour format
-    if (period && period.toUpperCase() === 'PM' && hours < 12) {
-      hours += 12;
-    } else if (period && period.toUpperCase() === 'AM' && hours === 12) {
-      hours = 0;
+  for (const participant of meeting.participants) {
+    if (participant.status === 'accepted' && participant.userId) {
+      const isHost = participant.userId.toString() === meeting.hostId.toString();
+      const conflict = await checkTimeConflict(
+        participant.userId,
+        date,
+        startTime,
+        endTime,
+        meeting._id, // Exclude current meeting from conflict check
+        timezone,
+        isHost ? scheduleId : null // The host's hours come from the meeting's schedule
+      );
+      
+      if (conflict) {
+        conflicts.push({
+          userId: participant.userId,
+          email: participant.email,
+          violations: [describeConflict(conflict)]
+        });
+        continue;
+      }
+      
+      const user = await User.findById(participant.userId);
+      if (!user) continue;
+      
+      const violations = await checkSchedulingRules(user, date, startTime, endTime, {
+        timezone,
+        excludeMeetingId: meeting._id,
+        buffers,
+        bookedByOther: !isHost
+      });
+      
+      if (violations.length > 0) {
+        conflicts.push({
+          userId: participant.userId,
+          email: participant.email,
+          violations
+        });
+      }
     }
-    
-    return hours * 60 + minutes;
   }
   
-  // Default if none of the above matched
-  return 0;
-} 
\ No newline at end of file
+  return conflicts;
+}
+
+// Helper: A series (as a plain object) with changes made to it as a whole, or
+// from an occurrence on. From an occurrence on, it is the part split off from
+// there: it starts that day (or on `date`) and keeps the occurrences left.
+function applySeriesChanges(meeting, occurrenceDate, scope, changes, date) {
+  const series = { ...meeting.toObject(), ...changes };
+  
+  if (scope === 'all' || occurrenceDate === meeting.date) {
+    return series;
+  }
+  
+  const recurrence = { ...meeting.recurrence.toObject(), ...(changes.recurrence || {}) };
+  
+  if (recurrence.count && !(changes.recurrence && changes.recurrence.count)) {
+    recurrence.count = recurrence.count - countOccurrencesBefore(meeting, occurrenceDate);
+  }
+  
+  return {
+    ...series,
+    date: date || occurrenceDate,
+    recurrence,
+    exceptions: series.exceptions.filter(e => e.originalDate >= occurrenceDate)
+  };
+}
+
+// Helper: Check the time of a new meeting (or a copy) against the host's
+// calendar, then their scheduling rules. Returns the message and details to
+// refuse it with, or null when the host is free.
+async function checkHostTime(user, meetingData, eventType = null) {
+  const { date, startTime, endTime, timezone, scheduleId } = meetingData;
+  
+  const conflict = await checkTimeConflict(user.id, date, startTime, endTime, null, timezone, scheduleId);
+  
+  if (conflict) {
+    return {
+      message: 'Time conflicts detected with your calendar',
+      conflicts: [{
+        userId: user.id,
+        email: user.email,
+        violations: [describeConflict(conflict)]
+      }]
+    };
+  }
+  
+  const violations = await checkSchedulingRules(user, date, startTime, endTime, {
+    timezone,
+    eventType,
+    buffers: meetingData
+  });
+  
+  if (violations.length > 0) {
+    return {
+      message: `This time breaks your scheduling rules: ${violations[0].message}`,
+      violations
+    };
+  }
+  
+  return null;
+}
+
+// Helper: Describe a clash found by checkTimeConflict as a violation
+function describeConflict(conflict) {
+  return conflict.isTimeOff
+    ? { rule: 'time-off', message: `Is off on ${conflict.date} ("${conflict.title}")` }
+    : { rule: 'conflict', message: `Already has "${conflict.title}" at this time` };
+}
+
+// Helper: Copy only the allowed fields that are present in the request body
+function pickFields(body, fields) {
+  const picked = {};
+  fields.forEach(field => {
+    if (body[field] !== undefined) {
+      picked[field] = body[field];
+    }
+  });
+  return picked;
+}
+
+// Helper: Read a boolean flag from a query string or JSON body
+function isFlagSet(value) {
+  return value === true || value === 'true' || value === '1';
+}
@@ -0,0 +1,613 @@
+const mongoose = require('mongoose');
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const MeetingInvitation = require('../models/MeetingInvitation');
+const EventType = require('../models/EventType');
+const Team = require('../models/Team');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+  parseTimeToMinutes,
+  formatMinutes,
+  isWithinAvailability,
+  checkTimeConflict,
+  findEarlierOverlap,
+  checkSchedulingRules,
+  getOpenSlots
+} = require('../utils/scheduling');
+const { publish } = require('../utils/meetingEvents');
+const { auditMeeting } = require('../utils/audit');
+const { resolveDuration, applyEventType, toPublicEventType } = require('../utils/eventTypes');
+const { resolveSchedule, getScheduleTimezone } = require('../utils/availabilitySchedules');
+const { validateMeetingTimes } = require('../utils/timeSlots');
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  zonedTimeToUtc,
+  utcToZonedTime
+} = require('../utils/timezone');
+const { TEAM_ASSIGNMENTS, assignHosts, getAssignedOpenSlots } = require('../utils/hostAssignment');
+const { sameId } = require('../utils/permissions');
+
+const DEFAULT_DURATION = 30;
+// Longest meeting a guest can book when not booking an event type (one day)
+const MAX_GUEST_DURATION = 24 * 60;
+const EMAIL_REGEX = /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Helper: Find a host's bookable event type by slug. Team event types that
+// assign their hosts are booked on the team's page instead. Sends a 404 and
+// returns null if there's none.
+async function findBookableEventType(host, slug, res) {
+  const eventType = await EventType.findOne({
+    hostId: host._id,
+    slug: String(slug).toLowerCase(),
+    isActive: true,
+    assignment: { $nin: TEAM_ASSIGNMENTS }
+  });
+
+  if (!eventType) {
+    res.status(404).json({
+      success: false,
+      message: 'Event type not found'
+    });
+    return null;
+  }
+
+  return eventType;
+}
+
+// @desc    Get a host's public booking page
+// @route   GET /api/public/:username
+// @access  Public
+exports.getHostProfile = asyncHandler(async (req, res) => {
+  const host = await User.findOne({ username: req.params.username, isActive: { $ne: false } });
+
+  if (!host) {
+    return res.status(404).json({
+      success: false,
+      message: 'Host not found'
+    });
+  }
+
+  const eventTypes = await EventType.find({
+    hostId: host._id,
+    isActive: true,
+    assignment: { $nin: TEAM_ASSIGNMENTS }
+  }).sort({ createdAt: 1 });
+  const schedule = resolveSchedule(host);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      name: host.name,
+      username: host.username,
+      timezone: getScheduleTimezone(host, schedule),
+      availability: schedule.availability
+        .filter(a => a.isAvailable)
+        .map(a => ({ day: a.day, slots: a.slots })),
+      eventTypes: eventTypes.map(toPublicEventType)
+    }
+  });
+});
+
+// @desc    Get a host's open slots for a date
+// @route   GET /api/public/:username/slots
+// @access  Public
+exports.getHostSlots = asyncHandler(async (req, res) => {
+  const { date } = req.query;
+  let duration = resolveGuestDuration(req.query.duration);
+
+  if (!date || !DATE_REGEX.test(date)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a date in YYYY-MM-DD format'
+    });
+  }
+
+  const host = await User.findOne({ username: req.params.username, isActive: { $ne: false } });
+
+  if (!host) {
+    return res.status(404).json({
+      success: false,
+      message: 'Host not found'
+    });
+  }
+
+  // Booking an event type: slots are as long as one of its durations
+  let eventType = null;
+
+  if (req.query.eventType) {
+    eventType = await findBookableEventType(host, req.query.eventType, res);
+    if (!eventType) return;
+
+    duration = resolveDuration(eventType, req.query.duration);
+
+    if (!duration) {
+      return res.status(400).json({
+        success: false,
+        message: `Duration must be one of ${eventType.durations.join(', ')} minutes`
+      });
+    }
+  } else if (!duration) {
+    return res.status(400).json({
+      success: false,
+      message: `Duration must be a whole number of minutes from 1 to ${MAX_GUEST_DURATION}`
+    });
+  }
+
+  // The event type's schedule sets the hours (and their timezone); otherwise the host's default
+  const schedule = resolveSchedule(host, eventType?.scheduleId);
+  const hostTimezone = getScheduleTimezone(host, schedule);
+  const viewerTimezone = isValidTimezone(req.query.viewerTimezone) ? req.query.viewerTimezone : hostTimezone;
+
+  // Slots are computed on the host's calendar, within their scheduling rules;
+  // also render them for the guest
+  const openSlots = await getOpenSlots(host, date, duration, duration, { schedule, eventType, bookedByOther: true });
+  const slots = openSlots.map(slot => localizeSlot(slot, viewerTimezone));
+
+  res.status(200).json({
+    success: true,
+    date,
+    duration,
+    timezone: hostTimezone,
+    viewerTimezone,
+    count: slots.length,
+    data: slots
+  });
+});
+
+// @desc    Book a meeting with a host
+// @route   POST /api/public/:username/book
+// @access  Public
+exports.bookWithHost = asyncHandler(async (req, res) => {
+  if (!validateGuestBooking(req, res)) return;
+
+  const host = await User.findOne({ username: req.params.username, isActive: { $ne: false } });
+
+  if (!host) {
+    return res.status(404).json({
+      success: false,
+      message: 'Host not found'
+    });
+  }
+
+  // Booking an event type: the meeting inherits its settings and the guest answers its questions
+  let eventType = null;
+  let eventTypeFields = null;
+  let duration = resolveGuestDuration(req.body.duration);
+
+  if (req.body.eventType) {
+    eventType = await findBookableEventType(host, req.body.eventType, res);
+    if (!eventType) return;
+
+    eventTypeFields = applyBookedEventType(eventType, req, res);
+    if (!eventTypeFields) return;
+
+    duration = eventTypeFields.duration;
+  } else if (!duration) {
+    return res.status(400).json({
+      success: false,
+      message: `Duration must be a whole number of minutes from 1 to ${MAX_GUEST_DURATION}`
+    });
+  }
+
+  // The date and time are wall-clock values in the given timezone, defaulting to
+  // that of the host's schedule for this booking
+  const schedule = resolveSchedule(host, eventType?.scheduleId);
+  const time = resolveBookingTime(req, res, duration, getScheduleTimezone(host, schedule));
+  if (!time) return;
+
+  const { date, startTime, endTime, timezone, start, end } = time;
+
+  // The requested time must fall inside one of the host's available slots
+  if (!isWithinAvailability(host, start, end, schedule)) {
+    return res.status(400).json({
+      success: false,
+      message: `${host.name} is not available at this time`
+    });
+  }
+
+  // Make sure the host isn't already booked
+  const conflict = await checkTimeConflict(host._id, date, startTime, endTime, null, timezone, schedule._id);
+
+  if (conflict) {
+    return res.status(409).json({
+      success: false,
+      message: 'This time slot is no longer available'
+    });
+  }
+
+  // And that the time respects the host's scheduling rules
+  const violations = await checkSchedulingRules(host, date, startTime, endTime, {
+    timezone,
+    eventType,
+    bookedByOther: true
+  });
+
+  if (violations.length > 0) {
+    return res.status(409).json({
+      success: false,
+      message: `This time can't be booked: ${violations[0].message}`,
+      violations
+    });
+  }
+
+  await createGuestBooking(req, res, { hosts: [host], eventTypeFields, duration, time });
+});
+
+// @desc    Get a team's public booking page
+// @route   GET /api/public/teams/:teamId
+// @access  Public
+exports.getTeamProfile = asyncHandler(async (req, res) => {
+  const team = await findPublicTeam(req.params.teamId, res);
+  if (!team) return;
+
+  const eventTypes = await EventType.find({ teamId: team._id, isActive: true }).sort({ createdAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      id: team._id,
+      name: team.name,
+      description: team.description,
+      eventTypes: eventTypes.map(eventType => ({
+        ...toPublicEventType(eventType),
+        assignment: eventType.assignment
+      }))
+    }
+  });
+});
+
+// @desc    Get the open slots of a team event type for a date: times when a
+//          member can take it (round-robin) or all its hosts are free (collective)
+// @route   GET /api/public/teams/:teamId/slots
+// @access  Public
+exports.getTeamSlots = asyncHandler(async (req, res) => {
+  const { date } = req.query;
+
+  if (!date || !DATE_REGEX.test(date) || !req.query.eventType) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide an eventType and a date in YYYY-MM-DD format'
+    });
+  }
+
+  const team = await findPublicTeam(req.params.teamId, res);
+  if (!team) return;
+
+  const eventType = await findBookableTeamEventType(team, req.query.eventType, res);
+  if (!eventType) return;
+
+  const duration = resolveDuration(eventType, req.query.duration);
+
+  if (!duration) {
+    return res.status(400).json({
+      success: false,
+      message: `Duration must be one of ${eventType.durations.join(', ')} minutes`
+    });
+  }
+
+  // Slots are computed in the timezone of the event type's host; also render them for the guest
+  const timezone = await getEventTypeTimezone(eventType);
+  const viewerTimezone = isValidTimezone(req.query.viewerTimezone) ? req.query.viewerTimezone : timezone;
+  const openSlots = await getAssignedOpenSlots(eventType, team, date, duration, timezone);
+
+  res.status(200).json({
+    success: true,
+    date,
+    duration,
+    timezone,
+    viewerTimezone,
+    count: openSlots.length,
+    data: openSlots.map(slot => localizeSlot(slot, viewerTimezone))
+  });
+});
+
+// @desc    Book a team event type. The host is picked by the event type's
+//          assignment: the next free member (round-robin) or all its hosts (collective).
+// @route   POST /api/public/teams/:teamId/book
+// @access  Public
+exports.bookWithTeam = asyncHandler(async (req, res) => {
+  if (!validateGuestBooking(req, res)) return;
+
+  if (!req.body.eventType) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide the eventType to book'
+    });
+  }
+
+  const team = await findPublicTeam(req.params.teamId, res);
+  if (!team) return;
+
+  const eventType = await findBookableTeamEventType(team, req.body.eventType, res);
+  if (!eventType) return;
+
+  const eventTypeFields = applyBookedEventType(eventType, req, res);
+  if (!eventTypeFields) return;
+
+  const time = resolveBookingTime(req, res, eventTypeFields.duration, await getEventTypeTimezone(eventType));
+  if (!time) return;
+
+  // Pick the host(s) who are free then: within their hours, not booked and within their rules
+  const { hosts, assignment, error, statusCode } = await assignHosts(eventType, team, time);
+
+  if (error) {
+    return res.status(statusCode).json({
+      success: false,
+      message: error
+    });
+  }
+
+  // The event type's schedule is its own host's; anyone else hosts on their default one
+  if (!sameId(hosts[0], eventType.hostId)) {
+    eventTypeFields.scheduleId = undefined;
+  }
+
+  await createGuestBooking(req, res, {
+    hosts,
+    eventTypeFields,
+    duration: eventTypeFields.duration,
+    time,
+    metadata: { assignment }
+  });
+});
+
+// Helper: Find a team for its public pages. Sends a 404 and returns null if there's none.
+async function findPublicTeam(teamId, res) {
+  const team = mongoose.isValidObjectId(teamId) ? await Team.findById(teamId) : null;
+
+  if (!team) {
+    res.status(404).json({
+      success: false,
+      message: 'Team not found'
+    });
+    return null;
+  }
+
+  return team;
+}
+
+// Helper: Find a team's bookable event type by slug. Sends a 404 and returns null if there's none.
+async function findBookableTeamEventType(team, slug, res) {
+  const eventType = await EventType.findOne({ teamId: team._id, slug: String(slug).toLowerCase(), isActive: true });
+
+  if (!eventType) {
+    res.status(404).json({
+      success: false,
+      message: 'Event type not found'
+    });
+    return null;
+  }
+
+  return eventType;
+}
+
+// Helper: The timezone of an event type's own host's schedule for it
+async function getEventTypeTimezone(eventType) {
+  const host = await User.findById(eventType.hostId);
+
+  return host ? getScheduleTimezone(host, resolveSchedule(host, eventType.scheduleId)) : DEFAULT_TIMEZONE;
+}
+
+// Helper: Render a slot in the viewer's timezone too
+function localizeSlot(slot, viewerTimezone) {
+  const localStart = utcToZonedTime(new Date(slot.start), viewerTimezone);
+  const localEnd = utcToZonedTime(new Date(slot.end), viewerTimezone);
+
+  return {
+    ...slot,
+    local: {
+      date: localStart.date,
+      startTime: localStart.time,
+      endTime: localEnd.time
+    }
+  };
+}
+
+// Helper: Check the length of a booking that isn't of an event type is a whole,
+// positive number of minutes up to a day; defaults to DEFAULT_DURATION. Returns
+// null if it isn't.
+function resolveGuestDuration(requested) {
+  if (requested === undefined || requested === null || requested === '') {
+    return DEFAULT_DURATION;
+  }
+
+  const duration = Number(requested);
+  return Number.isInteger(duration) && duration > 0 && duration <= MAX_GUEST_DURATION ? duration : null;
+}
+
+// Helper: Check a booking request names the guest and a valid date and start
+// time. Sends a 400 and returns false if not.
+function validateGuestBooking(req, res) {
+  const { name, email, date, startTime } = req.body;
+
+  // Validate required fields
+  if (!name || !email || !date || !startTime) {
+    res.status(400).json({
+      success: false,
+      message: 'Please provide name, email, date and startTime'
+    });
+    return false;
+  }
+
+  if (!EMAIL_REGEX.test(email)) {
+    res.status(400).json({
+      success: false,
+      message: 'Please provide a valid email'
+    });
+    return false;
+  }
+
+  const { errors: timeErrors } = validateMeetingTimes({ date, startTime });
+
+  if (timeErrors) {
+    res.status(400).json({
+      success: false,
+      message: 'Please provide a date in YYYY-MM-DD format and a valid startTime',
+      errors: timeErrors
+    });
+    return false;
+  }
+
+  return true;
+}
+
+// Helper: Work out the fields a booking inherits from an event type, with the
+// guest's duration and answers. Sends a 400 and returns null if they don't fit.
+function applyBookedEventType(eventType, req, res) {
+  const { fields, error, errors } = applyEventType(eventType, {
+    duration: req.body.duration,
+    answers: req.body.answers
+  });
+
+  if (error) {
+    res.status(400).json({
+      success: false,
+      message: error,
+      errors
+    });
+    return null;
+  }
+
+  return fields;
+}
+
+// Helper: Work out when a booking starts and ends. The date and start time are
+// wall-clock values in the requested timezone, or `defaultTimezone`. Returns
+// { date, startTime, endTime, timezone, start, end }, or sends a 400 and
+// returns null when the time can't be booked.
+function resolveBookingTime(req, res, duration, defaultTimezone) {
+  const { date } = req.body;
+  const startMinutes = parseTimeToMinutes(req.body.startTime);
+  const endMinutes = startMinutes + duration;
+
+  if (!Number.isInteger(duration) || duration <= 0) {
+    res.status(400).json({
+      success: false,
+      message: 'Duration must be a positive whole number of minutes'
+    });
+    return null;
+  }
+
+  if (endMinutes > 24 * 60) {
+    res.status(400).json({
+      success: false,
+      message: 'Meeting must end on the same day it starts'
+    });
+    return null;
+  }
+
+  const timezone = req.body.timezone || defaultTimezone;
+
+  if (!isValidTimezone(timezone)) {
+    res.status(400).json({
+      success: false,
+      message: `${timezone} is not a valid timezone`
+    });
+    return null;
+  }
+
+  const startTime = formatMinutes(startMinutes);
+  const endTime = formatMinutes(endMinutes);
+  const start = zonedTimeToUtc(date, startTime, timezone);
+  const end = zonedTimeToUtc(date, endTime, timezone);
+
+  if (start < new Date()) {
+    res.status(400).json({
+      success: false,
+      message: 'Cannot book a time in the past'
+    });
+    return null;
+  }
+
+  return { date, startTime, endTime, timezone, start, end };
+}
+
+// Helper: Create a guest's booking and send it back. The first of `hosts` hosts
+// the meeting; any others join it as accepted participants.
+async function createGuestBooking(req, res, { hosts, eventTypeFields, duration, time, metadata = {} }) {
+  const { name, title, description } = req.body;
+  const { date, startTime, endTime, timezone, start, end } = time;
+  const [host] = hosts;
+  const guestEmail = req.body.email.toLowerCase();
+
+  // Link the guest to their account if they have one
+  const guestUser = await User.findOne({ email: guestEmail });
+
+  const meeting = await Meeting.create({
+    ...eventTypeFields,
+    hostId: host._id,
+    title: eventTypeFields ? `${eventTypeFields.title} with ${name}` : title || `Meeting with ${name}`,
+    description: eventTypeFields ? eventTypeFields.description : description,
+    date,
+    startTime,
+    endTime,
+    duration,
+    timezone,
+    participants: [
+      ...hosts.map(user => ({
+        userId: user._id,
+        email: user.email,
+        status: 'accepted'
+      })),
+      {
+        userId: guestUser ? guestUser._id : undefined,
+        email: guestEmail,
+        status: 'accepted',
+        responseAt: new Date()
+      }
+    ]
+  });
+
+  // Another guest may have booked the same time since it was checked: the
+  // earlier booking keeps it
+  for (const user of hosts) {
+    if (await findEarlierOverlap(meeting, user._id)) {
+      await meeting.deleteOne();
+
+      return res.status(409).json({
+        success: false,
+        message: 'This time slot is no longer available'
+      });
+    }
+  }
+
+  const invitation = await MeetingInvitation.create({
+    meetingId: meeting._id,
+    userId: guestUser ? guestUser._id : undefined,
+    email: guestEmail,
+    status: 'accepted'
+  });
+
+  console.log(`Public booking created: ${guestEmail} booked ${hosts.map(user => user.username).join(', ')} on ${date} ${meeting.startTime}`);
+
+  await auditMeeting(meeting, 'create', guestUser || { email: guestEmail }, {
+    metadata: { via: 'public-booking', ...metadata }
+  });
+
+  await publish('meeting.created', { meeting });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      meetingId: meeting._id,
+      invitationId: invitation._id,
+      title: meeting.title,
+      date: meeting.date,
+      startTime: meeting.startTime,
+      endTime: meeting.endTime,
+      duration: meeting.duration,
+      timezone: meeting.timezone,
+      eventTypeId: meeting.eventTypeId,
+      meetingLink: meeting.meetingLink,
+      start: start.toISOString(),
+      end: end.toISOString(),
+      host: {
+        name: host.name,
+        username: host.username
+      },
+      ...(hosts.length > 1 ? { hosts: hosts.map(user => ({ name: user.name, username: user.username })) } : {})
+    }
+  });
+}
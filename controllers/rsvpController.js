@@ -0,0 +1,110 @@
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const { verifyRsvpToken, redeemRsvpToken } = require('../utils/rsvpTokens');
+const { applyInvitationResponse } = require('../utils/invitations');
+const { localizeMeeting } = require('../utils/timezone');
+
+// Helper: The meeting details an invitee sees on the RSVP page
+async function getMeetingSummary(meetingId) {
+  const meeting = await Meeting.findById(meetingId);
+
+  if (!meeting) {
+    return null;
+  }
+
+  const host = await User.findById(meeting.hostId);
+  const localized = localizeMeeting(meeting.toObject(), meeting.timezone);
+
+  return {
+    id: meeting._id,
+    title: meeting.title,
+    description: meeting.description,
+    date: meeting.date,
+    startTime: meeting.startTime,
+    endTime: meeting.endTime,
+    timezone: meeting.timezone,
+    start: localized.start,
+    end: localized.end,
+    recurrence: meeting.recurrence,
+    meetingLink: meeting.meetingLink,
+    status: meeting.status,
+    host: host ? { name: host.name } : null
+  };
+}
+
+// @desc    Get the invitation behind an RSVP link
+// @route   GET /api/rsvp/:token
+// @access  Public (RSVP token)
+exports.getRsvp = asyncHandler(async (req, res) => {
+  const { invitation, error, statusCode } = await verifyRsvpToken(req.params.token);
+
+  if (error) {
+    return res.status(statusCode).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const meeting = await getMeetingSummary(invitation.meetingId);
+
+  if (!meeting) {
+    return res.status(404).json({
+      success: false,
+      message: 'Meeting not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      email: invitation.email,
+      status: invitation.status,
+      meeting
+    }
+  });
+});
+
+// @desc    Accept or decline an invitation through an RSVP link
+// @route   POST /api/rsvp/:token
+// @access  Public (RSVP token)
+exports.respondToRsvp = asyncHandler(async (req, res) => {
+  const { status } = req.body;
+
+  if (!status || !['accepted', 'rejected'].includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a valid status (accepted or rejected)'
+    });
+  }
+
+  const { invitation, error, statusCode } = await redeemRsvpToken(req.params.token);
+
+  if (error) {
+    return res.status(statusCode).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const responder = invitation.userId ? await User.findById(invitation.userId) : null;
+  const meeting = await applyInvitationResponse(invitation, status, responder);
+
+  if (!meeting) {
+    return res.status(404).json({
+      success: false,
+      message: 'Meeting not found'
+    });
+  }
+
+  console.log(`RSVP: ${invitation.email} ${status} meeting ${meeting._id}`);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      email: invitation.email,
+      status: invitation.status,
+      meeting: await getMeetingSummary(meeting._id)
+    }
+  });
+});
@@ -0,0 +1,519 @@
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const TeamInvitation = require('../models/TeamInvitation');
+const User = require('../models/User');
+const Meeting = require('../models/Meeting');
+const EventType = require('../models/EventType');
+const asyncHandler = require('../utils/asyncHandler');
+const { TEAM_MANAGER_ROLES, sameId, findTeamMember, hasTeamRole } = require('../utils/permissions');
+const { findUserTeams, findMemberTeam } = require('../utils/teams');
+const { getFreeBusy } = require('../utils/scheduling');
+const { expandOccurrences, occurrenceDateFilter } = require('../utils/recurrence');
+const { DEFAULT_TIMEZONE, isValidTimezone, listDates, resolveViewerTimezone, localizeMeeting } = require('../utils/timezone');
+const { notifyTeamInvitation } = require('../utils/notifications');
+
+// Longest date range a free/busy view covers
+const MAX_FREE_BUSY_RANGE_DAYS = 31;
+
+const INVITABLE_ROLES = ['admin', 'member'];
+
+// Helper: Find a team the current user belongs to, or send a 404
+async function findOwnTeam(req, res) {
+  const team = await findMemberTeam(req.params.id, req.user);
+
+  if (!team) {
+    res.status(404).json({
+      success: false,
+      message: 'Team not found'
+    });
+    return null;
+  }
+
+  return team;
+}
+
+// Helper: Check the current user manages the team (owner or admin), or send a 403
+function requireManager(team, req, res) {
+  if (hasTeamRole(team, req.user, ...TEAM_MANAGER_ROLES)) return true;
+
+  res.status(403).json({
+    success: false,
+    message: 'Only team owners and admins can do this'
+  });
+  return false;
+}
+
+// Helper: Find a pending team invitation addressed to the current user, or send a 404
+async function findOwnInvitation(req, res) {
+  const invitation = mongoose.isValidObjectId(req.params.invitationId)
+    ? await TeamInvitation.findOne({ _id: req.params.invitationId, email: req.user.email, status: 'pending' })
+    : null;
+
+  if (!invitation) {
+    res.status(404).json({
+      success: false,
+      message: 'Invitation not found'
+    });
+    return null;
+  }
+
+  return invitation;
+}
+
+// @desc    Get the current user's teams
+// @route   GET /api/teams
+// @access  Private
+exports.getTeams = asyncHandler(async (req, res) => {
+  const teams = await findUserTeams(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    count: teams.length,
+    data: teams.map(team => ({
+      ...team.toObject(),
+      role: findTeamMember(team, req.user).role
+    }))
+  });
+});
+
+// @desc    Create a team, owned by the current user
+// @route   POST /api/teams
+// @access  Private
+exports.createTeam = asyncHandler(async (req, res) => {
+  const { name, description } = req.body;
+
+  const team = await Team.create({
+    name,
+    description,
+    createdBy: req.user._id,
+    members: [{ userId: req.user._id, role: 'owner' }]
+  });
+
+  console.log(`Team ${team._id} created by user ${req.user._id}`);
+
+  res.status(201).json({
+    success: true,
+    data: team
+  });
+});
+
+// @desc    Get a team with its members
+// @route   GET /api/teams/:id
+// @access  Private (team members)
+exports.getTeam = asyncHandler(async (req, res) => {
+  const team = await findOwnTeam(req, res);
+  if (!team) return;
+
+  await team.populate('members.userId', 'name username email preferences.timezone');
+
+  res.status(200).json({
+    success: true,
+    data: team
+  });
+});
+
+// @desc    Update a team's name or description
+// @route   PUT /api/teams/:id
+// @access  Private (team owners and admins)
+exports.updateTeam = asyncHandler(async (req, res) => {
+  const team = await findOwnTeam(req, res);
+  if (!team || !requireManager(team, req, res)) return;
+
+  ['name', 'description'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      team[field] = req.body[field];
+    }
+  });
+  await team.save();
+
+  res.status(200).json({
+    success: true,
+    data: team
+  });
+});
+
+// @desc    Delete a team with its event types and invitations. Meetings are kept.
+// @route   DELETE /api/teams/:id
+// @access  Private (team owner)
+exports.deleteTeam = asyncHandler(async (req, res) => {
+  const team = await findOwnTeam(req, res);
+  if (!team) return;
+
+  if (!hasTeamRole(team, req.user, 'owner')) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the team owner can delete the team'
+    });
+  }
+
+  await EventType.deleteMany({ teamId: team._id });
+  await TeamInvitation.deleteMany({ teamId: team._id });
+  await Meeting.updateMany({ teamId: team._id }, { $unset: { teamId: 1 } });
+  await team.deleteOne();
+
+  console.log(`Team ${team._id} deleted by user ${req.user._id}`);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Change a member's role. The owner can hand ownership to another
+//          member, becoming an admin.
+// @route   PUT /api/teams/:id/members/:userId
+// @access  Private (team owners and admins)
+exports.updateTeamMember = asyncHandler(async (req, res) => {
+  const team = await findOwnTeam(req, res);
+  if (!team || !requireManager(team, req, res)) return;
+
+  const { role } = req.body;
+  const member = findTeamMember(team, req.params.userId);
+
+  if (!member) {
+    return res.status(404).json({
+      success: false,
+      message: 'Member not found'
+    });
+  }
+
+  if (![...INVITABLE_ROLES, 'owner'].includes(role)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Role must be one of owner, admin, member'
+    });
+  }
+
+  const isOwner = hasTeamRole(team, req.user, 'owner');
+
+  // Only the owner touches ownership
+  if ((role === 'owner' || member.role === 'owner') && !isOwner) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the team owner can change who owns the team'
+    });
+  }
+
+  if (member.role === 'owner' && role !== 'owner') {
+    return res.status(400).json({
+      success: false,
+      message: 'Hand ownership to another member instead'
+    });
+  }
+
+  if (role === 'owner' && member.role !== 'owner') {
+    findTeamMember(team, req.user).role = 'admin';
+  }
+
+  member.role = role;
+  await team.save();
+
+  res.status(200).json({
+    success: true,
+    data: team
+  });
+});
+
+// @desc    Remove a member from a team, or leave it. Team event types they
+//          host are switched off until someone else hosts them.
+// @route   DELETE /api/teams/:id/members/:userId
+// @access  Private (team owners and admins; any member for themselves)
+exports.removeTeamMember = asyncHandler(async (req, res) => {
+  const team = await findOwnTeam(req, res);
+  if (!team) return;
+
+  const isSelf = sameId(req.user, req.params.userId);
+
+  if (!isSelf && !requireManager(team, req, res)) return;
+
+  const member = findTeamMember(team, req.params.userId);
+
+  if (!member) {
+    return res.status(404).json({
+      success: false,
+      message: 'Member not found'
+    });
+  }
+
+  if (member.role === 'owner') {
+    return res.status(400).json({
+      success: false,
+      message: 'The owner can\'t leave the team; hand ownership to another member first'
+    });
+  }
+
+  team.members.pull(member._id);
+  await team.save();
+
+  const { modifiedCount } = await EventType.updateMany(
+    { teamId: team._id, hostId: member.userId, isActive: true },
+    { isActive: false }
+  );
+
+  console.log(`User ${member.userId} removed from team ${team._id}; ${modifiedCount} of its event types switched off`);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Get a team's invitations that haven't been answered
+// @route   GET /api/teams/:id/invitations
+// @access  Private (team owners and admins)
+exports.getTeamInvitations = asyncHandler(async (req, res) => {
+  const team = await findOwnTeam(req, res);
+  if (!team || !requireManager(team, req, res)) return;
+
+  const invitations = await TeamInvitation.find({ teamId: team._id, status: 'pending' })
+    .sort({ createdAt: -1 })
+    .populate('invitedBy', 'name email');
+
+  res.status(200).json({
+    success: true,
+    count: invitations.length,
+    data: invitations
+  });
+});
+
+// @desc    Invite someone to a team by email. Inviting an email again resends the invitation.
+// @route   POST /api/teams/:id/invitations
+// @access  Private (team owners and admins)
+exports.inviteToTeam = asyncHandler(async (req, res) => {
+  const team = await findOwnTeam(req, res);
+  if (!team || !requireManager(team, req, res)) return;
+
+  const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+  const role = req.body.role || 'member';
+
+  if (!/^\S+@\S+\.\S+$/.test(email)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a valid email'
+    });
+  }
+
+  if (!INVITABLE_ROLES.includes(role)) {
+    return res.status(400).json({
+      success: false,
+      message: `Role must be one of ${INVITABLE_ROLES.join(', ')}`
+    });
+  }
+
+  const existingUser = await User.findOne({ email });
+
+  if (existingUser && findTeamMember(team, existingUser)) {
+    return res.status(400).json({
+      success: false,
+      message: `${email} is already a member of this team`
+    });
+  }
+
+  let invitation = await TeamInvitation.findOne({ teamId: team._id, email, status: 'pending' });
+  const isNew = !invitation;
+
+  if (isNew) {
+    invitation = new TeamInvitation({ teamId: team._id, email });
+  }
+
+  invitation.role = role;
+  invitation.invitedBy = req.user._id;
+  await invitation.save();
+
+  notifyTeamInvitation(team, invitation, req.user);
+
+  res.status(isNew ? 201 : 200).json({
+    success: true,
+    data: invitation
+  });
+});
+
+// @desc    Revoke a team invitation
+// @route   DELETE /api/teams/:id/invitations/:invitationId
+// @access  Private (team owners and admins)
+exports.revokeTeamInvitation = asyncHandler(async (req, res) => {
+  const team = await findOwnTeam(req, res);
+  if (!team || !requireManager(team, req, res)) return;
+
+  const invitation = mongoose.isValidObjectId(req.params.invitationId)
+    ? await TeamInvitation.findOne({ _id: req.params.invitationId, teamId: team._id, status: 'pending' })
+    : null;
+
+  if (!invitation) {
+    return res.status(404).json({
+      success: false,
+      message: 'Invitation not found'
+    });
+  }
+
+  invitation.status = 'revoked';
+  invitation.respondedAt = new Date();
+  await invitation.save();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Get the current user's pending team invitations
+// @route   GET /api/teams/invitations
+// @access  Private
+exports.getMyTeamInvitations = asyncHandler(async (req, res) => {
+  const invitations = await TeamInvitation.find({ email: req.user.email, status: 'pending' })
+    .sort({ createdAt: -1 })
+    .populate('teamId', 'name description')
+    .populate('invitedBy', 'name email');
+
+  res.status(200).json({
+    success: true,
+    count: invitations.length,
+    data: invitations
+  });
+});
+
+// @desc    Accept a team invitation
+// @route   POST /api/teams/invitations/:invitationId/accept
+// @access  Private (the invitee)
+exports.acceptTeamInvitation = asyncHandler(async (req, res) => {
+  const invitation = await findOwnInvitation(req, res);
+  if (!invitation) return;
+
+  const team = await Team.findById(invitation.teamId);
+
+  if (!team) {
+    return res.status(404).json({
+      success: false,
+      message: 'Team not found'
+    });
+  }
+
+  if (!findTeamMember(team, req.user)) {
+    team.members.push({ userId: req.user._id, role: invitation.role });
+    await team.save();
+  }
+
+  invitation.status = 'accepted';
+  invitation.respondedAt = new Date();
+  await invitation.save();
+
+  console.log(`User ${req.user._id} joined team ${team._id}`);
+
+  res.status(200).json({
+    success: true,
+    data: team
+  });
+});
+
+// @desc    Decline a team invitation
+// @route   POST /api/teams/invitations/:invitationId/decline
+// @access  Private (the invitee)
+exports.declineTeamInvitation = asyncHandler(async (req, res) => {
+  const invitation = await findOwnInvitation(req, res);
+  if (!invitation) return;
+
+  invitation.status = 'declined';
+  invitation.respondedAt = new Date();
+  await invitation.save();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Get a team's meetings: booked from its event types or created for the team
+// @route   GET /api/teams/:id/meetings
+// @access  Private (team members)
+exports.getTeamMeetings = asyncHandler(async (req, res) => {
+  const team = await findOwnTeam(req, res);
+  if (!team) return;
+
+  const filter = { teamId: team._id };
+
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  // When a date range is given, include recurring series with occurrences in it
+  const { from, to } = req.query;
+  const expandRange = from && to;
+
+  if (expandRange) {
+    filter.$and = [occurrenceDateFilter(from, to)];
+  }
+
+  const meetings = await Meeting.find(filter)
+    .sort({ date: 1, startTime: 1 })
+    .populate('hostId', 'name username email');
+
+  const meetingObjects = meetings.map(meeting => meeting.toObject());
+  const expandedMeetings = expandRange
+    ? meetingObjects.flatMap(meetingObj => expandOccurrences(meetingObj, from, to))
+    : meetingObjects;
+
+  // Render times in the viewer's timezone
+  const viewerTimezone = resolveViewerTimezone(req.query.viewerTimezone, req.user);
+
+  res.status(200).json({
+    success: true,
+    count: expandedMeetings.length,
+    data: expandedMeetings.map(meetingObj => localizeMeeting(meetingObj, viewerTimezone))
+  });
+});
+
+// @desc    Get when a team's members are free and busy over a date range
+// @route   GET /api/teams/:id/free-busy
+// @access  Private (team members)
+exports.getTeamFreeBusy = asyncHandler(async (req, res) => {
+  const team = await findOwnTeam(req, res);
+  if (!team) return;
+
+  const { startDate, endDate } = req.query;
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || '') || !/^\d{4}-\d{2}-\d{2}$/.test(endDate || '') || endDate < startDate) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a valid startDate and endDate in YYYY-MM-DD format'
+    });
+  }
+
+  if (listDates(startDate, endDate).length > MAX_FREE_BUSY_RANGE_DAYS) {
+    return res.status(400).json({
+      success: false,
+      message: `Date range cannot be longer than ${MAX_FREE_BUSY_RANGE_DAYS} days`
+    });
+  }
+
+  // Dates are read in the requested timezone, or the viewer's preferred one
+  const timezone = req.query.timezone || req.user.preferences?.timezone || DEFAULT_TIMEZONE;
+
+  if (!isValidTimezone(timezone)) {
+    return res.status(400).json({
+      success: false,
+      message: `${timezone} is not a valid timezone`
+    });
+  }
+
+  const members = await User.find({
+    _id: { $in: team.members.map(member => member.userId) },
+    isActive: { $ne: false }
+  });
+
+  const freeBusy = await getFreeBusy(members, { startDate, endDate, timezone });
+
+  res.status(200).json({
+    success: true,
+    timezone,
+    commonFree: freeBusy.commonFree,
+    data: freeBusy.users.map(({ user, free, busy }) => ({
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: findTeamMember(team, user).role,
+      timezone: user.preferences?.timezone || DEFAULT_TIMEZONE,
+      free,
+      busy
+    }))
+  });
+});
@@ -1,7 +1,58 @@
+const crypto = require('crypto');
 const User = require('../models/User');
+const BusyBlock = require('../models/BusyBlock');
+const EventType = require('../models/EventType');
 const asyncHandler = require('../utils/asyncHandler');
+const { isValidTimezone, listDates } = require('../utils/timezone');
+const { DEFAULT_REMINDER_OFFSETS, isValidReminderOffsets } = require('../utils/reminderOffsets');
+const { auditAvailability, auditDateAvailability, auditSchedules } = require('../utils/audit');
+const { validateRules, getUserRules } = require('../utils/schedulingRules');
+const {
+  MAX_SCHEDULES,
+  ensureSchedules,
+  resolveSchedule,
+  findScheduleForUpdate,
+  setDefaultSchedule,
+  summarizeSchedule
+} = require('../utils/availabilitySchedules');
+const {
+  DAY_NAMES,
+  isValidDate,
+  validateDay,
+  validateWeeklyAvailability
+} = require('../utils/timeSlots');
+
+// Helper: The availability schedule a request targets (?schedule=<id> or
+// scheduleId in the body); null means the default schedule
+function getRequestedScheduleId(req) {
+  return req.query.schedule || req.body?.scheduleId || null;
+}
+
+// Helper: Apply an update of one day ({ isAvailable, slots }, checked with
+// validateDay) to a schedule. A day marked unavailable has no slots; otherwise
+// slots are only replaced when given. An available day without slots is
+// available all day. New days are available unless `isAvailableByDefault` is false.
+function applyDayUpdate(schedule, day, update, entry, isAvailableByDefault = true) {
+  const existing = schedule.availability.find(a => a.day === day);
+
+  if (!existing) {
+    const isAvailable = update.isAvailable !== undefined ? update.isAvailable : isAvailableByDefault;
+    schedule.availability.push({ day, isAvailable, slots: isAvailable ? entry.slots : [] });
+    return;
+  }
+
+  if (update.isAvailable !== undefined) {
+    existing.isAvailable = update.isAvailable;
+  }
+
+  if (!existing.isAvailable) {
+    existing.slots = [];
+  } else if (update.slots !== undefined) {
+    existing.slots = entry.slots;
+  }
+}
 
-// @desc    Get user's availability
+// @desc    Get user's weekly availability (of the default schedule, or ?schedule=<id>)
 // @route   GET /api/availability
 // @access  Private
 exports.getAvailability = asyncHandler(async (req, res) => {
@@ -14,13 +65,22 @@ exports.getAvailability = asyncHandler(async (req, res) => {
     });
   }
 
+  const { schedule, error, statusCode } = findScheduleForUpdate(user, getRequestedScheduleId(req));
+
+  if (error) {
+    return res.status(statusCode).json({
+      success: false,
+      message: error
+    });
+  }
+
   res.status(200).json({
     success: true,
-    data: user.availability
+    data: schedule.availability
   });
 });
 
-// @desc    Update user's availability
+// @desc    Update user's weekly availability (of the default schedule, or ?schedule=<id>)
 // @route   PUT /api/availability
 // @access  Private
 exports.updateAvailability = asyncHandler(async (req, res) => {
@@ -28,11 +88,14 @@ exports.updateAvailability = asyncHandler(async (req, res) => {
   console.log(`Updating availability for user ID: ${req.user.id}`);
   console.log('Received availability data:', JSON.stringify(availability));
 
-  if (!availability || !Array.isArray(availability)) {
+  const validated = validateWeeklyAvailability(availability);
+
+  if (validated.errors) {
     console.error('Invalid availability data received:', req.body);
     return res.status(400).json({
       success: false,
-      message: 'Please provide valid availability data'
+      message: 'Please provide valid availability data',
+      errors: validated.errors
     });
   }
 
@@ -47,16 +110,27 @@ exports.updateAvailability = asyncHandler(async (req, res) => {
       });
     }
 
-    console.log('Previous availability:', JSON.stringify(user.availability));
-    user.availability = availability;
+    const { schedule, error, statusCode } = findScheduleForUpdate(user, getRequestedScheduleId(req));
+
+    if (error) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error
+      });
+    }
+
+    console.log('Previous availability:', JSON.stringify(schedule.availability));
+    const previousAvailability = schedule.availability.toObject();
+    schedule.availability = validated.availability;
     
     try {
       await user.save();
+      await auditAvailability(user, previousAvailability, req.user, schedule);
       console.log('Availability updated successfully for user:', req.user.id);
       
       res.status(200).json({
         success: true,
-        data: user.availability
+        data: schedule.availability
       });
     } catch (saveError) {
       console.error('Error saving user availability:', saveError);
@@ -82,13 +156,686 @@ exports.updateAvailability = asyncHandler(async (req, res) => {
 exports.updateTimezone = asyncHandler(async (req, res) => {
   const { timezone } = req.body;
 
-  if (!timezone) {
+  if (!timezone || !isValidTimezone(timezone)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a valid timezone'
+    });
+  }
+
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  if (!user.preferences) {
+    user.preferences = {};
+  }
+
+  user.preferences.timezone = timezone;
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    data: user.preferences
+  });
+});
+
+// @desc    Get user's timezone preference
+// @route   GET /api/preferences/timezone
+// @access  Private
+exports.getTimezone = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const timezone = user.preferences?.timezone || 'Asia/Kolkata';
+
+  res.status(200).json({
+    success: true,
+    data: { timezone }
+  });
+});
+
+// @desc    Get user's reminder preference
+// @route   GET /api/users/preferences/reminders
+// @access  Private
+exports.getReminderOffsets = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const reminderOffsets = user.preferences?.reminderOffsets;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      reminderOffsets: reminderOffsets || DEFAULT_REMINDER_OFFSETS,
+      isDefault: !reminderOffsets
+    }
+  });
+});
+
+// @desc    Update user's reminder preference (minutes before meetings; null restores the defaults)
+// @route   PUT /api/users/preferences/reminders
+// @access  Private
+exports.updateReminderOffsets = asyncHandler(async (req, res) => {
+  const { reminderOffsets } = req.body;
+
+  if (reminderOffsets !== null && !isValidReminderOffsets(reminderOffsets)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide reminderOffsets as a list of minutes between 1 and 10080 (one week), or null for the defaults'
+    });
+  }
+
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  user.preferences.reminderOffsets = reminderOffsets === null
+    ? undefined
+    : [...new Set(reminderOffsets)].sort((a, b) => b - a);
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      reminderOffsets: user.preferences.reminderOffsets || DEFAULT_REMINDER_OFFSETS,
+      isDefault: !user.preferences.reminderOffsets
+    }
+  });
+});
+
+// @desc    Get user's scheduling rules (buffers, notice, horizon, daily limit)
+// @route   GET /api/users/preferences/scheduling-rules
+// @access  Private
+exports.getSchedulingRules = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: getUserRules(user)
+  });
+});
+
+// @desc    Update user's scheduling rules (only the fields given; null removes a limit)
+// @route   PUT /api/users/preferences/scheduling-rules
+// @access  Private
+exports.updateSchedulingRules = asyncHandler(async (req, res) => {
+  const { rules, errors } = validateRules(req.body);
+
+  if (errors) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide valid scheduling rules',
+      errors
+    });
+  }
+
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  Object.entries(rules).forEach(([field, value]) => {
+    user.set(`preferences.schedulingRules.${field}`, value === null ? undefined : value);
+  });
+  await user.save();
+
+  console.log(`Scheduling rules updated for user ${user._id}: ${JSON.stringify(rules)}`);
+
+  res.status(200).json({
+    success: true,
+    data: getUserRules(user)
+  });
+});
+
+// @desc    Update availability for a specific day (of the default schedule, or ?schedule=<id>)
+// @route   PUT /api/availability/:day
+// @access  Private
+exports.updateDayAvailability = asyncHandler(async (req, res) => {
+  const { day } = req.params;
+  const { isAvailable, slots } = req.body;
+
+  // Validate day
+  if (!DAY_NAMES.includes(day)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a valid day'
+    });
+  }
+
+  const validated = validateDay({ isAvailable, slots }, '', { requireDay: false });
+
+  if (validated.errors) {
+    return res.status(400).json({
+      success: false,
+      message: `Please provide valid availability for ${day}`,
+      errors: validated.errors
+    });
+  }
+
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const { schedule, error, statusCode } = findScheduleForUpdate(user, getRequestedScheduleId(req));
+
+  if (error) {
+    return res.status(statusCode).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const previousAvailability = schedule.availability.toObject();
+
+  applyDayUpdate(schedule, day, { isAvailable, slots }, validated.entry);
+
+  try {
+    await user.save();
+    await auditAvailability(user, previousAvailability, req.user, schedule);
+
+    res.status(200).json({
+      success: true,
+      data: schedule.availability.find(a => a.day === day)
+    });
+  } catch (error) {
+    console.error('Day availability update error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// @desc    Copy time slots from one day to other days (within the default schedule, or ?schedule=<id>)
+// @route   POST /api/availability/copy
+// @access  Private
+exports.copyTimeSlots = asyncHandler(async (req, res) => {
+  const { sourceDay, targetDays } = req.body;
+
+  // Validate days
+  
+  if (!sourceDay || !DAY_NAMES.includes(sourceDay)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a valid source day'
+    });
+  }
+
+  if (!targetDays || !Array.isArray(targetDays) || targetDays.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide at least one valid target day'
+    });
+  }
+
+  for (const day of targetDays) {
+    if (!DAY_NAMES.includes(day)) {
+      return res.status(400).json({
+        success: false,
+        message: `${day} is not a valid day`
+      });
+    }
+  }
+
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const { schedule, error, statusCode } = findScheduleForUpdate(user, getRequestedScheduleId(req));
+
+  if (error) {
+    return res.status(statusCode).json({
+      success: false,
+      message: error
+    });
+  }
+
+  // Find the source day in the user's availability
+  const sourceAvailability = schedule.availability.find(a => a.day === sourceDay);
+  
+  if (!sourceAvailability) {
+    return res.status(404).json({
+      success: false,
+      message: `Source day ${sourceDay} not found in user's availability`
+    });
+  }
+
+  const previousAvailability = schedule.availability.toObject();
+
+  // Copy slots from source day to target days
+  for (const targetDay of targetDays) {
+    if (targetDay === sourceDay) continue; // Skip if source and target are the same
+    
+    const targetIndex = schedule.availability.findIndex(a => a.day === targetDay);
+    
+    if (targetIndex === -1) {
+      // If target day doesn't exist, add it
+      schedule.availability.push({
+        day: targetDay,
+        isAvailable: true,
+        slots: JSON.parse(JSON.stringify(sourceAvailability.slots)) // Deep copy
+      });
+    } else {
+      // Update existing day if it's available
+      if (schedule.availability[targetIndex].isAvailable) {
+        schedule.availability[targetIndex].slots = 
+          JSON.parse(JSON.stringify(sourceAvailability.slots)); // Deep copy
+      }
+    }
+  }
+
+  await user.save();
+  await auditAvailability(user, previousAvailability, req.user, schedule);
+
+  res.status(200).json({
+    success: true,
+    data: schedule.availability
+  });
+});
+
+// @desc    Update weekend days (Saturday and Sunday) availability (of the default schedule, or ?schedule=<id>)
+// @route   PUT /api/availability/weekend
+// @access  Private
+exports.updateWeekendAvailability = asyncHandler(async (req, res) => {
+  const { saturday, sunday } = req.body;
+  const errors = [];
+  const entries = {};
+
+  for (const [key, update] of [['saturday', saturday], ['sunday', sunday]]) {
+    if (!update) continue;
+
+    const validated = validateDay(update, key, { requireDay: false });
+
+    if (validated.errors) {
+      errors.push(...validated.errors);
+    } else {
+      entries[key] = validated.entry;
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide valid weekend availability',
+      errors
+    });
+  }
+  
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const { schedule, error, statusCode } = findScheduleForUpdate(user, getRequestedScheduleId(req));
+
+  if (error) {
+    return res.status(statusCode).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const previousAvailability = schedule.availability.toObject();
+
+  // Weekend days added here are off unless marked available
+  if (saturday) {
+    applyDayUpdate(schedule, 'Saturday', saturday, entries.saturday, false);
+  }
+
+  if (sunday) {
+    applyDayUpdate(schedule, 'Sunday', sunday, entries.sunday, false);
+  }
+
+  try {
+    await user.save();
+    await auditAvailability(user, previousAvailability, req.user, schedule);
+
+    // Return the updated weekend days
+    const updatedWeekend = {
+      saturday: schedule.availability.find(a => a.day === 'Saturday'),
+      sunday: schedule.availability.find(a => a.day === 'Sunday')
+    };
+
+    res.status(200).json({
+      success: true,
+      data: updatedWeekend
+    });
+  } catch (error) {
+    console.error('Weekend availability update error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Longest time off that can be booked in one entry
+const MAX_TIME_OFF_DAYS = 365;
+
+// @desc    Get a schedule's date overrides (optionally between two dates)
+// @route   GET /api/users/availability/overrides
+// @access  Private
+exports.getAvailabilityOverrides = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const { schedule, error, statusCode } = findScheduleForUpdate(user, getRequestedScheduleId(req));
+
+  if (error) {
+    return res.status(statusCode).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const overrides = schedule.availabilityOverrides
+    .filter(o => (!from || o.date >= from) && (!to || o.date <= to))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  res.status(200).json({
+    success: true,
+    count: overrides.length,
+    data: overrides
+  });
+});
+
+// @desc    Set a schedule's availability for one date, replacing its weekly hours on that date
+// @route   PUT /api/users/availability/overrides/:date
+// @access  Private
+exports.setAvailabilityOverride = asyncHandler(async (req, res) => {
+  const { date } = req.params;
+  const { note } = req.body;
+
+  if (!isValidDate(date)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a valid date in YYYY-MM-DD format'
+    });
+  }
+
+  const validated = validateDay(req.body, '', { requireDay: false });
+
+  if (validated.errors) {
+    return res.status(400).json({
+      success: false,
+      message: `Please provide valid hours for ${date}`,
+      errors: validated.errors
+    });
+  }
+
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const { schedule, error, statusCode } = findScheduleForUpdate(user, getRequestedScheduleId(req));
+
+  if (error) {
+    return res.status(statusCode).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const before = { availabilityOverrides: schedule.availabilityOverrides.toObject() };
+  const override = {
+    date,
+    isAvailable: validated.entry.isAvailable,
+    slots: validated.entry.slots,
+    note
+  };
+  const index = schedule.availabilityOverrides.findIndex(o => o.date === date);
+
+  if (index === -1) {
+    schedule.availabilityOverrides.push(override);
+  } else {
+    schedule.availabilityOverrides.set(index, override);
+  }
+
+  await user.save();
+  await auditDateAvailability(user, before, req.user, schedule);
+
+  console.log(`Availability override for ${date} set by user ${req.user.id}`);
+
+  res.status(200).json({
+    success: true,
+    data: schedule.availabilityOverrides.find(o => o.date === date)
+  });
+});
+
+// @desc    Remove the override for a date, going back to the weekly hours
+// @route   DELETE /api/users/availability/overrides/:date
+// @access  Private
+exports.deleteAvailabilityOverride = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const { schedule, error, statusCode } = findScheduleForUpdate(user, getRequestedScheduleId(req));
+
+  if (error) {
+    return res.status(statusCode).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const override = schedule.availabilityOverrides.find(o => o.date === req.params.date);
+
+  if (!override) {
+    return res.status(404).json({
+      success: false,
+      message: `No override for ${req.params.date}`
+    });
+  }
+
+  const before = { availabilityOverrides: schedule.availabilityOverrides.toObject() };
+  override.deleteOne();
+
+  await user.save();
+  await auditDateAvailability(user, before, req.user, schedule);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// Helper: Check a time off range. Returns an error message, or null.
+function validateTimeOff({ startDate, endDate }) {
+  if (!isValidDate(startDate) || !isValidDate(endDate)) {
+    return 'Please provide startDate and endDate in YYYY-MM-DD format';
+  }
+
+  if (endDate < startDate) {
+    return 'endDate cannot be before startDate';
+  }
+
+  if (listDates(startDate, endDate).length > MAX_TIME_OFF_DAYS) {
+    return `Time off cannot be longer than ${MAX_TIME_OFF_DAYS} days`;
+  }
+
+  return null;
+}
+
+// @desc    Get user's time off
+// @route   GET /api/users/availability/time-off
+// @access  Private
+exports.getTimeOff = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const timeOff = [...user.timeOff].sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+  res.status(200).json({
+    success: true,
+    count: timeOff.length,
+    data: timeOff
+  });
+});
+
+// @desc    Add time off (whole days, inclusive)
+// @route   POST /api/users/availability/time-off
+// @access  Private
+exports.addTimeOff = asyncHandler(async (req, res) => {
+  const { startDate, reason } = req.body;
+  const endDate = req.body.endDate || startDate;
+
+  const error = validateTimeOff({ startDate, endDate });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const before = { timeOff: user.timeOff.toObject() };
+  user.timeOff.push({ startDate, endDate, reason });
+  const entry = user.timeOff[user.timeOff.length - 1];
+
+  await user.save();
+  await auditDateAvailability(user, before, req.user);
+
+  console.log(`Time off ${startDate} - ${endDate} added by user ${req.user.id}`);
+
+  res.status(201).json({
+    success: true,
+    data: entry
+  });
+});
+
+// @desc    Change time off
+// @route   PUT /api/users/availability/time-off/:id
+// @access  Private
+exports.updateTimeOff = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const entry = user.timeOff.id(req.params.id);
+
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      message: 'Time off not found'
+    });
+  }
+
+  const startDate = req.body.startDate || entry.startDate;
+  const endDate = req.body.endDate || entry.endDate;
+
+  const error = validateTimeOff({ startDate, endDate });
+  if (error) {
     return res.status(400).json({
       success: false,
-      message: 'Please provide a valid timezone'
+      message: error
     });
   }
 
+  const before = { timeOff: user.timeOff.toObject() };
+  entry.startDate = startDate;
+  entry.endDate = endDate;
+  if (req.body.reason !== undefined) {
+    entry.reason = req.body.reason;
+  }
+
+  await user.save();
+  await auditDateAvailability(user, before, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: entry
+  });
+});
+
+// @desc    Remove time off
+// @route   DELETE /api/users/availability/time-off/:id
+// @access  Private
+exports.deleteTimeOff = asyncHandler(async (req, res) => {
   const user = await User.findById(req.user.id);
 
   if (!user) {
@@ -98,23 +845,44 @@ exports.updateTimezone = asyncHandler(async (req, res) => {
     });
   }
 
-  if (!user.preferences) {
-    user.preferences = {};
+  const entry = user.timeOff.id(req.params.id);
+
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      message: 'Time off not found'
+    });
   }
 
-  user.preferences.timezone = timezone;
+  const before = { timeOff: user.timeOff.toObject() };
+  entry.deleteOne();
+
   await user.save();
+  await auditDateAvailability(user, before, req.user);
 
   res.status(200).json({
     success: true,
-    data: user.preferences
+    data: {}
   });
 });
 
-// @desc    Get user's timezone preference
-// @route   GET /api/preferences/timezone
+// Helper: Check the settings of a schedule. Returns an error message, or null.
+function validateScheduleFields({ name, timezone }) {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    return 'Please provide a schedule name';
+  }
+
+  if (timezone !== undefined && timezone !== null && !isValidTimezone(timezone)) {
+    return `${timezone} is not a valid timezone`;
+  }
+
+  return null;
+}
+
+// @desc    Get user's availability schedules
+// @route   GET /api/users/availability/schedules
 // @access  Private
-exports.getTimezone = asyncHandler(async (req, res) => {
+exports.getSchedules = asyncHandler(async (req, res) => {
   const user = await User.findById(req.user.id);
 
   if (!user) {
@@ -124,27 +892,36 @@ exports.getTimezone = asyncHandler(async (req, res) => {
     });
   }
 
-  const timezone = user.preferences?.timezone || 'Asia/Kolkata';
+  // Until a user has schedules, their hours are the one default schedule (without an id yet)
+  const schedules = user.schedules.length > 0 ? user.schedules : [resolveSchedule(user)];
 
   res.status(200).json({
     success: true,
-    data: { timezone }
+    count: schedules.length,
+    data: schedules.map(schedule => summarizeSchedule(user, schedule))
   });
 });
 
-// @desc    Update availability for a specific day
-// @route   PUT /api/availability/:day
+// @desc    Create an availability schedule, starting from another schedule's hours
+// @route   POST /api/users/availability/schedules
 // @access  Private
-exports.updateDayAvailability = asyncHandler(async (req, res) => {
-  const { day } = req.params;
-  const { isAvailable, slots } = req.body;
+exports.createSchedule = asyncHandler(async (req, res) => {
+  const { name, timezone, availability, copyFrom, isDefault } = req.body;
 
-  // Validate day
-  const validDays = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-  if (!validDays.includes(day)) {
+  const fieldError = validateScheduleFields({ name: name === undefined ? '' : name, timezone, availability });
+  if (fieldError) {
     return res.status(400).json({
       success: false,
-      message: 'Please provide a valid day'
+      message: fieldError
+    });
+  }
+
+  const validated = availability !== undefined ? validateWeeklyAvailability(availability) : {};
+  if (validated.errors) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide valid availability data',
+      errors: validated.errors
     });
   }
 
@@ -157,100 +934,89 @@ exports.updateDayAvailability = asyncHandler(async (req, res) => {
     });
   }
 
-  // Process and validate slots
-  let validatedSlots = [];
-  if (isAvailable && slots && Array.isArray(slots)) {
-    // Filter out invalid slots and ensure default values for empty fields
-    validatedSlots = slots.filter(slot => slot && typeof slot === 'object')
-                         .map(slot => ({
-                            startTime: slot.startTime || '',
-                            endTime: slot.endTime || ''
-                         }));
-    
-    // If no valid slots but day is available, add a default empty slot
-    if (validatedSlots.length === 0 && isAvailable) {
-      validatedSlots = [{ startTime: '', endTime: '' }];
-    }
-  }
-
-  // Find the day in the user's availability
-  const dayIndex = user.availability.findIndex(a => a.day === day);
+  const before = user.schedules.toObject();
+  ensureSchedules(user);
 
-  if (dayIndex === -1) {
-    // If the day doesn't exist, add it
-    // Initialize with empty slots if the day is available
-    user.availability.push({
-      day,
-      isAvailable: isAvailable !== undefined ? isAvailable : true,
-      slots: isAvailable !== false ? validatedSlots : []
+  if (user.schedules.length >= MAX_SCHEDULES) {
+    return res.status(400).json({
+      success: false,
+      message: `You can have at most ${MAX_SCHEDULES} schedules`
     });
-  } else {
-    // Update existing day
-    if (isAvailable !== undefined) {
-      user.availability[dayIndex].isAvailable = isAvailable;
-      
-      // If day is marked as unavailable, clear its slots
-      if (!isAvailable) {
-        user.availability[dayIndex].slots = [];
-      } else if (validatedSlots.length > 0) {
-        // If slots were provided and valid, update them
-        user.availability[dayIndex].slots = validatedSlots;
-      } else if (user.availability[dayIndex].slots.length === 0) {
-        // If no slots exist but day is marked available, add default empty slot
-        user.availability[dayIndex].slots = [{ startTime: '', endTime: '' }];
-      }
-    } else if (isAvailable !== false && validatedSlots.length > 0) {
-      // If day is already available and slots were provided, update them
-      user.availability[dayIndex].slots = validatedSlots;
-    }
   }
 
-  try {
-    await user.save();
+  // Copy the hours of the given schedule (or the default) unless they're given
+  const { schedule: source, error, statusCode } = findScheduleForUpdate(user, copyFrom);
 
-    res.status(200).json({
-      success: true,
-      data: user.availability.find(a => a.day === day)
-    });
-  } catch (error) {
-    console.error('Day availability update error:', error);
-    res.status(400).json({
+  if (error) {
+    return res.status(statusCode).json({
       success: false,
-      error: error.message
+      message: error
     });
   }
+
+  user.schedules.push({
+    name: name.trim(),
+    timezone: timezone || undefined,
+    availability: validated.availability || source.availability.toObject(),
+    availabilityOverrides: copyFrom ? source.availabilityOverrides.toObject() : []
+  });
+
+  const schedule = user.schedules[user.schedules.length - 1];
+  if (isDefault === true) {
+    setDefaultSchedule(user, schedule);
+  }
+
+  await user.save();
+  await auditSchedules(user, before, req.user);
+
+  console.log(`Availability schedule "${schedule.name}" created by user ${req.user.id}`);
+
+  res.status(201).json({
+    success: true,
+    data: schedule
+  });
 });
 
-// @desc    Copy time slots from one day to other days
-// @route   POST /api/availability/copy
+// @desc    Get an availability schedule, with its date overrides
+// @route   GET /api/users/availability/schedules/:scheduleId
 // @access  Private
-exports.copyTimeSlots = asyncHandler(async (req, res) => {
-  const { sourceDay, targetDays } = req.body;
+exports.getSchedule = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
 
-  // Validate days
-  const validDays = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-  
-  if (!sourceDay || !validDays.includes(sourceDay)) {
-    return res.status(400).json({
+  if (!user) {
+    return res.status(404).json({
       success: false,
-      message: 'Please provide a valid source day'
+      message: 'User not found'
     });
   }
 
-  if (!targetDays || !Array.isArray(targetDays) || targetDays.length === 0) {
-    return res.status(400).json({
+  const schedule = user.schedules.find(s => s._id.toString() === req.params.scheduleId);
+
+  if (!schedule) {
+    return res.status(404).json({
       success: false,
-      message: 'Please provide at least one valid target day'
+      message: 'Availability schedule not found'
     });
   }
 
-  for (const day of targetDays) {
-    if (!validDays.includes(day)) {
-      return res.status(400).json({
-        success: false,
-        message: `${day} is not a valid day`
-      });
-    }
+  res.status(200).json({
+    success: true,
+    data: schedule
+  });
+});
+
+// @desc    Rename a schedule, change its timezone (null follows your preferred timezone) or make it the default
+// @route   PUT /api/users/availability/schedules/:scheduleId
+// @access  Private
+exports.updateSchedule = asyncHandler(async (req, res) => {
+  const { name, timezone, isDefault } = req.body;
+
+  const fieldError = validateScheduleFields({ name, timezone });
+  if (fieldError) {
+    return res.status(400).json({
+      success: false,
+      message: fieldError
+    });
   }
 
   const user = await User.findById(req.user.id);
@@ -262,52 +1028,41 @@ exports.copyTimeSlots = asyncHandler(async (req, res) => {
     });
   }
 
-  // Find the source day in the user's availability
-  const sourceAvailability = user.availability.find(a => a.day === sourceDay);
-  
-  if (!sourceAvailability) {
+  const schedule = user.schedules.find(s => s._id.toString() === req.params.scheduleId);
+
+  if (!schedule) {
     return res.status(404).json({
       success: false,
-      message: `Source day ${sourceDay} not found in user's availability`
+      message: 'Availability schedule not found'
     });
   }
 
-  // Copy slots from source day to target days
-  for (const targetDay of targetDays) {
-    if (targetDay === sourceDay) continue; // Skip if source and target are the same
-    
-    const targetIndex = user.availability.findIndex(a => a.day === targetDay);
-    
-    if (targetIndex === -1) {
-      // If target day doesn't exist, add it
-      user.availability.push({
-        day: targetDay,
-        isAvailable: true,
-        slots: JSON.parse(JSON.stringify(sourceAvailability.slots)) // Deep copy
-      });
-    } else {
-      // Update existing day if it's available
-      if (user.availability[targetIndex].isAvailable) {
-        user.availability[targetIndex].slots = 
-          JSON.parse(JSON.stringify(sourceAvailability.slots)); // Deep copy
-      }
-    }
+  if (isDefault === false && schedule.isDefault) {
+    return res.status(400).json({
+      success: false,
+      message: 'Make another schedule the default instead'
+    });
   }
 
+  const before = user.schedules.toObject();
+
+  if (name !== undefined) schedule.name = name.trim();
+  if (timezone !== undefined) schedule.timezone = timezone || undefined;
+  if (isDefault === true) setDefaultSchedule(user, schedule);
+
   await user.save();
+  await auditSchedules(user, before, req.user);
 
   res.status(200).json({
     success: true,
-    data: user.availability
+    data: schedule
   });
 });
 
-// @desc    Update weekend days (Saturday and Sunday) availability
-// @route   PUT /api/availability/weekend
+// @desc    Delete a schedule. Event types using it move to the default schedule.
+// @route   DELETE /api/users/availability/schedules/:scheduleId
 // @access  Private
-exports.updateWeekendAvailability = asyncHandler(async (req, res) => {
-  const { saturday, sunday } = req.body;
-  
+exports.deleteSchedule = asyncHandler(async (req, res) => {
   const user = await User.findById(req.user.id);
 
   if (!user) {
@@ -317,126 +1072,40 @@ exports.updateWeekendAvailability = asyncHandler(async (req, res) => {
     });
   }
 
-  // Update Saturday
-  if (saturday) {
-    const { isAvailable, slots } = saturday;
-    const satIndex = user.availability.findIndex(a => a.day === 'Saturday');
-    
-    // Process and validate slots
-    let validatedSlots = [];
-    if (isAvailable && slots && Array.isArray(slots)) {
-      // Filter out invalid slots and ensure default values for empty fields
-      validatedSlots = slots.filter(slot => slot && typeof slot === 'object')
-                           .map(slot => ({
-                              startTime: slot.startTime || '',
-                              endTime: slot.endTime || ''
-                           }));
-      
-      // If no valid slots but day is available, add a default empty slot
-      if (validatedSlots.length === 0 && isAvailable) {
-        validatedSlots = [{ startTime: '', endTime: '' }];
-      }
-    }
-    
-    if (satIndex === -1) {
-      // If Saturday doesn't exist in availability, add it
-      user.availability.push({
-        day: 'Saturday',
-        isAvailable: isAvailable !== undefined ? isAvailable : false,
-        slots: isAvailable ? validatedSlots : []
-      });
-    } else {
-      // Update existing Saturday
-      if (isAvailable !== undefined) {
-        user.availability[satIndex].isAvailable = isAvailable;
-        
-        // If marked unavailable, clear slots
-        if (!isAvailable) {
-          user.availability[satIndex].slots = [];
-        } else if (validatedSlots.length > 0) {
-          // Only update slots if there are valid ones and day is available
-          user.availability[satIndex].slots = validatedSlots;
-        } else if (user.availability[satIndex].slots.length === 0) {
-          // Add default empty slot if no slots exist
-          user.availability[satIndex].slots = [{ startTime: '', endTime: '' }];
-        }
-      } else if (isAvailable && validatedSlots.length > 0) {
-        // Update slots if provided and day is already marked available
-        user.availability[satIndex].slots = validatedSlots;
-      }
-    }
-  }
+  const schedule = user.schedules.find(s => s._id.toString() === req.params.scheduleId);
 
-  // Update Sunday
-  if (sunday) {
-    const { isAvailable, slots } = sunday;
-    const sunIndex = user.availability.findIndex(a => a.day === 'Sunday');
-    
-    // Process and validate slots
-    let validatedSlots = [];
-    if (isAvailable && slots && Array.isArray(slots)) {
-      // Filter out invalid slots and ensure default values for empty fields
-      validatedSlots = slots.filter(slot => slot && typeof slot === 'object')
-                           .map(slot => ({
-                              startTime: slot.startTime || '',
-                              endTime: slot.endTime || ''
-                           }));
-      
-      // If no valid slots but day is available, add a default empty slot
-      if (validatedSlots.length === 0 && isAvailable) {
-        validatedSlots = [{ startTime: '', endTime: '' }];
-      }
-    }
-    
-    if (sunIndex === -1) {
-      // If Sunday doesn't exist in availability, add it
-      user.availability.push({
-        day: 'Sunday',
-        isAvailable: isAvailable !== undefined ? isAvailable : false,
-        slots: isAvailable ? validatedSlots : []
-      });
-    } else {
-      // Update existing Sunday
-      if (isAvailable !== undefined) {
-        user.availability[sunIndex].isAvailable = isAvailable;
-        
-        // If marked unavailable, clear slots
-        if (!isAvailable) {
-          user.availability[sunIndex].slots = [];
-        } else if (validatedSlots.length > 0) {
-          // Only update slots if there are valid ones and day is available
-          user.availability[sunIndex].slots = validatedSlots;
-        } else if (user.availability[sunIndex].slots.length === 0) {
-          // Add default empty slot if no slots exist
-          user.availability[sunIndex].slots = [{ startTime: '', endTime: '' }];
-        }
-      } else if (isAvailable && validatedSlots.length > 0) {
-        // Update slots if provided and day is already marked available
-        user.availability[sunIndex].slots = validatedSlots;
-      }
-    }
+  if (!schedule) {
+    return res.status(404).json({
+      success: false,
+      message: 'Availability schedule not found'
+    });
   }
 
-  try {
-    await user.save();
-
-    // Return the updated weekend days
-    const updatedWeekend = {
-      saturday: user.availability.find(a => a.day === 'Saturday'),
-      sunday: user.availability.find(a => a.day === 'Sunday')
-    };
-
-    res.status(200).json({
-      success: true,
-      data: updatedWeekend
-    });
-  } catch (error) {
-    console.error('Weekend availability update error:', error);
-    res.status(400).json({
+  if (schedule.isDefault) {
+    return res.status(400).json({
       success: false,
-      error: error.message
+      message: 'The default schedule cannot be deleted; make another schedule the default first'
     });
   }
+
+  const before = user.schedules.toObject();
+  schedule.deleteOne();
+
+  await user.save();
+  await auditSchedules(user, before, req.user);
+
+  // Meetings that referenced it fall back to the default schedule by themselves
+  const { modifiedCount } = await EventType.updateMany(
+    { hostId: user._id, scheduleId: schedule._id },
+    { $unset: { scheduleId: 1 } }
+  );
+
+  console.log(`Availability schedule ${schedule._id} deleted by user ${req.user.id}; ${modifiedCount} event types moved to the default`);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
 });
 
 // @desc    Get user's preferences
@@ -728,4 +1397,119 @@ exports.updatePasswordNoVerification = asyncHandler(async (req, res) => {
       error: error.message
     });
   }
-}); 
\ No newline at end of file
+});
+
+// @desc    Get the user's calendar feed URL
+// @route   GET /api/users/calendar-feed
+// @access  Private
+exports.getCalendarFeed = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('+calendarFeedToken');
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: Boolean(user.calendarFeedToken),
+      url: user.calendarFeedToken ? getCalendarFeedUrl(req, user.calendarFeedToken) : null
+    }
+  });
+});
+
+// @desc    Create (or rotate) the user's calendar feed token
+// @route   POST /api/users/calendar-feed
+// @access  Private
+exports.createCalendarFeed = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  // A new token replaces the old one, so any previously shared URL stops working
+  user.calendarFeedToken = crypto.randomBytes(24).toString('hex');
+  await user.save();
+
+  res.status(201).json({
+    success: true,
+    data: {
+      enabled: true,
+      url: getCalendarFeedUrl(req, user.calendarFeedToken)
+    }
+  });
+});
+
+// @desc    Revoke the user's calendar feed token
+// @route   DELETE /api/users/calendar-feed
+// @access  Private
+exports.revokeCalendarFeed = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  user.calendarFeedToken = undefined;
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: false,
+      url: null
+    }
+  });
+});
+
+// Helper: Build the public subscription URL for a calendar feed token
+function getCalendarFeedUrl(req, token) {
+  const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/api/calendar/feed/${token}.ics`;
+}
+
+// @desc    Get busy time imported from external calendars
+// @route   GET /api/users/busy-blocks
+// @access  Private
+exports.getBusyBlocks = asyncHandler(async (req, res) => {
+  const busyBlocks = await BusyBlock.find({ userId: req.user.id }).sort({ date: 1, startTime: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: busyBlocks.length,
+    data: busyBlocks
+  });
+});
+
+// @desc    Delete imported busy time (all blocks from the same event when it spans days)
+// @route   DELETE /api/users/busy-blocks/:id
+// @access  Private
+exports.deleteBusyBlock = asyncHandler(async (req, res) => {
+  const busyBlock = await BusyBlock.findOne({ _id: req.params.id, userId: req.user.id });
+
+  if (!busyBlock) {
+    return res.status(404).json({
+      success: false,
+      message: 'Busy block not found'
+    });
+  }
+
+  const result = busyBlock.icsUid
+    ? await BusyBlock.deleteMany({ userId: req.user.id, icsUid: busyBlock.icsUid })
+    : await BusyBlock.deleteOne({ _id: busyBlock._id });
+
+  res.status(200).json({
+    success: true,
+    deleted: result.deletedCount
+  });
+});
@@ -0,0 +1,259 @@
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const asyncHandler = require('../utils/asyncHandler');
+const { MEETING_EVENTS } = require('../utils/meetingEvents');
+const { generateWebhookSecret, redeliver, sendPing } = require('../utils/webhooks');
+const { checkWebhookUrl } = require('../utils/webhookTargets');
+
+const MAX_DELIVERIES_PAGE = 100;
+
+// Helper: Find a webhook owned by the current user
+async function findOwnWebhook(req, res) {
+  const webhook = await Webhook.findOne({ _id: req.params.id, userId: req.user.id });
+
+  if (!webhook) {
+    res.status(404).json({
+      success: false,
+      message: 'Webhook not found'
+    });
+    return null;
+  }
+
+  return webhook;
+}
+
+// Helper: Check a list of event names
+function validateEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    return `Please provide events to subscribe to (${MEETING_EVENTS.join(', ')})`;
+  }
+
+  const unknown = events.filter(event => !MEETING_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    return `Unknown events: ${unknown.join(', ')}`;
+  }
+
+  return null;
+}
+
+// @desc    Get the current user's webhooks
+// @route   GET /api/webhooks
+// @access  Private
+exports.getWebhooks = asyncHandler(async (req, res) => {
+  const webhooks = await Webhook.find({ userId: req.user.id }).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: webhooks.length,
+    events: MEETING_EVENTS,
+    data: webhooks
+  });
+});
+
+// @desc    Register a webhook. The signing secret is only returned here.
+// @route   POST /api/webhooks
+// @access  Private
+exports.createWebhook = asyncHandler(async (req, res) => {
+  const { url, events, description } = req.body;
+
+  const eventsError = validateEvents(events);
+  if (eventsError) {
+    return res.status(400).json({
+      success: false,
+      message: eventsError
+    });
+  }
+
+  // The server makes requests to this URL, so it mustn't reach inside our network
+  const urlError = await checkWebhookUrl(url);
+  if (urlError) {
+    return res.status(400).json({
+      success: false,
+      message: urlError
+    });
+  }
+
+  const secret = generateWebhookSecret();
+  const webhook = await Webhook.create({
+    userId: req.user.id,
+    url,
+    events: [...new Set(events)],
+    description,
+    secret
+  });
+
+  console.log(`Webhook ${webhook._id} registered by user ${req.user.id} for ${webhook.events.join(', ')}`);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      ...webhook.toObject(),
+      secret
+    }
+  });
+});
+
+// @desc    Get a webhook
+// @route   GET /api/webhooks/:id
+// @access  Private
+exports.getWebhook = asyncHandler(async (req, res) => {
+  const webhook = await findOwnWebhook(req, res);
+  if (!webhook) return;
+
+  res.status(200).json({
+    success: true,
+    data: webhook
+  });
+});
+
+// @desc    Update a webhook's URL, events, description or active flag
+// @route   PUT /api/webhooks/:id
+// @access  Private
+exports.updateWebhook = asyncHandler(async (req, res) => {
+  const webhook = await findOwnWebhook(req, res);
+  if (!webhook) return;
+
+  const { url, events, description, isActive } = req.body;
+
+  if (events !== undefined) {
+    const eventsError = validateEvents(events);
+    if (eventsError) {
+      return res.status(400).json({
+        success: false,
+        message: eventsError
+      });
+    }
+    webhook.events = [...new Set(events)];
+  }
+
+  if (url !== undefined) {
+    const urlError = await checkWebhookUrl(url);
+    if (urlError) {
+      return res.status(400).json({
+        success: false,
+        message: urlError
+      });
+    }
+    webhook.url = url;
+  }
+  if (description !== undefined) webhook.description = description;
+  if (isActive !== undefined) webhook.isActive = Boolean(isActive);
+
+  await webhook.save();
+
+  res.status(200).json({
+    success: true,
+    data: webhook
+  });
+});
+
+// @desc    Replace a webhook's signing secret
+// @route   POST /api/webhooks/:id/secret
+// @access  Private
+exports.rotateWebhookSecret = asyncHandler(async (req, res) => {
+  const webhook = await findOwnWebhook(req, res);
+  if (!webhook) return;
+
+  const secret = generateWebhookSecret();
+  webhook.secret = secret;
+  await webhook.save();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      id: webhook._id,
+      secret
+    }
+  });
+});
+
+// @desc    Delete a webhook and its delivery log
+// @route   DELETE /api/webhooks/:id
+// @access  Private
+exports.deleteWebhook = asyncHandler(async (req, res) => {
+  const webhook = await findOwnWebhook(req, res);
+  if (!webhook) return;
+
+  await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+  await webhook.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Send a test event to a webhook
+// @route   POST /api/webhooks/:id/ping
+// @access  Private
+exports.pingWebhook = asyncHandler(async (req, res) => {
+  const webhook = await findOwnWebhook(req, res);
+  if (!webhook) return;
+
+  if (!webhook.isActive) {
+    return res.status(400).json({
+      success: false,
+      message: 'Webhook is disabled'
+    });
+  }
+
+  const delivery = await sendPing(webhook);
+
+  res.status(200).json({
+    success: delivery.status === 'succeeded',
+    data: delivery
+  });
+});
+
+// @desc    Get a webhook's delivery log (newest first)
+// @route   GET /api/webhooks/:id/deliveries
+// @access  Private
+exports.getWebhookDeliveries = asyncHandler(async (req, res) => {
+  const webhook = await findOwnWebhook(req, res);
+  if (!webhook) return;
+
+  const query = { webhookId: webhook._id };
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, MAX_DELIVERIES_PAGE);
+  const deliveries = await WebhookDelivery.find(query).sort({ createdAt: -1 }).limit(limit);
+
+  res.status(200).json({
+    success: true,
+    count: deliveries.length,
+    data: deliveries
+  });
+});
+
+// @desc    Send a past delivery again
+// @route   POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+// @access  Private
+exports.redeliverWebhookDelivery = asyncHandler(async (req, res) => {
+  const webhook = await findOwnWebhook(req, res);
+  if (!webhook) return;
+
+  const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhookId: webhook._id });
+
+  if (!delivery) {
+    return res.status(404).json({
+      success: false,
+      message: 'Delivery not found'
+    });
+  }
+
+  if (!webhook.isActive) {
+    return res.status(400).json({
+      success: false,
+      message: 'Webhook is disabled'
+    });
+  }
+
+  const redelivery = await redeliver(delivery);
+
+  res.status(201).json({
+    success: true,
+    data: redelivery
+  });
+});
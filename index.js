@@ -4,6 +4,15 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const errorHandler = require('./utils/errorHandler');
 const User = require('./models/User');
+const { registerJob, startJobs } = require('./utils/jobRunner');
+const { scheduleUpcomingReminders, sendDueReminders } = require('./utils/reminders');
+const { subscribeWebhooks, processDueDeliveries } = require('./utils/webhooks');
+const {
+  subscribeBookingProjection,
+  moveEndedBookings,
+  refreshRecurringBookings
+} = require('./utils/bookingProjection');
+const { expireEndedMeetings } = require('./utils/meetingLifecycle');
 
 // Load environment variables
 dotenv.config();
@@ -11,6 +20,10 @@ dotenv.config();
 // Initialize express app
 const app = express();
 
+// Meeting event subscribers
+subscribeBookingProjection();
+subscribeWebhooks();
+
 // CORS configuration
 app.use(cors({
   origin: function(origin, callback) {
@@ -52,6 +65,13 @@ const meetingRoutes = require('./routes/meetingRoutes');
 const bookingRoutes = require('./routes/bookingRoutes');
 const userRoutes = require('./routes/userRoutes');
 const eventRoutes = require('./routes/eventRoutes');
+const publicRoutes = require('./routes/publicRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const rsvpRoutes = require('./routes/rsvpRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const teamRoutes = require('./routes/teamRoutes');
 
 // Routes
 app.use('/api/auth', authRoutes);
@@ -59,6 +79,13 @@ app.use('/api/users', userRoutes);
 app.use('/api/events', eventRoutes);
 app.use('/api/meetings', meetingRoutes);
 app.use('/api/bookings', bookingRoutes);
+app.use('/api/public', publicRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/rsvp', rsvpRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/teams', teamRoutes);
 
 // Default route
 app.get('/', (req, res) => {
@@ -110,6 +137,17 @@ mongoose.connect(MONGODB_URI, {
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
   });
+
+  // Background jobs (set DISABLE_JOBS=true on instances that should only serve requests)
+  if (process.env.DISABLE_JOBS !== 'true') {
+    registerJob('schedule-reminders', 5 * 60 * 1000, scheduleUpcomingReminders);
+    registerJob('send-reminders', 60 * 1000, sendDueReminders);
+    registerJob('retry-webhooks', 30 * 1000, processDueDeliveries);
+    registerJob('expire-meetings', 5 * 60 * 1000, expireEndedMeetings);
+    registerJob('move-ended-bookings', 5 * 60 * 1000, moveEndedBookings);
+    registerJob('refresh-recurring-bookings', 24 * 60 * 60 * 1000, refreshRecurringBookings);
+    startJobs();
+  }
 })
 .catch((err) => {
   console.error('MongoDB connection error:', err);
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../utils/sessions');
+const { hasRole } = require('../utils/permissions');
 
 // Protect routes
 exports.protect = async (req, res, next) => {
@@ -40,6 +42,14 @@ exports.protect = async (req, res, next) => {
       });
     }
 
+    if (user.isActive === false) {
+      console.log('User is deactivated:', decoded.id);
+      return res.status(401).json({
+        success: false,
+        message: 'This account has been deactivated'
+      });
+    }
+
     // Check if token version matches
     if (decoded.version !== user.tokenVersion) {
       console.log('Token version mismatch. Token:', decoded.version, 'User:', user.tokenVersion);
@@ -49,8 +59,18 @@ exports.protect = async (req, res, next) => {
       });
     }
 
+    // Tokens name the session they were issued for; it must still be going
+    if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+      console.log('Session no longer active:', decoded.sid);
+      return res.status(401).json({
+        success: false,
+        message: 'This session has ended, please login again'
+      });
+    }
+
     console.log('User authenticated successfully:', user._id.toString());
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     console.error('Authentication error:', error.message);
@@ -59,4 +79,17 @@ exports.protect = async (req, res, next) => {
       message: 'Not authorized to access this route'
     });
   }
-}; 
\ No newline at end of file
+}; 
+
+// Restrict a route to users with one of the given roles. Use after protect.
+//   router.use(protect, authorize('admin', 'support'));
+exports.authorize = (...roles) => (req, res, next) => {
+  if (!hasRole(req.user, ...roles)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this route'
+    });
+  }
+
+  next();
+};
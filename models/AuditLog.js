@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// One field-level change in an audited document
+const auditChangeSchema = new mongoose.Schema({
+  path: {
+    type: String, // Dotted field path, e.g. "startTime" or "availability.Monday.slots"
+    required: true
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, { _id: false });
+
+// Who changed what on a meeting, an invitation or a user's availability.
+// Entries are written by utils/audit.js and never updated.
+const auditLogSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    enum: ['Meeting', 'MeetingInvitation', 'User'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  meetingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting' // Set on meeting and invitation entries, so a meeting's history includes its invitations
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'status', 'respond'],
+    required: true
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Not set for automatic changes and guests
+  },
+  actorEmail: {
+    type: String // For guests acting through an RSVP link
+  },
+  changes: [auditChangeSchema],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed // e.g. { via: 'rsvp' } or { occurrenceDate: '2026-11-02' }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ meetingId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
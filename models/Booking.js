@@ -24,7 +24,7 @@ const meetingItemSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'rejected', 'canceled'],
+    enum: ['pending', 'accepted', 'rejected', 'canceled', 'waitlisted'],
     required: true
   },
   hostId: {
@@ -34,6 +34,19 @@ const meetingItemSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  timezone: {
+    type: String
+  },
+  occurrenceDate: {
+    type: String // Original date of the occurrence, for recurring meetings
+  },
+  invitationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MeetingInvitation' // Set on pending and waitlisted items, for responding from the dashboard
+  },
+  waitlistPosition: {
+    type: Number // Place on the meeting's waitlist (1 is next), for waitlisted items
   }
 });
 
@@ -46,6 +59,7 @@ const bookingSchema = new mongoose.Schema({
   },
   upcomingMeetings: [meetingItemSchema],
   pendingMeetings: [meetingItemSchema],
+  waitlistedMeetings: [meetingItemSchema],
   canceledMeetings: [meetingItemSchema],
   pastMeetings: [meetingItemSchema],
   updatedAt: {
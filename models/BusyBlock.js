@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { isValidTimezone } = require('../utils/timezone');
+
+// Busy time imported from an external calendar. Blocks the user's time in
+// conflict checks and slot finding without being a meeting.
+const busyBlockSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    default: 'Busy'
+  },
+  date: {
+    type: String,
+    required: [true, 'Please provide a date']
+  },
+  startTime: {
+    type: String,
+    required: [true, 'Please provide a start time']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'Please provide an end time']
+  },
+  timezone: {
+    type: String,
+    default: 'Asia/Kolkata',
+    validate: {
+      validator: isValidTimezone,
+      message: props => `${props.value} is not a valid timezone`
+    }
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly']
+    },
+    interval: Number,
+    byWeekday: [String],
+    count: Number,
+    until: String
+  },
+  exceptions: [{
+    originalDate: String,
+    isCancelled: Boolean,
+    date: String,
+    startTime: String,
+    endTime: String
+  }],
+  source: {
+    type: String,
+    enum: ['ics-import'],
+    default: 'ics-import'
+  },
+  icsUid: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('BusyBlock', busyBlockSchema);
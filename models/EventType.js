@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+
+// Longest duration an event type can offer (one day)
+const MAX_DURATION = 24 * 60;
+
+// A question the booker answers when booking an event type
+const intakeQuestionSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Please provide a question'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['text', 'textarea', 'email', 'phone', 'select', 'checkbox'],
+    default: 'text'
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  options: [{
+    type: String, // Choices for select questions
+    trim: true
+  }]
+});
+
+// A team member who can be assigned bookings of a team event type
+const eventTypeHostSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  weight: {
+    type: Number, // Round-robin share relative to the other hosts; 2 gets twice the bookings of 1
+    default: 1,
+    min: [1, 'Host weight must be at least 1'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Host weight must be a whole number'
+    }
+  }
+}, { _id: false });
+
+// A bookable template owned by a host, e.g. "30 minute intro call".
+// Meetings booked from it inherit its settings.
+const eventTypeSchema = new mongoose.Schema({
+  hostId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team', // Set on team event types, which the team's admins manage; hostId is the member who hosts it
+    index: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Please provide a title'],
+    trim: true
+  },
+  slug: {
+    type: String, // Used in public booking links; unique per host, and per team for team event types
+    required: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and dashes']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  durations: {
+    type: [Number], // Lengths in minutes the booker can choose from; the first is the default
+    validate: {
+      validator: durations => durations.length > 0 &&
+        durations.every(d => Number.isInteger(d) && d > 0 && d <= MAX_DURATION),
+      message: `Please provide at least one duration, in whole minutes up to ${MAX_DURATION}`
+    }
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['video', 'phone', 'in-person', 'custom'],
+      default: 'video'
+    },
+    value: {
+      type: String, // Meeting link, phone number or address
+      trim: true
+    }
+  },
+  scheduleId: {
+    type: mongoose.Schema.Types.ObjectId // The host's availability schedule it's booked from; unset means their default
+  },
+  bufferBefore: {
+    type: Number, // Minutes kept free before each meeting
+    default: 0,
+    min: [0, 'Buffer cannot be negative']
+  },
+  bufferAfter: {
+    type: Number, // Minutes kept free after each meeting
+    default: 0,
+    min: [0, 'Buffer cannot be negative']
+  },
+  minimumNotice: {
+    type: Number, // Minutes between booking and the meeting's start
+    default: 0,
+    min: [0, 'Minimum notice cannot be negative']
+  },
+  maxHorizonDays: {
+    type: Number, // How many days ahead it can be booked; unset means the host's own limit
+    min: [1, 'Booking horizon must be at least 1 day']
+  },
+  maxBookingsPerDay: {
+    type: Number, // Unset means no limit
+    min: [1, 'Maximum bookings per day must be at least 1']
+  },
+  questions: [intakeQuestionSchema],
+  assignment: {
+    type: String,
+    // Who hosts a booking: the event type's host; for team event types, one of
+    // `hosts` picked in turn (round-robin), or all of them together (collective)
+    enum: ['host', 'round-robin', 'collective'],
+    default: 'host'
+  },
+  hosts: [eventTypeHostSchema], // Unset means every member of the team
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+eventTypeSchema.index({ hostId: 1, slug: 1 }, { unique: true });
+
+// Update the updatedAt timestamp before save
+eventTypeSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('EventType', eventTypeSchema);
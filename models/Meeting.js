@@ -1,10 +1,12 @@
 const mongoose = require('mongoose');
+const { getLastOccurrenceDate } = require('../utils/recurrence');
+const { DEFAULT_TIMEZONE, isValidTimezone, zonedTimeToUtc } = require('../utils/timezone');
+const { isValidReminderOffsets } = require('../utils/reminderOffsets');
 
 const participantSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User' // Not set for guests without an account
   },
   email: {
     type: String,
@@ -12,11 +14,108 @@ const participantSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'rejected'],
+    enum: ['pending', 'accepted', 'rejected', 'waitlisted'],
     default: 'pending'
   },
   responseAt: {
     type: Date
+  },
+  waitlistedAt: {
+    type: Date // When they joined the waitlist; the waitlist is served in this order
+  }
+});
+
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly'],
+    required: [true, 'Please provide a recurrence frequency']
+  },
+  interval: {
+    type: Number,
+    default: 1,
+    min: [1, 'Recurrence interval must be at least 1']
+  },
+  byWeekday: [{
+    type: String,
+    enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+  }],
+  count: {
+    type: Number,
+    min: [1, 'Recurrence count must be at least 1']
+  },
+  until: {
+    type: String // Last possible occurrence date (YYYY-MM-DD), inclusive
+  }
+}, { _id: false });
+
+// One change of a meeting's status (see utils/meetingLifecycle.js)
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['schedule', 'cancel', 'complete', 'reopen', 'expire'],
+    required: true
+  },
+  reason: {
+    type: String
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Not set for automatic transitions
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// The booker's answer to one of the event type's questions
+const intakeAnswerSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  label: {
+    type: String,
+    required: true
+  },
+  answer: {
+    type: String
+  }
+}, { _id: false });
+
+// Per-occurrence change or cancellation in a recurring series
+const occurrenceExceptionSchema = new mongoose.Schema({
+  originalDate: {
+    type: String,
+    required: true
+  },
+  isCancelled: {
+    type: Boolean,
+    default: false
+  },
+  date: {
+    type: String
+  },
+  startTime: {
+    type: String
+  },
+  endTime: {
+    type: String
+  },
+  title: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
   }
 });
 
@@ -53,7 +152,11 @@ const meetingSchema = new mongoose.Schema({
   },
   timezone: {
     type: String,
-    default: 'Asia/Kolkata' // Default to Indian Standard Time
+    default: 'Asia/Kolkata', // Default to Indian Standard Time
+    validate: {
+      validator: isValidTimezone,
+      message: props => `${props.value} is not a valid timezone`
+    }
   },
   meetingLink: {
     type: String
@@ -66,6 +169,7 @@ const meetingSchema = new mongoose.Schema({
     enum: ['upcoming', 'pending', 'cancelled', 'past'],
     default: 'upcoming'
   },
+  statusHistory: [statusChangeSchema],
   isActive: {
     type: Boolean,
     default: true
@@ -77,6 +181,66 @@ const meetingSchema = new mongoose.Schema({
     }
   },
   participants: [participantSchema],
+  capacity: {
+    type: Number, // Most attendees besides the host; unset means no limit
+    min: [1, 'Capacity must be at least 1'],
+    validate: {
+      validator: value => value === null || Number.isInteger(value),
+      message: 'Capacity must be a whole number'
+    }
+  },
+  recurrence: {
+    type: recurrenceSchema,
+    default: undefined
+  },
+  exceptions: [occurrenceExceptionSchema],
+  icsUid: {
+    type: String // UID of the calendar event this meeting was imported from
+  },
+  eventTypeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventType' // The template this meeting was booked from
+  },
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team', // The team it's listed under: booked from a team event type, or created for the team
+    index: true
+  },
+  scheduleId: {
+    type: mongoose.Schema.Types.ObjectId // The host's availability schedule governing it; unset means their default
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['video', 'phone', 'in-person', 'custom']
+    },
+    value: {
+      type: String
+    }
+  },
+  bufferBefore: {
+    type: Number, // Minutes kept free before the meeting
+    default: 0,
+    min: [0, 'Buffer cannot be negative']
+  },
+  bufferAfter: {
+    type: Number, // Minutes kept free after the meeting
+    default: 0,
+    min: [0, 'Buffer cannot be negative']
+  },
+  intakeAnswers: [intakeAnswerSchema],
+  reminderOffsets: {
+    type: [Number], // Minutes before the start; unset means each participant's preference
+    default: undefined,
+    validate: {
+      validator: isValidReminderOffsets,
+      message: 'Reminder offsets must be whole minutes between 1 and 10080 (one week)'
+    }
+  },
+  sequence: {
+    type: Number, // iCalendar SEQUENCE, bumped when invitees are sent a changed time or cancellation
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -93,17 +257,16 @@ meetingSchema.pre('save', function(next) {
   next();
 });
 
-// Method to check if meeting is past
+// Method to check if meeting is past (a series is past once its last occurrence has ended)
 meetingSchema.methods.isPast = function() {
-  const meetingEndTime = new Date(`${this.date} ${this.endTime}`);
-  return meetingEndTime < new Date();
-};
+  const lastDate = getLastOccurrenceDate(this);
 
-// Method to update meeting status based on time
-meetingSchema.methods.updateStatus = function() {
-  if (this.isPast()) {
-    this.status = 'past';
+  if (!lastDate) {
+    return false; // Open-ended series
   }
+
+  const meetingEndTime = zonedTimeToUtc(lastDate, this.endTime, this.timezone || DEFAULT_TIMEZONE);
+  return meetingEndTime < new Date();
 };
 
 module.exports = mongoose.model('Meeting', meetingSchema); 
\ No newline at end of file
@@ -17,9 +17,13 @@ const meetingInvitationSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'rejected'],
+    enum: ['pending', 'accepted', 'rejected', 'waitlisted'],
     default: 'pending'
   },
+  rsvpTokenId: {
+    type: String, // jti of the one RSVP link that is currently valid
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
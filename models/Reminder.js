@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Keep delivered reminders around for a while, then let MongoDB remove them
+const RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+// One reminder for one participant of one meeting occurrence. The unique index
+// makes scheduling idempotent, so restarts never create the same reminder twice.
+const reminderSchema = new mongoose.Schema({
+  meetingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting',
+    required: true
+  },
+  occurrenceDate: {
+    type: String, // Original date of the occurrence ("YYYY-MM-DD"); the meeting date for one-off meetings
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  offsetMinutes: {
+    type: Number,
+    required: true
+  },
+  startAt: {
+    type: Date, // Start of the meeting this reminder was scheduled for
+    required: true
+  },
+  fireAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'skipped', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date // Set while a worker is delivering the reminder
+  },
+  sentAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+reminderSchema.index(
+  { meetingId: 1, occurrenceDate: 1, email: 1, offsetMinutes: 1, startAt: 1 },
+  { unique: true }
+);
+reminderSchema.index({ status: 1, fireAt: 1 });
+reminderSchema.index({ fireAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+module.exports = mongoose.model('Reminder', reminderSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Keep ended sessions around for a week after they expire, then let MongoDB remove them
+const RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+// One signed-in device. Its refresh token is rotated on every use; the hashes
+// of the tokens it replaced are kept so that a stolen, already-used token
+// gives itself away (see utils/sessions.js).
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String, // SHA-256 of the refresh token that is currently valid
+    required: true,
+    select: false
+  },
+  previousTokenHashes: {
+    type: [String], // SHA-256 of the refresh tokens already rotated out, most recent last
+    select: false
+  },
+  tokenVersion: {
+    type: Number, // The user's tokenVersion at sign-in; bumping it ends the session
+    required: true
+  },
+  userAgent: {
+    type: String
+  },
+  device: {
+    type: String // Readable summary of the user agent, e.g. "Chrome on Windows"
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse-detected', 'signed-out-everywhere', 'password-changed', 'deactivated']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+module.exports = mongoose.model('Session', sessionSchema);
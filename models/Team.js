@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { TEAM_ROLES } = require('../utils/permissions');
+
+const teamMemberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: TEAM_ROLES, // One owner; admins manage members, invitations and event types
+    default: 'member'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A group of users, e.g. a department, who share event types and can see each
+// other's availability
+const teamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a team name'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  members: [teamMemberSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+teamSchema.index({ 'members.userId': 1 });
+
+// Update the updatedAt timestamp before save
+teamSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Team', teamSchema);
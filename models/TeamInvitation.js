@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// An invitation to join a team, sent to an email address. The invitee answers
+// it once they're signed in with that email, whether or not they had an
+// account when it was sent.
+const teamInvitationSchema = new mongoose.Schema({
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'member'], // The role the invitee joins with
+    default: 'member'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  respondedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+teamInvitationSchema.index({ teamId: 1, status: 1 });
+teamInvitationSchema.index({ email: 1, status: 1 });
+
+// Update the updatedAt timestamp before save
+teamInvitationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('TeamInvitation', teamInvitationSchema);
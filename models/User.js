@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { isValidReminderOffsets } = require('../utils/reminderOffsets');
+const { ROLES } = require('../utils/permissions');
 
 const slotSchema = new mongoose.Schema({
   startTime: {
@@ -32,6 +34,71 @@ const availabilitySchema = new mongoose.Schema({
   slots: [slotSchema]
 });
 
+const DATE_PATTERN = [/^\d{4}-\d{2}-\d{2}$/, 'Dates must be in YYYY-MM-DD format'];
+
+// Replaces the weekly availability on one date: custom slots, or not available at all
+const availabilityOverrideSchema = new mongoose.Schema({
+  date: {
+    type: String, // "YYYY-MM-DD" in the user's timezone
+    required: true,
+    match: DATE_PATTERN
+  },
+  isAvailable: {
+    type: Boolean,
+    default: true
+  },
+  slots: [slotSchema],
+  note: {
+    type: String,
+    trim: true
+  }
+});
+
+// Whole days off, e.g. a vacation
+const timeOffSchema = new mongoose.Schema({
+  startDate: {
+    type: String, // "YYYY-MM-DD" in the user's timezone, inclusive
+    required: true,
+    match: DATE_PATTERN
+  },
+  endDate: {
+    type: String, // Inclusive
+    required: true,
+    match: DATE_PATTERN
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A named set of hours, e.g. "Working hours" or "Client hours". Meetings and
+// event types say which schedule governs them; the default one governs the rest.
+const availabilityScheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a schedule name'],
+    trim: true
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  timezone: {
+    type: String // Timezone of the schedule's hours; unset means the user's preferred timezone
+  },
+  availability: [availabilitySchema],
+  availabilityOverrides: [availabilityOverrideSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -65,11 +132,75 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'user'
+  },
+  isActive: {
+    type: Boolean, // Deactivated users can't sign in and can't be booked
+    default: true
+  },
+  deactivatedAt: {
+    type: Date
+  },
+  passwordResetToken: {
+    type: String, // SHA-256 of the one reset token that is currently valid
+    index: true,
+    select: false
+  },
+  passwordResetExpire: {
+    type: Date,
+    select: false
+  },
+  // The default schedule's hours; kept in step with it once the user has schedules
   availability: [availabilitySchema],
+  availabilityOverrides: [availabilityOverrideSchema],
+  schedules: [availabilityScheduleSchema],
+  // Time off applies whatever the schedule
+  timeOff: [timeOffSchema],
+  calendarFeedToken: {
+    type: String,
+    index: true,
+    select: false
+  },
   preferences: {
     timezone: {
       type: String,
       default: 'Asia/Kolkata' // Default to Indian Standard Time
+    },
+    reminderOffsets: {
+      type: [Number], // Minutes before meetings to send reminders; unset means the defaults
+      default: undefined,
+      validate: {
+        validator: isValidReminderOffsets,
+        message: 'Reminder offsets must be whole minutes between 1 and 10080 (one week)'
+      }
+    },
+    schedulingRules: {
+      bufferBefore: {
+        type: Number, // Minutes kept free before each meeting
+        default: 0,
+        min: [0, 'Buffer cannot be negative']
+      },
+      bufferAfter: {
+        type: Number, // Minutes kept free after each meeting
+        default: 0,
+        min: [0, 'Buffer cannot be negative']
+      },
+      minimumNotice: {
+        type: Number, // Minutes between someone booking you and the meeting's start
+        default: 0,
+        min: [0, 'Minimum notice cannot be negative']
+      },
+      maxHorizonDays: {
+        type: Number, // How many days ahead you can be booked; unset means no limit
+        min: [1, 'Booking horizon must be at least 1 day']
+      },
+      maxMeetingsPerDay: {
+        type: Number, // Unset means no limit
+        min: [1, 'Maximum meetings per day must be at least 1']
+      }
     }
   },
   createdAt: {
@@ -82,10 +213,23 @@ const userSchema = new mongoose.Schema({
   }
 });
 
+// Mirror the default schedule into the top-level availability, for clients
+// that only know about one set of hours
+userSchema.pre('save', function(next) {
+  const defaultSchedule = this.schedules.find(schedule => schedule.isDefault);
+
+  if (defaultSchedule) {
+    this.availability = defaultSchedule.availability.toObject();
+    this.availabilityOverrides = defaultSchedule.availabilityOverrides.toObject();
+  }
+
+  next();
+});
+
 // Encrypt password using bcrypt
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
 
   const salt = await bcrypt.genSalt(10);
@@ -98,16 +242,17 @@ userSchema.pre('save', async function(next) {
   }
 });
 
-// Sign JWT token
-userSchema.methods.getSignedJwtToken = function() {
+// Sign a short-lived access token for a session (see utils/sessions.js)
+userSchema.methods.getSignedJwtToken = function(sessionId) {
   return jwt.sign(
     { 
       id: this._id,
-      version: this.tokenVersion 
+      version: this.tokenVersion,
+      sid: sessionId
     }, 
     process.env.JWT_SECRET, 
     {
-      expiresIn: process.env.JWT_EXPIRE
+      expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '15m'
     }
   );
 };
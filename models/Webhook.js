@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { MEETING_EVENTS } = require('../utils/meetingEvents');
+
+const webhookSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  url: {
+    type: String,
+    required: [true, 'Please provide a webhook URL'],
+    trim: true,
+    validate: {
+      validator: value => /^https?:\/\/\S+$/i.test(value),
+      message: 'Webhook URL must start with http:// or https://'
+    }
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: MEETING_EVENTS
+    }],
+    validate: {
+      validator: events => events.length > 0,
+      message: 'Please subscribe to at least one event'
+    }
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  secret: {
+    type: String, // Shared secret for the HMAC signature
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt timestamp before save
+webhookSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Keep the delivery log for a month
+const RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const attemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  statusCode: Number,
+  error: String,
+  durationMs: Number
+}, { _id: false });
+
+// One event sent (or to be sent) to one webhook, with every attempt logged
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String, // Shared by every delivery of the same event, for de-duplication by receivers
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: [attemptSchema],
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: {
+    type: Date // Set while a worker is sending it
+  },
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  },
+  completedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
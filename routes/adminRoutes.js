@@ -0,0 +1,30 @@
+const express = require('express');
+const {
+  getUsers,
+  getUser,
+  deactivateUser,
+  reactivateUser,
+  updateUserRole,
+  rebuildUserBookings,
+  getMeeting
+} = require('../controllers/adminController');
+
+const router = express.Router();
+
+const { protect, authorize } = require('../middlewares/authMiddleware');
+
+// Staff only
+router.use(protect, authorize('admin', 'support'));
+
+// User routes
+router.get('/users', getUsers);
+router.get('/users/:id', getUser);
+router.put('/users/:id/deactivate', authorize('admin'), deactivateUser);
+router.put('/users/:id/reactivate', authorize('admin'), reactivateUser);
+router.put('/users/:id/role', authorize('admin'), updateUserRole);
+router.post('/users/:id/rebuild-bookings', rebuildUserBookings);
+
+// Meeting routes
+router.get('/meetings/:id', getMeeting);
+
+module.exports = router;
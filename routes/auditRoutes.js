@@ -0,0 +1,14 @@
+const express = require('express');
+const { searchAuditLogs } = require('../controllers/auditController');
+
+const router = express.Router();
+
+const { protect, authorize } = require('../middlewares/authMiddleware');
+
+// Admins only
+router.use(protect, authorize('admin'));
+
+// Audit log search
+router.get('/', searchAuditLogs);
+
+module.exports = router;
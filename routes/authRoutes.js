@@ -5,7 +5,13 @@ const {
   getMe,
   updateDetails,
   updatePassword,
-  logout
+  forgotPassword,
+  resetPassword,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  logout,
+  logoutAll
 } = require('../controllers/authController');
 
 const router = express.Router();
@@ -15,11 +21,17 @@ const { protect } = require('../middlewares/authMiddleware');
 // Public routes
 router.post('/signup', register);
 router.post('/login', login);
+router.post('/forgotpassword', forgotPassword);
+router.put('/resetpassword/:token', resetPassword);
+router.post('/refresh', refreshToken);
 
 // Protected routes
 router.get('/me', protect, getMe);
 router.put('/updatedetails', protect, updateDetails);
 router.put('/updatepassword', protect, updatePassword);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, revokeSession);
 router.post('/logout', protect, logout);
+router.post('/logout-all', protect, logoutAll);
 
 module.exports = router; 
\ No newline at end of file
@@ -3,6 +3,7 @@ const {
   getBookings,
   getUpcomingMeetings,
   getPendingMeetings,
+  getWaitlistedMeetings,
   getCanceledMeetings,
   getPastMeetings,
   getMeetingParticipants,
@@ -20,6 +21,7 @@ router.use(protect);
 router.get('/', getBookings);
 router.get('/upcoming', getUpcomingMeetings);
 router.get('/pending', getPendingMeetings);
+router.get('/waitlisted', getWaitlistedMeetings);
 router.get('/canceled', getCanceledMeetings);
 router.get('/past', getPastMeetings);
 
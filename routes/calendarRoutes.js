@@ -0,0 +1,9 @@
+const express = require('express');
+const { getCalendarFeed } = require('../controllers/calendarController');
+
+const router = express.Router();
+
+// Calendar feed (authenticated by the secret token in the URL, not a Bearer JWT)
+router.get('/feed/:token.ics', getCalendarFeed);
+
+module.exports = router;
@@ -1,29 +1,30 @@
 const express = require('express');
 const { protect } = require('../middlewares/authMiddleware');
-const { 
-  createMeeting: createEvent, 
-  getMeetings: getEvents,
-  getUserCreatedMeetings: getUserCreatedEvents 
-} = require('../controllers/meetingController');
+const {
+  getEventTypes,
+  createEventType,
+  getEventType,
+  updateEventType,
+  deleteEventType
+} = require('../controllers/eventTypeController');
 
 const router = express.Router();
 
-// Log middleware to verify token
-router.use((req, res, next) => {
-  console.log('Token received:', req.headers.authorization);
-  next();
-});
-
 // Protect all routes
 router.use(protect);
 
-// Event routes
+// Event type (booking template) routes
 router.route('/')
-  .get(getEvents)
-  .post(createEvent);
+  .get(getEventTypes)
+  .post(createEventType);
 
-// Get only events created by the current user (for event types)
+// The current user's event types (kept for existing clients)
 router.route('/created')
-  .get(getUserCreatedEvents);
+  .get(getEventTypes);
+
+router.route('/:id')
+  .get(getEventType)
+  .put(updateEventType)
+  .delete(deleteEventType);
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
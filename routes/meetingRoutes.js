@@ -5,11 +5,19 @@ const {
   getMeeting,
   updateMeeting,
   deleteMeeting,
-  toggleMeetingStatus,
+  exportMeetingIcs,
+  updateOccurrence,
+  cancelOccurrence,
+  updateMeetingStatus,
+  getMeetingStatusHistory,
+  getMeetingHistory,
   respondToInvitation,
   toggleMeetingActive,
   duplicateMeeting,
-  checkUserAvailability
+  checkUserAvailability,
+  findFreeSlots,
+  suggestTimes,
+  importCalendar
 } = require('../controllers/meetingController');
 
 const router = express.Router();
@@ -29,7 +37,23 @@ router.route('/:id')
   .put(updateMeeting)
   .delete(deleteMeeting);
 
-router.put('/:id/toggle', toggleMeetingStatus);
+// iCalendar download
+router.get('/:id/ics', exportMeetingIcs);
+
+// Recurring series occurrence routes
+router.route('/:id/occurrences/:date')
+  .put(updateOccurrence)
+  .delete(cancelOccurrence);
+
+// Meeting lifecycle: schedule, cancel, complete, reopen
+router.put('/:id/status', updateMeetingStatus);
+router.get('/:id/status-history', getMeetingStatusHistory);
+
+// Field-level change history of the meeting and its invitations
+router.get('/:id/history', getMeetingHistory);
+
+// Old status toggle, kept for existing clients
+router.put('/:id/toggle', updateMeetingStatus);
 
 // New route for toggling active status (isActive field)
 router.put('/:id/active', toggleMeetingActive);
@@ -40,6 +64,19 @@ router.post('/:id/duplicate', duplicateMeeting);
 // Route to check if a meeting time conflicts with user's availability
 router.post('/check-availability', checkUserAvailability);
 
+// Route to find bookable windows for one or more users over a date range
+router.post('/free-slots', findFreeSlots);
+
+// Route to suggest common free times for a group of invitees
+router.post('/suggest-times', suggestTimes);
+
+// Route to import meetings or busy time from an .ics file (raw text/calendar or JSON)
+router.post(
+  '/import',
+  express.text({ type: ['text/calendar', 'text/plain'], limit: '2mb' }),
+  importCalendar
+);
+
 // Invitation response route
 router.put('/invitation/:invitationId', respondToInvitation);
 
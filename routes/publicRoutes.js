@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+  getHostProfile,
+  getHostSlots,
+  bookWithHost,
+  getTeamProfile,
+  getTeamSlots,
+  bookWithTeam
+} = require('../controllers/publicController');
+
+const router = express.Router();
+
+// Public booking routes (no authentication)
+router.get('/teams/:teamId', getTeamProfile);
+router.get('/teams/:teamId/slots', getTeamSlots);
+router.post('/teams/:teamId/book', bookWithTeam);
+
+router.get('/:username', getHostProfile);
+router.get('/:username/slots', getHostSlots);
+router.post('/:username/book', bookWithHost);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const {
+  getRsvp,
+  respondToRsvp
+} = require('../controllers/rsvpController');
+
+const router = express.Router();
+
+// RSVP link routes (no authentication; the token identifies the invitation)
+router.route('/:token')
+  .get(getRsvp)
+  .post(respondToRsvp);
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const {
+  getTeams,
+  createTeam,
+  getTeam,
+  updateTeam,
+  deleteTeam,
+  updateTeamMember,
+  removeTeamMember,
+  getTeamInvitations,
+  inviteToTeam,
+  revokeTeamInvitation,
+  getMyTeamInvitations,
+  acceptTeamInvitation,
+  declineTeamInvitation,
+  getTeamMeetings,
+  getTeamFreeBusy
+} = require('../controllers/teamController');
+
+const router = express.Router();
+
+const { protect } = require('../middlewares/authMiddleware');
+
+// Protect all routes
+router.use(protect);
+
+router.route('/')
+  .get(getTeams)
+  .post(createTeam);
+
+// Invitations addressed to the current user
+router.get('/invitations', getMyTeamInvitations);
+router.post('/invitations/:invitationId/accept', acceptTeamInvitation);
+router.post('/invitations/:invitationId/decline', declineTeamInvitation);
+
+router.route('/:id')
+  .get(getTeam)
+  .put(updateTeam)
+  .delete(deleteTeam);
+
+// Member routes
+router.route('/:id/members/:userId')
+  .put(updateTeamMember)
+  .delete(removeTeamMember);
+
+// Invitation routes
+router.route('/:id/invitations')
+  .get(getTeamInvitations)
+  .post(inviteToTeam);
+
+router.delete('/:id/invitations/:invitationId', revokeTeamInvitation);
+
+// Team-wide views
+router.get('/:id/meetings', getTeamMeetings);
+router.get('/:id/free-busy', getTeamFreeBusy);
+
+module.exports = router;
@@ -5,14 +5,35 @@ const {
   updateDayAvailability,
   updateWeekendAvailability,
   copyTimeSlots,
+  getAvailabilityOverrides,
+  setAvailabilityOverride,
+  deleteAvailabilityOverride,
+  getTimeOff,
+  addTimeOff,
+  updateTimeOff,
+  deleteTimeOff,
+  getSchedules,
+  createSchedule,
+  getSchedule,
+  updateSchedule,
+  deleteSchedule,
   getTimezone,
   updateTimezone,
+  getReminderOffsets,
+  updateReminderOffsets,
+  getSchedulingRules,
+  updateSchedulingRules,
   updateEventType,
   getPreferences,
   getEventType,
   updateProfile,
   updatePassword,
-  updatePasswordNoVerification
+  updatePasswordNoVerification,
+  getCalendarFeed,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  getBusyBlocks,
+  deleteBusyBlock
 } = require('../controllers/userController');
 
 const router = express.Router();
@@ -43,6 +64,32 @@ router.route('/availability/copy')
 router.route('/availability/weekend')
   .put(updateWeekendAvailability);
 
+// Date overrides and time off, consulted before the weekly hours
+router.route('/availability/overrides')
+  .get(getAvailabilityOverrides);
+
+router.route('/availability/overrides/:date')
+  .put(setAvailabilityOverride)
+  .delete(deleteAvailabilityOverride);
+
+router.route('/availability/time-off')
+  .get(getTimeOff)
+  .post(addTimeOff);
+
+router.route('/availability/time-off/:id')
+  .put(updateTimeOff)
+  .delete(deleteTimeOff);
+
+// Named availability schedules; the routes above take ?schedule=<id> to pick one
+router.route('/availability/schedules')
+  .get(getSchedules)
+  .post(createSchedule);
+
+router.route('/availability/schedules/:scheduleId')
+  .get(getSchedule)
+  .put(updateSchedule)
+  .delete(deleteSchedule);
+
 router.route('/availability/:day')
   .put(updateDayAvailability);
 
@@ -54,8 +101,29 @@ router.route('/preferences/timezone')
   .get(getTimezone)
   .put(updateTimezone);
 
+router.route('/preferences/reminders')
+  .get(getReminderOffsets)
+  .put(updateReminderOffsets);
+
+router.route('/preferences/scheduling-rules')
+  .get(getSchedulingRules)
+  .put(updateSchedulingRules);
+
 router.route('/preferences/eventType')
   .get(getEventType)
   .put(updateEventType);
 
+// Calendar feed routes
+router.route('/calendar-feed')
+  .get(getCalendarFeed)
+  .post(createCalendarFeed)
+  .delete(revokeCalendarFeed);
+
+// Imported busy time routes
+router.route('/busy-blocks')
+  .get(getBusyBlocks);
+
+router.route('/busy-blocks/:id')
+  .delete(deleteBusyBlock);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,38 @@
+const express = require('express');
+const {
+  getWebhooks,
+  createWebhook,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  pingWebhook,
+  getWebhookDeliveries,
+  redeliverWebhookDelivery
+} = require('../controllers/webhookController');
+
+const router = express.Router();
+
+const { protect } = require('../middlewares/authMiddleware');
+
+// Protect all routes
+router.use(protect);
+
+// Webhook routes
+router.route('/')
+  .get(getWebhooks)
+  .post(createWebhook);
+
+router.route('/:id')
+  .get(getWebhook)
+  .put(updateWebhook)
+  .delete(deleteWebhook);
+
+router.post('/:id/secret', rotateWebhookSecret);
+router.post('/:id/ping', pingWebhook);
+
+// Delivery log routes
+router.get('/:id/deliveries', getWebhookDeliveries);
+router.post('/:id/deliveries/:deliveryId/redeliver', redeliverWebhookDelivery);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+// Rebuild every user's booking dashboard from their meetings.
+//
+//   node scripts/rebuildBookings.js [--batch-size=100]
+//
+// Safe to run against a live server: each dashboard is replaced in one write,
+// and later meeting events keep updating it as usual.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { rebuildAllBookings } = require('../utils/bookingProjection');
+
+dotenv.config();
+
+const batchArg = process.argv.find(arg => arg.startsWith('--batch-size='));
+const batchSize = batchArg ? parseInt(batchArg.split('=')[1], 10) || undefined : undefined;
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const startedAt = Date.now();
+  const { rebuilt, removed } = await rebuildAllBookings({ batchSize });
+
+  console.log(`Rebuilt ${rebuilt} booking dashboards, removed ${removed} orphaned ones in ${Date.now() - startedAt}ms`);
+}
+
+main()
+  .catch(error => {
+    console.error(`Rebuild failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
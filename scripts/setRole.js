@@ -0,0 +1,36 @@
+// Give a user a role, e.g. to make the first admin.
+//
+//   node scripts/setRole.js <email> <user|admin|support>
+//
+// After that, admins can change roles through PUT /api/admin/users/:id/role.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+const { ROLES } = require('../utils/permissions');
+
+dotenv.config();
+
+const [email, role] = process.argv.slice(2);
+
+async function main() {
+  if (!email || !ROLES.includes(role)) {
+    throw new Error(`Usage: node scripts/setRole.js <email> <${ROLES.join('|')}>`);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const user = await User.findOneAndUpdate({ email: email.toLowerCase() }, { role }, { new: true });
+
+  if (!user) {
+    throw new Error(`No user with email ${email}`);
+  }
+
+  console.log(`${user.email} is now ${user.role}`);
+}
+
+main()
+  .catch(error => {
+    console.error(`Setting role failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,63 @@
+// Local webhook receiver for testing deliveries.
+//
+//   WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js
+//
+// Start the API with WEBHOOK_ALLOW_LOCALHOST=true (webhooks are otherwise never
+// sent to this machine) and register http://localhost:4000/webhooks as the
+// webhook URL. Every delivery is printed along with whether its signature
+// checks out. Set RESPOND_WITH=500 to make the receiver fail so you can watch
+// the retries.
+const crypto = require('crypto');
+const http = require('http');
+
+const PORT = parseInt(process.env.RECEIVER_PORT, 10) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET;
+const RESPOND_WITH = parseInt(process.env.RESPOND_WITH, 10) || 200;
+
+// Deliveries older than this are rejected to stop replays
+const TOLERANCE_SECONDS = 5 * 60;
+
+function verifySignature(headers, body) {
+  const timestamp = headers['x-webhook-timestamp'];
+  const signature = (headers['x-webhook-signature'] || '').replace(/^sha256=/, '');
+
+  if (!timestamp || !signature) return 'missing signature headers';
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > TOLERANCE_SECONDS) return 'timestamp too old';
+
+  const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+  const valid = expected.length === signature.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+
+  return valid ? null : 'signature mismatch';
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405).end();
+    return;
+  }
+
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const signatureError = SECRET ? verifySignature(req.headers, body) : 'not checked (no WEBHOOK_SECRET)';
+
+    console.log('==========');
+    console.log(`${new Date().toISOString()} ${req.headers['x-webhook-event']} (delivery ${req.headers['x-webhook-delivery']})`);
+    console.log(`Signature: ${signatureError ? signatureError : 'valid'}`);
+
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (error) {
+      console.log(body);
+    }
+
+    const status = SECRET && signatureError ? 401 : RESPOND_WITH;
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: status < 300 }));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook receiver listening on http://localhost:${PORT}/webhooks`);
+});
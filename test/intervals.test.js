@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  mergeIntervals,
+  subtractIntervals,
+  intersectIntervals,
+  splitIntoWindows
+} = require('../utils/scheduling');
+
+const HOUR_MS = 60 * 60 * 1000;
+const at = hours => hours * HOUR_MS;
+const span = (start, end) => ({ start: at(start), end: at(end) });
+
+test('merges overlapping and touching intervals', () => {
+  assert.deepEqual(mergeIntervals([span(3, 4), span(1, 2), span(2, 3), span(5, 7), span(6, 6.5)]), [span(1, 4), span(5, 7)]);
+});
+
+test('drops zero and negative-length intervals when merging', () => {
+  assert.deepEqual(mergeIntervals([span(1, 1), span(3, 2), span(4, 5)]), [span(4, 5)]);
+  assert.deepEqual(mergeIntervals([]), []);
+});
+
+test('subtracts busy time from free time', () => {
+  assert.deepEqual(subtractIntervals([span(9, 17)], [span(10, 11), span(12, 13)]), [span(9, 10), span(11, 12), span(13, 17)]);
+  assert.deepEqual(subtractIntervals([span(9, 17)], [span(8, 18)]), []);
+  assert.deepEqual(subtractIntervals([span(9, 12)], [span(12, 13)]), [span(9, 12)]);
+});
+
+test('ignores zero and negative-length busy blocks', () => {
+  assert.deepEqual(subtractIntervals([span(9, 17)], [span(10, 10)]), [span(9, 17)]);
+  assert.deepEqual(subtractIntervals([span(9, 17)], [span(12, 11)]), [span(9, 17)]);
+});
+
+test('intersects free time', () => {
+  assert.deepEqual(intersectIntervals([span(9, 12), span(13, 17)], [span(11, 14)]), [span(11, 12), span(13, 14)]);
+  // Touching isn't overlapping
+  assert.deepEqual(intersectIntervals([span(9, 12)], [span(12, 14)]), []);
+  assert.deepEqual(intersectIntervals([], [span(9, 12)]), []);
+});
+
+test('splits free time into aligned windows', () => {
+  const windows = splitIntoWindows([{ start: at(9.25), end: at(11) }], 30, 30, 'UTC');
+
+  assert.deepEqual(windows.map(w => `${w.startTime}-${w.endTime}`), ['09:30-10:00', '10:00-10:30', '10:30-11:00']);
+});
+
+test('splits no windows out of empty or inverted intervals', () => {
+  assert.deepEqual(splitIntoWindows([span(9, 9), span(11, 10)], 30, 30, 'UTC'), []);
+});
+
+test('refuses non-positive window sizes rather than looping forever', () => {
+  assert.throws(() => splitIntoWindows([span(9, 10)], -30, -30, 'UTC'), RangeError);
+  assert.throws(() => splitIntoWindows([span(9, 10)], 30, 0, 'UTC'), RangeError);
+  assert.throws(() => splitIntoWindows([span(9, 10)], 0, 30, 'UTC'), RangeError);
+});
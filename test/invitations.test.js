@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Meeting = require('../models/Meeting');
+const MeetingInvitation = require('../models/MeetingInvitation');
+
+// Side effects of a response that aren't under test
+const audit = require('../utils/audit');
+const meetingEvents = require('../utils/meetingEvents');
+const notifications = require('../utils/notifications');
+test.mock.method(audit, 'auditInvitation', async () => {});
+test.mock.method(meetingEvents, 'publish', async () => {});
+test.mock.method(notifications, 'notifyInvitationResponse', () => {});
+test.mock.method(notifications, 'notifyPromoted', () => {});
+
+const { applyInvitationResponse } = require('../utils/invitations');
+
+// A stored meeting that saves like MongoDB does with a version check: a save
+// made from a copy loaded before someone else's save fails
+function storeMeeting(fields) {
+  let stored = { ...new Meeting(fields).toObject(), __v: 0 };
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+
+  test.mock.method(Meeting, 'findById', async () => {
+    await tick();
+    return Meeting.hydrate(JSON.parse(JSON.stringify(stored)));
+  });
+  test.mock.method(Meeting.prototype, 'save', async function() {
+    await tick();
+    if (this.__v !== stored.__v) {
+      throw new mongoose.Error.VersionError(this, stored.__v, []);
+    }
+    stored = { ...this.toObject(), __v: stored.__v + 1 };
+    return this;
+  });
+
+  return () => stored;
+}
+
+test.mock.method(MeetingInvitation.prototype, 'save', async function() {
+  return this;
+});
+test.mock.method(MeetingInvitation, 'find', async () => []);
+
+const hostId = new mongoose.Types.ObjectId();
+const invite = (meetingId, email) => new MeetingInvitation({ meetingId, email, status: 'pending' });
+const statuses = meeting => Object.fromEntries(meeting.participants.map(p => [p.email, p.status]));
+
+const lastSeatMeeting = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  hostId,
+  title: 'Workshop',
+  date: '2030-01-01',
+  startTime: '10:00',
+  endTime: '11:00',
+  duration: 60,
+  capacity: 1,
+  participants: [
+    { userId: hostId, email: 'host@example.com', status: 'accepted' },
+    { email: 'a@example.com', status: 'pending' },
+    { email: 'b@example.com', status: 'pending' }
+  ]
+});
+
+test('gives the last seat to one of two people accepting at once', async () => {
+  const fields = lastSeatMeeting();
+  const current = storeMeeting(fields);
+
+  const results = await Promise.all([
+    applyInvitationResponse(invite(fields._id, 'a@example.com'), 'accepted', null),
+    applyInvitationResponse(invite(fields._id, 'b@example.com'), 'accepted', null)
+  ]);
+
+  assert.equal(results.every(Boolean), true);
+  assert.deepEqual(statuses(current()), {
+    'host@example.com': 'accepted',
+    'a@example.com': 'accepted',
+    'b@example.com': 'waitlisted'
+  });
+});
+
+test('seats the first person waiting when someone gives up their seat', async () => {
+  const fields = lastSeatMeeting();
+  const current = storeMeeting(fields);
+
+  await applyInvitationResponse(invite(fields._id, 'a@example.com'), 'accepted', null);
+  const waiting = invite(fields._id, 'b@example.com');
+  await applyInvitationResponse(waiting, 'accepted', null);
+  assert.equal(waiting.status, 'waitlisted');
+
+  await applyInvitationResponse(invite(fields._id, 'a@example.com'), 'rejected', null);
+
+  assert.deepEqual(statuses(current()), {
+    'host@example.com': 'accepted',
+    'a@example.com': 'rejected',
+    'b@example.com': 'accepted'
+  });
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getSeriesDates,
+  isOccurrenceDate,
+  getLastOccurrenceDate,
+  countOccurrencesBefore,
+  expandOccurrences
+} = require('../utils/recurrence');
+
+const series = (date, recurrence, extra = {}) => ({
+  date,
+  startTime: '10:00',
+  endTime: '10:30',
+  timezone: 'UTC',
+  recurrence,
+  ...extra
+});
+
+test('skips months without the start day of a monthly series', () => {
+  const meeting = series('2024-01-31', { frequency: 'monthly', interval: 1 });
+
+  assert.deepEqual(getSeriesDates(meeting, '2024-01-01', '2024-08-31'), [
+    '2024-01-31',
+    '2024-03-31',
+    '2024-05-31',
+    '2024-07-31',
+    '2024-08-31'
+  ]);
+  assert.equal(isOccurrenceDate(meeting, '2024-02-29'), false);
+});
+
+test('only lands on 29 February in leap years', () => {
+  const meeting = series('2024-02-29', { frequency: 'monthly', interval: 12 });
+
+  assert.deepEqual(getSeriesDates(meeting, '2024-01-01', '2032-12-31'), ['2024-02-29', '2028-02-29', '2032-02-29']);
+});
+
+test('counts only the occurrences that happen towards a count', () => {
+  const meeting = series('2024-01-31', { frequency: 'monthly', interval: 1, count: 3 });
+
+  assert.equal(getLastOccurrenceDate(meeting), '2024-05-31');
+  assert.equal(countOccurrencesBefore(meeting, '2024-05-31'), 2);
+});
+
+test('stops a series on its until date', () => {
+  const meeting = series('2024-01-01', { frequency: 'weekly', interval: 1, byWeekday: ['Monday', 'Wednesday'], until: '2024-01-10' });
+
+  assert.deepEqual(getSeriesDates(meeting, '2024-01-01', '2024-12-31'), ['2024-01-01', '2024-01-03', '2024-01-08', '2024-01-10']);
+  assert.equal(getLastOccurrenceDate(meeting), '2024-01-10');
+});
+
+test('has no last date for an open-ended series', () => {
+  assert.equal(getLastOccurrenceDate(series('2024-01-01', { frequency: 'daily', interval: 2 })), null);
+});
+
+test('expands moved and cancelled occurrences', () => {
+  const meeting = series('2024-01-01', { frequency: 'daily', interval: 1 }, {
+    exceptions: [
+      { originalDate: '2024-01-02', isCancelled: true },
+      { originalDate: '2024-01-03', date: '2024-01-04', startTime: '15:00', endTime: '15:30' },
+      // Moved into the range from outside it
+      { originalDate: '2024-01-06', date: '2024-01-05', startTime: '08:00', endTime: '08:30' }
+    ]
+  });
+
+  const occurrences = expandOccurrences(meeting, '2024-01-01', '2024-01-05')
+    .map(o => `${o.occurrenceDate}>${o.date} ${o.startTime}`);
+
+  // In date and time order
+  assert.deepEqual(occurrences, [
+    '2024-01-01>2024-01-01 10:00',
+    '2024-01-04>2024-01-04 10:00',
+    '2024-01-03>2024-01-04 15:00',
+    '2024-01-06>2024-01-05 08:00',
+    '2024-01-05>2024-01-05 10:00'
+  ]);
+});
+
+test('expands a one-off meeting to itself only inside the range', () => {
+  const meeting = { date: '2024-01-01', startTime: '10:00', endTime: '10:30' };
+
+  assert.equal(expandOccurrences(meeting, '2024-01-01', '2024-01-01').length, 1);
+  assert.equal(expandOccurrences(meeting, '2024-01-02', '2024-01-05').length, 0);
+});
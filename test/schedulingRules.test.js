@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateRules, resolveRules, findRuleViolations } = require('../utils/schedulingRules');
+
+const HOUR_MS = 60 * 60 * 1000;
+const at = time => Date.parse(`2030-01-01T${time}:00Z`);
+const meeting = (title, start, end, fields = {}) => ({ title, start: at(start), end: at(end), ...fields });
+const interval = occurrence => ({ start: occurrence.start, end: occurrence.end });
+const userWith = schedulingRules => ({ preferences: { schedulingRules } });
+
+const violationsFor = (start, end, occurrences, rules, options = {}) =>
+  findRuleViolations({ start: at(start), end: at(end) }, occurrences, interval, rules, { timezone: 'UTC', ...options });
+
+test('validates a partial update of the rules', () => {
+  assert.deepEqual(validateRules({ bufferBefore: 15, maxMeetingsPerDay: null }), {
+    rules: { bufferBefore: 15, maxMeetingsPerDay: null }
+  });
+  assert.deepEqual(validateRules({ minimumNotice: null }), { rules: { minimumNotice: 0 } });
+  assert.deepEqual(validateRules({ bufferAfter: -5, maxHorizonDays: 0 }).errors.map(e => e.field), [
+    'bufferAfter',
+    'maxHorizonDays'
+  ]);
+  assert.ok(validateRules([]).errors);
+});
+
+test('an event type and the meeting can tighten the rules but never loosen them', () => {
+  const user = userWith({ bufferBefore: 10, bufferAfter: 20, minimumNotice: 60, maxHorizonDays: 30 });
+  const eventType = { bufferBefore: 5, bufferAfter: 30, minimumNotice: 30, maxHorizonDays: 60, maxBookingsPerDay: 2 };
+
+  const rules = resolveRules(user, { eventType, buffers: { bufferBefore: 15 } });
+
+  assert.equal(rules.bufferBefore, 15);
+  assert.equal(rules.bufferAfter, 30);
+  assert.equal(rules.userBufferBefore, 10);
+  assert.equal(rules.userBufferAfter, 20);
+  assert.equal(rules.minimumNotice, 60);
+  assert.equal(rules.maxHorizonDays, 30);
+  assert.equal(rules.maxBookingsPerDay, 2);
+  assert.equal(resolveRules(userWith({}), { eventType: { maxHorizonDays: 60 } }).maxHorizonDays, 60);
+});
+
+test('keeps the larger buffer free between meetings', () => {
+  const rules = resolveRules(userWith({ bufferAfter: 15 }));
+  const existing = [meeting('Standup', '09:00', '10:00')];
+
+  assert.deepEqual(violationsFor('10:10', '11:00', existing, rules).map(v => v.message), [
+    'Needs 15 minutes free after "Standup"'
+  ]);
+  assert.deepEqual(violationsFor('10:15', '11:00', existing, rules), []);
+
+  // The existing meeting's own buffer counts too
+  const padded = [meeting('Review', '12:00', '13:00', { bufferBefore: 60 })];
+  assert.deepEqual(violationsFor('10:30', '11:30', padded, rules).map(v => v.message), [
+    'Needs 1 hour free before "Review"'
+  ]);
+});
+
+test('leaves outright overlaps to the conflict check', () => {
+  const rules = resolveRules(userWith({ bufferAfter: 15 }));
+
+  assert.deepEqual(violationsFor('09:30', '10:30', [meeting('Standup', '09:00', '10:00')], rules), []);
+});
+
+test('holds only others booking the user to the notice and horizon', () => {
+  const rules = resolveRules(userWith({ minimumNotice: 120, maxHorizonDays: 1 }));
+  const now = new Date(at('09:00'));
+
+  assert.deepEqual(violationsFor('10:00', '11:00', [], rules, { now, bookedByOther: true }).map(v => v.rule), [
+    'minimum-notice'
+  ]);
+  assert.deepEqual(violationsFor('10:00', '11:00', [], rules, { now }), []);
+
+  const later = new Date(at('09:00') - 2 * 24 * HOUR_MS);
+  assert.deepEqual(violationsFor('12:00', '13:00', [], rules, { now: later, bookedByOther: true }).map(v => v.rule), [
+    'booking-horizon'
+  ]);
+});
+
+test('stops at the daily limits, not counting imported busy time', () => {
+  const eventType = { _id: 'intro', title: 'Intro call', maxBookingsPerDay: 1 };
+  const existing = [
+    meeting('Intro with Ann', '09:00', '09:30', { eventTypeId: 'intro' }),
+    meeting('Dentist', '13:00', '14:00', { isBusyBlock: true })
+  ];
+
+  const limited = resolveRules(userWith({ maxMeetingsPerDay: 1 }));
+  assert.deepEqual(violationsFor('15:00', '16:00', existing, limited).map(v => v.rule), ['daily-limit']);
+  assert.deepEqual(violationsFor('15:00', '16:00', existing.slice(1), limited), []);
+
+  const rules = resolveRules(userWith({}), { eventType });
+  assert.deepEqual(violationsFor('15:00', '16:00', existing, rules).map(v => v.message), [
+    '"Intro call" is fully booked on 2030-01-01 (limit 1 a day)'
+  ]);
+});
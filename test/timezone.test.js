@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  zonedTimeToUtc,
+  utcToZonedTime,
+  getTimezoneOffset,
+  addDays,
+  listDates
+} = require('../utils/timezone');
+const { splitIntoWindows } = require('../utils/scheduling');
+
+const iso = (date, time, timezone) => zonedTimeToUtc(date, time, timezone).toISOString();
+
+test('converts wall-clock times in fixed-offset zones', () => {
+  assert.equal(iso('2024-01-01', '09:00', 'Asia/Kolkata'), '2024-01-01T03:30:00.000Z');
+  assert.equal(iso('2024-01-01', '00:00', 'UTC'), '2024-01-01T00:00:00.000Z');
+  assert.deepEqual(utcToZonedTime(Date.parse('2024-01-01T20:00:00Z'), 'Asia/Kolkata'), { date: '2024-01-02', time: '01:30' });
+});
+
+test('uses the offset in force on each side of a DST change', () => {
+  assert.equal(getTimezoneOffset(Date.parse('2024-01-15T12:00:00Z'), 'America/New_York'), -300);
+  assert.equal(getTimezoneOffset(Date.parse('2024-07-15T12:00:00Z'), 'America/New_York'), -240);
+  assert.equal(iso('2024-03-10', '01:30', 'America/New_York'), '2024-03-10T06:30:00.000Z');
+  assert.equal(iso('2024-03-10', '03:30', 'America/New_York'), '2024-03-10T07:30:00.000Z');
+});
+
+test('moves a time skipped when clocks go forward on by the gap', () => {
+  assert.equal(iso('2024-03-10', '02:30', 'America/New_York'), '2024-03-10T07:30:00.000Z');
+  assert.equal(iso('2024-03-31', '01:30', 'Europe/London'), '2024-03-31T01:30:00.000Z');
+});
+
+test('picks the first of a time repeated when clocks go back', () => {
+  assert.equal(iso('2024-11-03', '01:30', 'America/New_York'), '2024-11-03T05:30:00.000Z');
+  assert.equal(iso('2024-10-27', '01:30', 'Europe/London'), '2024-10-27T00:30:00.000Z');
+  assert.equal(iso('2024-04-07', '02:30', 'Australia/Sydney'), '2024-04-06T15:30:00.000Z');
+});
+
+test('round-trips wall-clock times around a DST change', () => {
+  for (const time of ['00:30', '01:30', '03:30', '12:00', '23:30']) {
+    const instant = zonedTimeToUtc('2024-03-10', time, 'America/New_York');
+    assert.deepEqual(utcToZonedTime(instant, 'America/New_York'), { date: '2024-03-10', time });
+  }
+});
+
+test('adds days across month, year and DST boundaries', () => {
+  assert.equal(addDays('2024-01-31', 1), '2024-02-01');
+  assert.equal(addDays('2024-02-28', 1), '2024-02-29');
+  assert.equal(addDays('2024-12-31', 1), '2025-01-01');
+  assert.equal(addDays('2024-03-01', -1), '2024-02-29');
+  assert.equal(addDays('2024-03-09', 2), '2024-03-11');
+  assert.deepEqual(listDates('2024-03-09', '2024-03-11'), ['2024-03-09', '2024-03-10', '2024-03-11']);
+  assert.deepEqual(listDates('2024-03-11', '2024-03-09'), []);
+});
+
+test('splits days with a DST change by real elapsed time', () => {
+  const timezone = 'America/New_York';
+  const label = windows => windows.map(w => `${w.startTime}-${w.endTime}`);
+  const day = (date, from, to) => [{
+    start: zonedTimeToUtc(date, from, timezone).getTime(),
+    end: zonedTimeToUtc(date, to, timezone).getTime()
+  }];
+
+  // 02:00-03:00 doesn't exist when clocks go forward
+  assert.deepEqual(label(splitIntoWindows(day('2024-03-10', '00:00', '06:00'), 60, 60, timezone)), [
+    '00:00-01:00',
+    '01:00-03:00',
+    '03:00-04:00',
+    '04:00-05:00',
+    '05:00-06:00'
+  ]);
+
+  // 01:00-02:00 happens twice when they go back
+  assert.equal(splitIntoWindows(day('2024-11-03', '00:00', '03:00'), 60, 60, timezone).length, 4);
+});
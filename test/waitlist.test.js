@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  countTakenSeats,
+  countOpenSeats,
+  getWaitlist,
+  getWaitlistPosition,
+  promoteFromWaitlist
+} = require('../utils/waitlist');
+
+const HOST_ID = 'host';
+
+const meetingWith = (capacity, participants) => ({
+  hostId: HOST_ID,
+  capacity,
+  participants: participants.map(([email, status, waitlistedAt]) => ({
+    userId: email === 'host' ? HOST_ID : undefined,
+    email,
+    status,
+    waitlistedAt: waitlistedAt && new Date(waitlistedAt)
+  }))
+});
+
+test('the host does not take a seat', () => {
+  const meeting = meetingWith(2, [['host', 'accepted'], ['a', 'accepted'], ['b', 'pending']]);
+
+  assert.equal(countTakenSeats(meeting), 1);
+  assert.equal(countOpenSeats(meeting), 1);
+});
+
+test('has unlimited seats without a capacity and none past it', () => {
+  assert.equal(countOpenSeats(meetingWith(undefined, [['a', 'accepted']])), Infinity);
+  assert.equal(countOpenSeats(meetingWith(1, [['a', 'accepted'], ['b', 'accepted']])), 0);
+});
+
+test('serves the waitlist in the order people joined it', () => {
+  const meeting = meetingWith(1, [
+    ['a', 'accepted'],
+    ['late', 'waitlisted', '2030-01-02'],
+    ['early', 'waitlisted', '2030-01-01'],
+    ['c', 'rejected']
+  ]);
+
+  assert.deepEqual(getWaitlist(meeting).map(p => p.email), ['early', 'late']);
+  assert.equal(getWaitlistPosition(meeting, meeting.participants[1]), 2);
+  assert.equal(getWaitlistPosition(meeting, meeting.participants[0]), null);
+});
+
+test('promotes only as many people as there are free seats', () => {
+  const meeting = meetingWith(2, [
+    ['a', 'accepted'],
+    ['second', 'waitlisted', '2030-01-02'],
+    ['first', 'waitlisted', '2030-01-01'],
+    ['third', 'waitlisted', '2030-01-03']
+  ]);
+
+  const promoted = promoteFromWaitlist(meeting, new Date('2030-01-05'));
+
+  assert.deepEqual(promoted.map(p => p.email), ['first']);
+  assert.equal(promoted[0].status, 'accepted');
+  assert.equal(promoted[0].waitlistedAt, undefined);
+  assert.equal(countOpenSeats(meeting), 0);
+  assert.deepEqual(getWaitlist(meeting).map(p => p.email), ['second', 'third']);
+});
+
+test('promotes nobody when the meeting is full', () => {
+  const meeting = meetingWith(1, [['a', 'accepted'], ['b', 'waitlisted', '2030-01-01']]);
+
+  assert.deepEqual(promoteFromWaitlist(meeting), []);
+  assert.equal(meeting.participants[1].status, 'waitlisted');
+});
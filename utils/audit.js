@@ -0,0 +1,237 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// Bookkeeping fields that are never compared
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'statusHistory'];
+
+// Changes to these are recorded without their values
+const REDACTED_FIELDS = ['password', 'secret', 'calendarFeedToken', 'rsvpTokenId', 'tokenVersion'];
+const REDACTED = '[redacted]';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Turn a document (or part of one) into plain JSON-like values, so two
+// snapshots can be compared: ObjectIds become strings, dates ISO strings,
+// and subdocument _ids are dropped
+function normalize(value) {
+  if (value === null || value === undefined) return undefined;
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value.toObject === 'function') return normalize(value.toObject());
+  if (Array.isArray(value)) return value.map(normalize);
+
+  if (typeof value === 'object') {
+    return Object.keys(value).reduce((plain, key) => {
+      if (IGNORED_FIELDS.includes(key)) return plain;
+
+      const normalized = normalize(value[key]);
+      if (normalized !== undefined) plain[key] = normalized;
+      return plain;
+    }, {});
+  }
+
+  return value;
+}
+
+// Flatten nested objects into dotted paths. Arrays are kept whole.
+function flatten(value, prefix = '', paths = {}) {
+  for (const [key, child] of Object.entries(value || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (child && typeof child === 'object' && !Array.isArray(child) && Object.keys(child).length > 0) {
+      flatten(child, path, paths);
+    } else {
+      paths[path] = child;
+    }
+  }
+
+  return paths;
+}
+
+// Field-level differences between two snapshots: [{ path, before, after }]
+function diffObjects(before, after) {
+  const beforePaths = flatten(normalize(before) || {});
+  const afterPaths = flatten(normalize(after) || {});
+  const paths = [...new Set([...Object.keys(beforePaths), ...Object.keys(afterPaths)])].sort();
+
+  return paths.reduce((changes, path) => {
+    if (JSON.stringify(beforePaths[path]) === JSON.stringify(afterPaths[path])) {
+      return changes;
+    }
+
+    const redacted = REDACTED_FIELDS.includes(path.split('.').pop());
+    changes.push({
+      path,
+      before: redacted && beforePaths[path] !== undefined ? REDACTED : beforePaths[path],
+      after: redacted && afterPaths[path] !== undefined ? REDACTED : afterPaths[path]
+    });
+    return changes;
+  }, []);
+}
+
+// Record one change. `before` is omitted for creates and `after` for deletes.
+// Updates that changed nothing aren't recorded. `actor` is the acting User (or
+// { email } for a guest), or null for automatic changes. Never throws: a
+// failure to audit is logged and the change itself stands.
+async function recordAudit({ entityType, entityId, meetingId, action, actor, before, after, metadata }) {
+  try {
+    const changes = diffObjects(before, after);
+
+    if (action === 'update' && changes.length === 0) return null;
+
+    return await AuditLog.create({
+      entityType,
+      entityId,
+      meetingId,
+      action,
+      actorId: actor?._id || actor?.id,
+      actorEmail: actor && !actor._id && !actor.id ? actor.email : undefined,
+      changes,
+      metadata
+    });
+  } catch (error) {
+    console.error(`Error recording audit entry for ${entityType} ${entityId}: ${error.message}`);
+    return null;
+  }
+}
+
+// Shorthands for the audited entities
+function auditMeeting(meeting, action, actor, { before, after, metadata } = {}) {
+  return recordAudit({
+    entityType: 'Meeting',
+    entityId: meeting._id,
+    meetingId: meeting._id,
+    action,
+    actor,
+    before,
+    after: after === undefined && action !== 'delete' ? meeting : after,
+    metadata
+  });
+}
+
+function auditInvitation(invitation, action, actor, { before, metadata } = {}) {
+  return recordAudit({
+    entityType: 'MeetingInvitation',
+    entityId: invitation._id,
+    meetingId: invitation.meetingId,
+    action,
+    actor,
+    before,
+    after: action === 'delete' ? undefined : invitation,
+    metadata
+  });
+}
+
+// Availability is compared day by day, so a change reads "availability.Monday.slots"
+function availabilityByDay(availability) {
+  return (availability || []).reduce((days, day) => {
+    const { day: name, ...rest } = normalize(day);
+    days[name] = rest;
+    return days;
+  }, {});
+}
+
+// `before` is the schedule's weekly availability before the change
+function auditAvailability(user, before, actor, schedule = user) {
+  return recordAudit({
+    entityType: 'User',
+    entityId: user._id,
+    action: 'update',
+    actor,
+    before: { availability: availabilityByDay(before) },
+    after: { availability: availabilityByDay(schedule.availability) },
+    metadata: schedule !== user ? { scheduleId: schedule._id, schedule: schedule.name } : undefined
+  });
+}
+
+// Index a list of subdocuments by one of their fields
+function keyedBy(items, key) {
+  return (items || []).reduce((keyed, item) => {
+    keyed[String(item[key])] = normalize(item);
+    return keyed;
+  }, {});
+}
+
+// Date overrides are compared by date and time off by entry, so a change reads
+// "availabilityOverrides.2026-12-25.slots". `before` holds whichever of the two
+// lists changed: a schedule's availabilityOverrides, or the user's timeOff.
+function auditDateAvailability(user, before, actor, schedule = null) {
+  const snapshot = source => ({
+    ...(before.availabilityOverrides ? { availabilityOverrides: keyedBy(source.availabilityOverrides, 'date') } : {}),
+    ...(before.timeOff ? { timeOff: keyedBy(source.timeOff, '_id') } : {})
+  });
+
+  return recordAudit({
+    entityType: 'User',
+    entityId: user._id,
+    action: 'update',
+    actor,
+    before: snapshot(before),
+    after: snapshot({ availabilityOverrides: schedule?.availabilityOverrides, timeOff: user.timeOff }),
+    metadata: schedule ? { scheduleId: schedule._id, schedule: schedule.name } : undefined
+  });
+}
+
+// Schedules are compared by id on their settings; their hours are audited on their own
+function schedulesById(schedules) {
+  return (schedules || []).reduce((keyed, schedule) => {
+    keyed[schedule._id.toString()] = normalize({
+      name: schedule.name,
+      isDefault: schedule.isDefault,
+      timezone: schedule.timezone
+    });
+    return keyed;
+  }, {});
+}
+
+// `before` is the user's schedule list before the change
+function auditSchedules(user, before, actor) {
+  return recordAudit({
+    entityType: 'User',
+    entityId: user._id,
+    action: 'update',
+    actor,
+    before: { schedules: schedulesById(before) },
+    after: { schedules: schedulesById(user.schedules) }
+  });
+}
+
+// Page through audit entries, newest first. Returns { entries, total, pagination }.
+async function findAuditLogs(filter, { page, limit } = {}) {
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const startIndex = (pageNumber - 1) * pageSize;
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(startIndex)
+      .limit(pageSize)
+      .populate('actorId', 'name email'),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  const pagination = {};
+
+  if (startIndex + pageSize < total) {
+    pagination.next = { page: pageNumber + 1, limit: pageSize };
+  }
+
+  if (startIndex > 0) {
+    pagination.prev = { page: pageNumber - 1, limit: pageSize };
+  }
+
+  return { entries, total, pagination };
+}
+
+module.exports = {
+  diffObjects,
+  recordAudit,
+  auditMeeting,
+  auditInvitation,
+  auditAvailability,
+  auditDateAvailability,
+  auditSchedules,
+  findAuditLogs
+};
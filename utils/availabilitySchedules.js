@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE } = require('./timezone');
+
+// Name of the schedule a user's original availability becomes
+const DEFAULT_SCHEDULE_NAME = 'Working hours';
+
+const MAX_SCHEDULES = 20;
+
+// Move a user's single set of hours into named schedules, as the default one.
+// Users who never touched their schedules still read from the top-level fields.
+function ensureSchedules(user) {
+  if (user.schedules.length === 0) {
+    user.schedules.push({
+      name: DEFAULT_SCHEDULE_NAME,
+      isDefault: true,
+      availability: user.availability.toObject(),
+      availabilityOverrides: user.availabilityOverrides.toObject()
+    });
+  }
+
+  return user.schedules;
+}
+
+// Find the schedule that governs a meeting or event type: the one with the
+// given id, or the user's default (also when that schedule has been deleted).
+// Users without schedules get their top-level hours as the default.
+function resolveSchedule(user, scheduleId = null) {
+  const schedules = user.schedules || [];
+
+  if (schedules.length === 0) {
+    return {
+      _id: null,
+      name: DEFAULT_SCHEDULE_NAME,
+      isDefault: true,
+      availability: user.availability || [],
+      availabilityOverrides: user.availabilityOverrides || []
+    };
+  }
+
+  const chosen = scheduleId && schedules.find(schedule => schedule._id.toString() === scheduleId.toString());
+  return chosen || schedules.find(schedule => schedule.isDefault) || schedules[0];
+}
+
+// The timezone a schedule's hours are in
+function getScheduleTimezone(user, schedule) {
+  return schedule?.timezone || user.preferences?.timezone || DEFAULT_TIMEZONE;
+}
+
+// Check a schedule id belongs to the user. Returns true when no id is given.
+function ownsSchedule(user, scheduleId) {
+  if (!scheduleId) return true;
+
+  return mongoose.isValidObjectId(scheduleId) &&
+    (user.schedules || []).some(schedule => schedule._id.toString() === scheduleId.toString());
+}
+
+// Find the schedule an availability update targets: the given one, or the
+// default. Returns { schedule } or { error, statusCode }.
+function findScheduleForUpdate(user, scheduleId = null) {
+  ensureSchedules(user);
+
+  if (!scheduleId) {
+    return { schedule: resolveSchedule(user) };
+  }
+
+  const schedule = mongoose.isValidObjectId(scheduleId) ? user.schedules.id(scheduleId) : null;
+
+  if (!schedule) {
+    return { error: 'Availability schedule not found', statusCode: 404 };
+  }
+
+  return { schedule };
+}
+
+// Make one schedule the default
+function setDefaultSchedule(user, schedule) {
+  user.schedules.forEach(s => {
+    s.isDefault = s._id.equals(schedule._id);
+  });
+}
+
+// A schedule without its overrides, for lists
+function summarizeSchedule(user, schedule) {
+  return {
+    id: schedule._id,
+    name: schedule.name,
+    isDefault: schedule.isDefault,
+    timezone: getScheduleTimezone(user, schedule),
+    availability: schedule.availability
+  };
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE_NAME,
+  MAX_SCHEDULES,
+  ensureSchedules,
+  resolveSchedule,
+  getScheduleTimezone,
+  ownsSchedule,
+  findScheduleForUpdate,
+  setDefaultSchedule,
+  summarizeSchedule
+};
@@ -0,0 +1,367 @@
+const Meeting = require('../models/Meeting');
+const MeetingInvitation = require('../models/MeetingInvitation');
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const { subscribe } = require('./meetingEvents');
+const { expandForDashboard } = require('./recurrence');
+const { DEFAULT_TIMEZONE, zonedTimeToUtc, addDays } = require('./timezone');
+const { getWaitlistPosition } = require('./waitlist');
+
+// The booking dashboard is a projection of the meetings a user hosts or was
+// invited to: one Booking document per user, with each occurrence sorted into
+// one of five lists. It is updated incrementally from meeting events and can be
+// rebuilt from the meetings at any time.
+const CATEGORIES = ['upcomingMeetings', 'pendingMeetings', 'waitlistedMeetings', 'canceledMeetings', 'pastMeetings'];
+
+// Meetings still to come run soonest first; canceled and past most recent first
+const SORT_DIRECTIONS = {
+  upcomingMeetings: 1,
+  pendingMeetings: 1,
+  waitlistedMeetings: 1,
+  canceledMeetings: -1,
+  pastMeetings: -1
+};
+
+const REBUILD_BATCH_SIZE = 100;
+
+// Decide which list an occurrence belongs in for a user whose participant status
+// is `status` (hosts count as accepted). Returns null when it isn't shown at all.
+// Every path that writes the dashboard goes through here.
+function categorizeOccurrence(occurrence, status, now = new Date()) {
+  if (occurrence.status === 'cancelled') {
+    return { category: 'canceledMeetings', status: 'canceled' };
+  }
+
+  if (status === 'rejected') {
+    return { category: 'canceledMeetings', status };
+  }
+
+  // An occurrence is over once its end time, in the meeting's own timezone, has
+  // passed, or when the host marked the meeting complete
+  const end = zonedTimeToUtc(occurrence.date, occurrence.endTime, occurrence.timezone || DEFAULT_TIMEZONE);
+
+  if (occurrence.status === 'past' || end < now) {
+    // Invitations nobody answered, and waitlists nobody got off, are dropped
+    return status === 'accepted' ? { category: 'pastMeetings', status } : null;
+  }
+
+  if (status === 'pending') {
+    return { category: 'pendingMeetings', status };
+  }
+
+  return status === 'waitlisted'
+    ? { category: 'waitlistedMeetings', status }
+    : { category: 'upcomingMeetings', status: 'accepted' };
+}
+
+// Find a user's participant entry, by account or by the email they were invited with
+function findParticipant(meeting, user) {
+  const userId = user._id.toString();
+  return meeting.participants.find(p =>
+    (p.userId && p.userId.toString() === userId) || p.email === user.email
+  );
+}
+
+// Pending and waitlisted invitations of some meetings, keyed by "<meetingId>:<email>"
+async function getPendingInvitationIds(meetingIds) {
+  const invitations = await MeetingInvitation.find({
+    meetingId: { $in: meetingIds },
+    status: { $in: ['pending', 'waitlisted'] }
+  });
+
+  return new Map(invitations.map(i => [`${i.meetingId}:${i.email}`, i._id]));
+}
+
+// Build a user's dashboard items for one meeting: [{ category, item }]
+function projectMeetingForUser(meeting, user, invitationIds, now) {
+  const isHost = meeting.hostId.toString() === user._id.toString();
+  const participant = findParticipant(meeting, user);
+
+  if (!isHost && !participant) return [];
+
+  const status = isHost ? 'accepted' : participant.status;
+  const waitlistPosition = status === 'waitlisted' ? getWaitlistPosition(meeting, participant) : undefined;
+  const today = now.toISOString().split('T')[0];
+
+  return expandForDashboard(meeting, today).reduce((entries, occurrence) => {
+    const placement = categorizeOccurrence(occurrence, status, now);
+
+    if (placement) {
+      entries.push({
+        category: placement.category,
+        item: {
+          meetingId: meeting._id,
+          title: occurrence.title,
+          date: occurrence.date,
+          startTime: occurrence.startTime,
+          endTime: occurrence.endTime,
+          status: placement.status,
+          hostId: occurrence.hostId,
+          isActive: occurrence.isActive,
+          timezone: occurrence.timezone,
+          occurrenceDate: occurrence.occurrenceDate,
+          invitationId: ['pending', 'waitlisted'].includes(placement.status)
+            ? invitationIds.get(`${meeting._id}:${participant.email}`)
+            : undefined,
+          waitlistPosition
+        }
+      });
+    }
+
+    return entries;
+  }, []);
+}
+
+function compareItems(direction) {
+  return (a, b) => direction * (`${a.date} ${a.startTime}`).localeCompare(`${b.date} ${b.startTime}`);
+}
+
+// Sort projected items into the dashboard lists
+function groupItems(entries) {
+  const lists = Object.fromEntries(CATEGORIES.map(category => [category, []]));
+
+  entries.forEach(({ category, item }) => lists[category].push(item));
+  CATEGORIES.forEach(category => lists[category].sort(compareItems(SORT_DIRECTIONS[category])));
+
+  return lists;
+}
+
+// Update that removes every item of a meeting from a dashboard
+function pullMeeting(meetingId) {
+  return {
+    $pull: Object.fromEntries(CATEGORIES.map(category => [category, { meetingId }]))
+  };
+}
+
+// Filter for dashboards that show a meeting
+function showingMeeting(meetingId) {
+  return { $or: CATEGORIES.map(category => ({ [`${category}.meetingId`]: meetingId })) };
+}
+
+// Registered users involved in a meeting: the host and every participant
+async function getMeetingUsers(meeting) {
+  const userIds = [meeting.hostId, ...meeting.participants.map(p => p.userId)].filter(Boolean);
+  const emails = meeting.participants.filter(p => !p.userId && p.email).map(p => p.email);
+
+  return User.find({
+    $or: [
+      { _id: { $in: userIds } },
+      ...(emails.length > 0 ? [{ email: { $in: emails } }] : [])
+    ]
+  });
+}
+
+// Replace one meeting's items on the dashboard of everyone involved, and take
+// it off the dashboards of anyone who no longer is. One bulk write in total.
+async function projectMeeting(meeting, now = new Date()) {
+  const users = await getMeetingUsers(meeting);
+  const invitationIds = await getPendingInvitationIds([meeting._id]);
+
+  const operations = [{
+    updateMany: {
+      filter: { userId: { $nin: users.map(u => u._id) }, ...showingMeeting(meeting._id) },
+      update: pullMeeting(meeting._id)
+    }
+  }];
+
+  for (const user of users) {
+    const lists = groupItems(projectMeetingForUser(meeting, user, invitationIds, now));
+
+    operations.push({
+      updateOne: {
+        filter: { userId: user._id },
+        update: pullMeeting(meeting._id)
+      }
+    });
+    operations.push({
+      updateOne: {
+        filter: { userId: user._id },
+        update: {
+          $push: Object.fromEntries(CATEGORIES.map(category => [category, {
+            $each: lists[category],
+            $sort: { date: SORT_DIRECTIONS[category], startTime: SORT_DIRECTIONS[category] }
+          }])),
+          $set: { updatedAt: now }
+        },
+        upsert: true
+      }
+    });
+  }
+
+  await Booking.bulkWrite(operations, { ordered: true });
+}
+
+// Take a meeting off every dashboard
+async function removeMeetingFromBookings(meetingId) {
+  await Booking.updateMany(showingMeeting(meetingId), pullMeeting(meetingId));
+}
+
+// Keep dashboards in step with meeting events
+async function handleMeetingEvent(event, { meeting }) {
+  if (event === 'meeting.deleted') {
+    return removeMeetingFromBookings(meeting._id);
+  }
+
+  return projectMeeting(meeting);
+}
+
+function subscribeBookingProjection() {
+  subscribe('*', handleMeetingEvent);
+}
+
+// Recompute the whole dashboard of each of some users from their meetings
+async function rebuildBookingsFor(users, now = new Date()) {
+  if (users.length === 0) return;
+
+  const meetings = await Meeting.find({
+    $or: [
+      { hostId: { $in: users.map(u => u._id) } },
+      { 'participants.userId': { $in: users.map(u => u._id) } },
+      { 'participants.email': { $in: users.map(u => u.email) } }
+    ]
+  });
+  const invitationIds = await getPendingInvitationIds(meetings.map(m => m._id));
+
+  await Booking.bulkWrite(users.map(user => ({
+    updateOne: {
+      filter: { userId: user._id },
+      update: {
+        $set: {
+          ...groupItems(meetings.flatMap(meeting => projectMeetingForUser(meeting, user, invitationIds, now))),
+          updatedAt: now
+        }
+      },
+      upsert: true
+    }
+  })));
+}
+
+// Recompute one user's dashboard. Returns the new dashboard, or null if the user doesn't exist.
+async function rebuildUserBookings(userId) {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    console.error(`User ${userId} not found for booking rebuild`);
+    return null;
+  }
+
+  await rebuildBookingsFor([user]);
+
+  return Booking.findOne({ userId: user._id });
+}
+
+// Recompute every user's dashboard in batches, and delete dashboards of users
+// that no longer exist
+async function rebuildAllBookings({ batchSize = REBUILD_BATCH_SIZE } = {}) {
+  const now = new Date();
+  const userIds = [];
+  let batch = [];
+
+  for await (const user of User.find().cursor()) {
+    userIds.push(user._id);
+    batch.push(user);
+
+    if (batch.length >= batchSize) {
+      await rebuildBookingsFor(batch, now);
+      console.log(`Rebuilt ${userIds.length} booking dashboards`);
+      batch = [];
+    }
+  }
+
+  await rebuildBookingsFor(batch, now);
+
+  const { deletedCount } = await Booking.deleteMany({ userId: { $nin: userIds } });
+
+  return { rebuilt: userIds.length, removed: deletedCount };
+}
+
+// Move upcoming, pending and waitlisted items whose time has passed to where they now
+// belong. Time passing doesn't raise a meeting event, so a job runs this.
+async function moveEndedBookings(now = new Date()) {
+  // Items ending later than tomorrow (UTC) can't have ended in any timezone
+  const cutoff = addDays(now.toISOString().split('T')[0], 1);
+
+  const bookings = await Booking.find({
+    $or: [
+      { 'upcomingMeetings.date': { $lte: cutoff } },
+      { 'pendingMeetings.date': { $lte: cutoff } },
+      { 'waitlistedMeetings.date': { $lte: cutoff } }
+    ]
+  });
+
+  const operations = [];
+
+  for (const booking of bookings) {
+    const moved = [];
+    const pulled = {};
+
+    for (const category of ['upcomingMeetings', 'pendingMeetings', 'waitlistedMeetings']) {
+      const ended = booking[category].filter(item => {
+        const placement = categorizeOccurrence(item, item.status, now);
+        return !placement || placement.category !== category;
+      });
+
+      if (ended.length === 0) continue;
+
+      pulled[category] = { _id: { $in: ended.map(item => item._id) } };
+      ended.forEach(item => {
+        const placement = categorizeOccurrence(item, item.status, now);
+        if (placement) moved.push({ category: placement.category, item: { ...item.toObject(), status: placement.status } });
+      });
+    }
+
+    if (Object.keys(pulled).length === 0) continue;
+
+    operations.push({ updateOne: { filter: { _id: booking._id }, update: { $pull: pulled } } });
+
+    const lists = groupItems(moved);
+    const pushes = CATEGORIES.filter(category => lists[category].length > 0);
+
+    operations.push({
+      updateOne: {
+        filter: { _id: booking._id },
+        update: {
+          ...(pushes.length > 0 ? {
+            $push: Object.fromEntries(pushes.map(category => [category, {
+              $each: lists[category],
+              $sort: { date: SORT_DIRECTIONS[category], startTime: SORT_DIRECTIONS[category] }
+            }]))
+          } : {}),
+          $set: { updatedAt: now }
+        }
+      }
+    });
+  }
+
+  if (operations.length === 0) return 0;
+
+  await Booking.bulkWrite(operations, { ordered: true });
+  console.log(`Moved ended meetings on ${operations.length / 2} booking dashboards`);
+
+  return operations.length / 2;
+}
+
+// Re-project every recurring series, so occurrences enter and leave the
+// dashboard window as the days go by
+async function refreshRecurringBookings(now = new Date()) {
+  const cursor = Meeting.find({ 'recurrence.frequency': { $exists: true } }).cursor();
+  let refreshed = 0;
+
+  for await (const meeting of cursor) {
+    await projectMeeting(meeting, now);
+    refreshed++;
+  }
+
+  return refreshed;
+}
+
+module.exports = {
+  categorizeOccurrence,
+  subscribeBookingProjection,
+  projectMeeting,
+  removeMeetingFromBookings,
+  rebuildUserBookings,
+  rebuildAllBookings,
+  moveEndedBookings,
+  refreshRecurringBookings
+};
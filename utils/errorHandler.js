@@ -18,6 +18,12 @@ const errorHandler = (err, req, res, next) => {
     error = { message, status: 400 };
   }
 
+  // Mongoose document changed by someone else since it was loaded
+  if (err.name === 'VersionError') {
+    const message = 'This was changed by someone else at the same time; please try again';
+    error = { message, status: 409 };
+  }
+
   // Mongoose validation error
   if (err.name === 'ValidationError') {
     const message = Object.values(err.errors).map(val => val.message);
@@ -0,0 +1,166 @@
+const EventType = require('../models/EventType');
+
+// Fields a host can set on an event type
+const EVENT_TYPE_FIELDS = [
+  'title',
+  'slug',
+  'description',
+  'durations',
+  'location',
+  'scheduleId',
+  'bufferBefore',
+  'bufferAfter',
+  'minimumNotice',
+  'maxHorizonDays',
+  'maxBookingsPerDay',
+  'questions',
+  'assignment',
+  'hosts',
+  'isActive'
+];
+
+// Location types whose value is a link to join the meeting
+const LINK_LOCATIONS = ['video', 'custom'];
+
+const MAX_ANSWER_LENGTH = 2000;
+
+function slugify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'event';
+}
+
+// Pick a slug for an event type, adding -2, -3... if it's taken by another of
+// the host's event types (or, for a team event type, the team's)
+async function generateUniqueSlug(hostId, text, excludeId = null, teamId = null) {
+  const base = slugify(text);
+  const taken = await EventType.find({
+    ...(teamId ? { $or: [{ hostId }, { teamId }] } : { hostId }),
+    slug: new RegExp(`^${base}(-\\d+)?$`),
+    ...(excludeId ? { _id: { $ne: excludeId } } : {})
+  }).distinct('slug');
+
+  if (!taken.includes(base)) return base;
+
+  let suffix = 2;
+  while (taken.includes(`${base}-${suffix}`)) suffix++;
+
+  return `${base}-${suffix}`;
+}
+
+// Check a requested duration is one the event type offers; defaults to the first
+function resolveDuration(eventType, requested) {
+  if (requested === undefined || requested === null || requested === '') {
+    return eventType.durations[0];
+  }
+
+  const duration = Number(requested);
+  return eventType.durations.includes(duration) ? duration : null;
+}
+
+// Check the booker's answers to the intake questions. `answers` maps question
+// id to answer. Returns { intakeAnswers } or { errors: [{ questionId, message }] }.
+function validateIntakeAnswers(eventType, answers = {}) {
+  const errors = [];
+  const intakeAnswers = [];
+
+  for (const question of eventType.questions) {
+    const questionId = question._id.toString();
+    let answer = answers[questionId];
+
+    if (typeof answer === 'string') answer = answer.trim();
+
+    const isBlank = answer === undefined || answer === null || answer === '' ||
+      (question.type === 'checkbox' && answer !== true && answer !== 'true');
+
+    if (isBlank) {
+      if (question.required) {
+        errors.push({ questionId, message: `"${question.label}" is required` });
+      }
+      continue;
+    }
+
+    if (question.type === 'checkbox') {
+      answer = 'Yes';
+    } else if (typeof answer !== 'string' || answer.length > MAX_ANSWER_LENGTH) {
+      errors.push({ questionId, message: `"${question.label}" must be text of at most ${MAX_ANSWER_LENGTH} characters` });
+      continue;
+    } else if (question.type === 'select' && !question.options.includes(answer)) {
+      errors.push({ questionId, message: `"${question.label}" must be one of: ${question.options.join(', ')}` });
+      continue;
+    } else if (question.type === 'email' && !/^\S+@\S+\.\S+$/.test(answer)) {
+      errors.push({ questionId, message: `"${question.label}" must be an email address` });
+      continue;
+    }
+
+    intakeAnswers.push({ questionId: question._id, label: question.label, answer });
+  }
+
+  return errors.length > 0 ? { errors } : { intakeAnswers };
+}
+
+// Work out the fields a meeting booked from an event type inherits. Returns
+// { fields } to merge into the new meeting, or { error } / { errors } when the
+// requested duration or the intake answers don't fit the event type.
+function applyEventType(eventType, { duration: requestedDuration, answers } = {}) {
+  const duration = resolveDuration(eventType, requestedDuration);
+
+  if (!duration) {
+    return { error: `Duration must be one of ${eventType.durations.join(', ')} minutes` };
+  }
+
+  const { intakeAnswers, errors } = validateIntakeAnswers(eventType, answers);
+
+  if (errors) {
+    return { error: 'Please answer the booking questions', errors };
+  }
+
+  const location = eventType.location || {};
+
+  return {
+    fields: {
+      eventTypeId: eventType._id,
+      teamId: eventType.teamId,
+      title: eventType.title,
+      description: eventType.description,
+      duration,
+      location: location.type ? { type: location.type, value: location.value } : undefined,
+      meetingLink: LINK_LOCATIONS.includes(location.type) ? location.value : undefined,
+      scheduleId: eventType.scheduleId,
+      bufferBefore: eventType.bufferBefore,
+      bufferAfter: eventType.bufferAfter,
+      intakeAnswers
+    }
+  };
+}
+
+// The public view of an event type, for booking pages
+function toPublicEventType(eventType) {
+  return {
+    id: eventType._id,
+    slug: eventType.slug,
+    title: eventType.title,
+    description: eventType.description,
+    durations: eventType.durations,
+    locationType: eventType.location?.type,
+    questions: eventType.questions.map(q => ({
+      id: q._id,
+      label: q.label,
+      type: q.type,
+      required: q.required,
+      options: q.type === 'select' ? q.options : undefined
+    }))
+  };
+}
+
+module.exports = {
+  EVENT_TYPE_FIELDS,
+  generateUniqueSlug,
+  resolveDuration,
+  applyEventType,
+  toPublicEventType
+};
@@ -0,0 +1,175 @@
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const {
+  isWithinAvailability,
+  checkTimeConflict,
+  checkSchedulingRules,
+  getUserFreeIntervals,
+  intersectIntervals,
+  splitIntoWindows,
+  getSearchRange
+} = require('./scheduling');
+const { resolveSchedule } = require('./availabilitySchedules');
+const { DAY_MS, zonedTimeToUtc } = require('./timezone');
+const { sameId, findTeamMember } = require('./permissions');
+
+// Assignments where the booking picks its host(s) from the team
+const TEAM_ASSIGNMENTS = ['round-robin', 'collective'];
+
+// Weighted round-robin balances the bookings made over this many days
+const ROUND_ROBIN_WINDOW_DAYS = 30;
+
+// The schedule a host's bookings of an event type are read from: the event
+// type's own for its host, the default one for other team members
+function getHostSchedule(user, eventType) {
+  return resolveSchedule(user, sameId(user, eventType.hostId) ? eventType.scheduleId : null);
+}
+
+// The users who may host a booking of an event type, with their round-robin
+// weights: the event type's host, or for team assignment its listed hosts (every
+// team member when none are listed). People who left the team and deactivated
+// users are skipped. Returns [{ user, weight }].
+async function getCandidateHosts(eventType, team) {
+  let listed = [{ userId: eventType.hostId, weight: 1 }];
+
+  if (team && TEAM_ASSIGNMENTS.includes(eventType.assignment)) {
+    listed = eventType.hosts.length > 0
+      ? eventType.hosts.map(host => ({ userId: host.userId, weight: host.weight || 1 }))
+      : team.members.map(member => ({ userId: member.userId, weight: 1 }));
+    listed = listed.filter(host => findTeamMember(team, host.userId));
+  }
+
+  const users = await User.find({ _id: { $in: listed.map(host => host.userId) }, isActive: { $ne: false } });
+
+  return listed
+    .map(host => ({ user: users.find(user => sameId(user, host.userId)), weight: host.weight }))
+    .filter(host => host.user);
+}
+
+// Check a host can take a booking (date, startTime and endTime in `timezone`):
+// inside their hours, not otherwise booked, and within their scheduling rules
+async function isHostAvailable(user, eventType, { date, startTime, endTime, timezone }) {
+  const schedule = getHostSchedule(user, eventType);
+  const start = zonedTimeToUtc(date, startTime, timezone);
+  const end = zonedTimeToUtc(date, endTime, timezone);
+
+  if (!isWithinAvailability(user, start, end, schedule)) return false;
+
+  if (await checkTimeConflict(user._id, date, startTime, endTime, null, timezone, schedule._id)) return false;
+
+  const violations = await checkSchedulingRules(user, date, startTime, endTime, {
+    timezone,
+    eventType,
+    bookedByOther: true
+  });
+
+  return violations.length === 0;
+}
+
+// Order round-robin candidates, next in line first. With equal weights that's
+// whoever was least recently booked (never booked first). With weights, it's
+// whoever is furthest below their share of the recent bookings, the least
+// recently booked breaking ties. Cancelled bookings don't count.
+async function rankRoundRobin(eventType, candidates, now = new Date()) {
+  const since = new Date(now.getTime() - ROUND_ROBIN_WINDOW_DAYS * DAY_MS);
+  const isWeighted = candidates.some(candidate => candidate.weight !== candidates[0].weight);
+  const ranked = [];
+
+  for (const candidate of candidates) {
+    const filter = { eventTypeId: eventType._id, hostId: candidate.user._id, status: { $ne: 'cancelled' } };
+    const lastBooking = await Meeting.findOne(filter).sort({ createdAt: -1 }).select('createdAt');
+    const recentBookings = isWeighted
+      ? await Meeting.countDocuments({ ...filter, createdAt: { $gte: since } })
+      : 0;
+
+    ranked.push({
+      ...candidate,
+      lastBookedAt: lastBooking ? lastBooking.createdAt.getTime() : 0,
+      load: recentBookings / candidate.weight
+    });
+  }
+
+  return ranked.sort((a, b) => a.load - b.load || a.lastBookedAt - b.lastBookedAt);
+}
+
+// Pick the host(s) of a booking at a time ({ date, startTime, endTime, timezone }).
+// Round-robin picks the next member in line who's free; collective needs every
+// host free, and the event type's own host (if among them) leads. Returns
+// { hosts, assignment }, the first of `hosts` hosting the meeting, or
+// { error, statusCode } when the time can't be booked.
+async function assignHosts(eventType, team, slot) {
+  const candidates = await getCandidateHosts(eventType, team);
+  const assignment = team && TEAM_ASSIGNMENTS.includes(eventType.assignment) ? eventType.assignment : 'host';
+
+  if (candidates.length === 0) {
+    return { error: 'Nobody is available to host this event type', statusCode: 409 };
+  }
+
+  if (assignment === 'collective' || assignment === 'host') {
+    for (const { user } of candidates) {
+      if (!(await isHostAvailable(user, eventType, slot))) {
+        console.log(`Host ${user._id} of event type ${eventType._id} is not free at ${slot.date} ${slot.startTime}`);
+        return { error: 'This time slot is no longer available', statusCode: 409 };
+      }
+    }
+
+    const hosts = candidates
+      .map(candidate => candidate.user)
+      .sort((a, b) => sameId(b, eventType.hostId) - sameId(a, eventType.hostId));
+
+    return { hosts, assignment };
+  }
+
+  for (const { user } of await rankRoundRobin(eventType, candidates)) {
+    if (await isHostAvailable(user, eventType, slot)) {
+      console.log(`Round-robin assigned host ${user._id} for event type ${eventType._id}`);
+      return { hosts: [user], assignment };
+    }
+  }
+
+  return { error: 'This time slot is no longer available', statusCode: 409 };
+}
+
+// List the open slots of an event type on a date in the given timezone: when
+// any candidate host is free for round-robin, when all of them are otherwise
+async function getAssignedOpenSlots(eventType, team, date, duration, timezone) {
+  const range = getSearchRange(date, date, timezone);
+  const candidates = await getCandidateHosts(eventType, team);
+
+  if (!range || candidates.length === 0) {
+    return [];
+  }
+
+  const freeByHost = [];
+  for (const { user } of candidates) {
+    freeByHost.push(await getUserFreeIntervals(user, range.start, range.end, {
+      schedule: getHostSchedule(user, eventType),
+      eventType,
+      bookedByOther: true
+    }));
+  }
+
+  if (!team || eventType.assignment !== 'round-robin') {
+    return splitIntoWindows(freeByHost.reduce(intersectIntervals), duration, duration, timezone);
+  }
+
+  // A slot has to fit within one host's free time
+  const slots = new Map();
+  for (const free of freeByHost) {
+    for (const window of splitIntoWindows(free, duration, duration, timezone)) {
+      slots.set(window.start, window);
+    }
+  }
+
+  return [...slots.values()].sort((a, b) => a.start.localeCompare(b.start));
+}
+
+module.exports = {
+  TEAM_ASSIGNMENTS,
+  getHostSchedule,
+  getCandidateHosts,
+  isHostAvailable,
+  rankRoundRobin,
+  assignHosts,
+  getAssignedOpenSlots
+};
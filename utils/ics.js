@@ -0,0 +1,415 @@
+const { DEFAULT_TIMEZONE, zonedTimeToUtc } = require('./timezone');
+const { isRecurring } = require('./recurrence');
+
+const PRODID = '-//Meeting Scheduler//EN';
+const UID_DOMAIN = 'meeting-scheduler';
+
+const PARTSTAT = {
+  accepted: 'ACCEPTED',
+  rejected: 'DECLINED',
+  pending: 'NEEDS-ACTION',
+  waitlisted: 'TENTATIVE'
+};
+
+const WEEKDAY_CODES = {
+  Monday: 'MO',
+  Tuesday: 'TU',
+  Wednesday: 'WE',
+  Thursday: 'TH',
+  Friday: 'FR',
+  Saturday: 'SA',
+  Sunday: 'SU'
+};
+
+// Escape a TEXT value (RFC 5545 3.3.11)
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Quote a parameter value (RFC 5545 3.2); double quotes aren't allowed inside
+function quoteParam(value) {
+  return `"${String(value || '').replace(/"/g, '')}"`;
+}
+
+// Fold a content line to 75 octets (RFC 5545 3.1)
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74; // Continuation lines start with a space
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+}
+
+// Format an instant as a UTC DATE-TIME ("20250101T093000Z")
+function formatUtc(instant) {
+  return new Date(instant).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Format a wall-clock date and time as a local DATE-TIME ("20250101T150000")
+function formatLocal(date, time) {
+  return `${date.replace(/-/g, '')}T${time.replace(':', '')}00`;
+}
+
+// Get the UID used for a meeting in calendar files
+function getMeetingUid(meeting) {
+  return meeting.icsUid || `${meeting._id}@${UID_DOMAIN}`;
+}
+
+// Build the RRULE value for a recurring meeting
+function buildRecurrenceRule(meeting) {
+  const { frequency, interval, byWeekday, count, until } = meeting.recurrence;
+  const parts = [`FREQ=${frequency.toUpperCase()}`];
+
+  if (interval && interval > 1) {
+    parts.push(`INTERVAL=${interval}`);
+  }
+
+  if (frequency === 'weekly' && byWeekday && byWeekday.length > 0) {
+    parts.push(`BYDAY=${byWeekday.map(day => WEEKDAY_CODES[day]).join(',')}`);
+  }
+
+  if (count) {
+    parts.push(`COUNT=${count}`);
+  } else if (until) {
+    // UNTIL must be in UTC when DTSTART has a TZID
+    const timezone = meeting.timezone || DEFAULT_TIMEZONE;
+    parts.push(`UNTIL=${formatUtc(zonedTimeToUtc(until, meeting.startTime, timezone))}`);
+  }
+
+  return parts.join(';');
+}
+
+// Build the ORGANIZER and ATTENDEE lines for a meeting
+function buildPeopleLines(meeting, host) {
+  const lines = [];
+  const hostId = meeting.hostId && meeting.hostId.toString();
+
+  if (host) {
+    lines.push(`ORGANIZER;CN=${quoteParam(host.name)}:mailto:${host.email}`);
+  }
+
+  for (const participant of meeting.participants || []) {
+    // The host is the organizer, not an attendee
+    if (participant.userId && participant.userId.toString() === hostId) continue;
+
+    const partstat = PARTSTAT[participant.status] || 'NEEDS-ACTION';
+    lines.push(`ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=${partstat};RSVP=TRUE:mailto:${participant.email}`);
+  }
+
+  return lines;
+}
+
+// Build the VEVENT components for a meeting. A recurring series becomes a master
+// event with RRULE/EXDATE plus one override event per changed occurrence.
+function buildMeetingEvents(meeting, { host, status } = {}) {
+  const timezone = meeting.timezone || DEFAULT_TIMEZONE;
+  const uid = getMeetingUid(meeting);
+  const sequence = meeting.sequence || 0;
+  const stamp = formatUtc(new Date());
+  const lastModified = formatUtc(meeting.updatedAt || new Date());
+  const eventStatus = status || (meeting.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED');
+  const peopleLines = buildPeopleLines(meeting, host);
+
+  const describe = (lines, summary, description) => {
+    lines.push(`SUMMARY:${escapeText(summary)}`);
+    if (description) {
+      lines.push(`DESCRIPTION:${escapeText(description)}`);
+    }
+    if (meeting.meetingLink) {
+      lines.push(`LOCATION:${escapeText(meeting.meetingLink)}`);
+      lines.push(`URL:${meeting.meetingLink}`);
+    }
+    lines.push(`STATUS:${eventStatus}`);
+    lines.push(...peopleLines);
+  };
+
+  if (!isRecurring(meeting)) {
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `SEQUENCE:${sequence}`,
+      `DTSTAMP:${stamp}`,
+      `LAST-MODIFIED:${lastModified}`,
+      `DTSTART:${formatUtc(zonedTimeToUtc(meeting.date, meeting.startTime, timezone))}`,
+      `DTEND:${formatUtc(zonedTimeToUtc(meeting.date, meeting.endTime, timezone))}`
+    ];
+    describe(lines, meeting.title, meeting.description);
+    lines.push('END:VEVENT');
+    return [lines];
+  }
+
+  // Recurring series keep their wall-clock time, so use TZID rather than UTC
+  const master = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${stamp}`,
+    `LAST-MODIFIED:${lastModified}`,
+    `DTSTART;TZID=${timezone}:${formatLocal(meeting.date, meeting.startTime)}`,
+    `DTEND;TZID=${timezone}:${formatLocal(meeting.date, meeting.endTime)}`,
+    `RRULE:${buildRecurrenceRule(meeting)}`
+  ];
+
+  const exceptions = meeting.exceptions || [];
+  const cancelled = exceptions.filter(e => e.isCancelled);
+
+  if (cancelled.length > 0) {
+    master.push(`EXDATE;TZID=${timezone}:${cancelled.map(e => formatLocal(e.originalDate, meeting.startTime)).join(',')}`);
+  }
+
+  describe(master, meeting.title, meeting.description);
+  master.push('END:VEVENT');
+
+  const overrides = exceptions
+    .filter(e => !e.isCancelled)
+    .map(exception => {
+      const date = exception.date || exception.originalDate;
+      const lines = [
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `SEQUENCE:${sequence}`,
+        `DTSTAMP:${stamp}`,
+        `RECURRENCE-ID;TZID=${timezone}:${formatLocal(exception.originalDate, meeting.startTime)}`,
+        `DTSTART;TZID=${timezone}:${formatLocal(date, exception.startTime || meeting.startTime)}`,
+        `DTEND;TZID=${timezone}:${formatLocal(date, exception.endTime || meeting.endTime)}`
+      ];
+      describe(lines, exception.title || meeting.title, exception.description || meeting.description);
+      lines.push('END:VEVENT');
+      return lines;
+    });
+
+  return [master, ...overrides];
+}
+
+// Build a VCALENDAR document from meetings ({ meeting, host } entries)
+function buildCalendar(entries, { name, method = 'PUBLISH', status } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  for (const { meeting, host } of entries) {
+    for (const event of buildMeetingEvents(meeting, { host, status })) {
+      lines.push(...event);
+    }
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Unescape a TEXT value
+function unescapeText(value) {
+  return String(value || '')
+    .replace(/\\[nN]/g, '\n')
+    .replace(/\\([,;\\])/g, '$1');
+}
+
+// Split a content line into its name, parameters and value
+function parseContentLine(line) {
+  // The value starts at the first colon that isn't inside a quoted parameter
+  let inQuotes = false;
+  let separator = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      separator = i;
+      break;
+    }
+  }
+
+  if (separator === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, separator).split(';');
+  const params = {};
+  rawParams.forEach(param => {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return {
+    name: name.toUpperCase(),
+    params,
+    value: line.slice(separator + 1)
+  };
+}
+
+// Parse a DATE or DATE-TIME property into its parts
+function parseDateValue(property) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(property.value.trim());
+
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, , utc] = match;
+
+  return {
+    date: `${year}-${month}-${day}`,
+    time: hours ? `${hours}:${minutes}` : null,
+    allDay: property.params.VALUE === 'DATE' || !hours,
+    isUtc: Boolean(utc),
+    tzid: property.params.TZID || null
+  };
+}
+
+// Parse an ISO 8601 duration (e.g. "PT1H30M") into minutes
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value || '').trim());
+
+  if (!match) return null;
+
+  const [, sign, weeks, days, hours, minutes] = match;
+  const total = (Number(weeks || 0) * 7 * 24 * 60) +
+    (Number(days || 0) * 24 * 60) +
+    (Number(hours || 0) * 60) +
+    Number(minutes || 0);
+
+  return sign === '-' ? -total : total;
+}
+
+// Parse an RRULE value into its parts
+function parseRecurrenceRule(value) {
+  const rule = {};
+  String(value || '').split(';').forEach(part => {
+    const [key, ruleValue] = part.split('=');
+    if (key && ruleValue !== undefined) {
+      rule[key.toUpperCase()] = ruleValue;
+    }
+  });
+  return rule;
+}
+
+// Parse the VEVENT components of an iCalendar document
+function parseCalendar(text) {
+  // Unfold continuation lines (RFC 5545 3.1)
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let event = null;
+  let depth = 0;
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+
+    const property = parseContentLine(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN') {
+      if (property.value.toUpperCase() === 'VEVENT' && !event) {
+        event = { attendees: [], exdates: [] };
+        depth = 0;
+      } else if (event) {
+        depth++; // Nested component such as VALARM
+      }
+      continue;
+    }
+
+    if (property.name === 'END') {
+      if (event && depth > 0) {
+        depth--;
+      } else if (event && property.value.toUpperCase() === 'VEVENT') {
+        events.push(event);
+        event = null;
+      }
+      continue;
+    }
+
+    if (!event || depth > 0) continue;
+
+    switch (property.name) {
+      case 'UID':
+        event.uid = property.value.trim();
+        break;
+      case 'SUMMARY':
+        event.summary = unescapeText(property.value);
+        break;
+      case 'DESCRIPTION':
+        event.description = unescapeText(property.value);
+        break;
+      case 'LOCATION':
+        event.location = unescapeText(property.value);
+        break;
+      case 'URL':
+        event.url = property.value.trim();
+        break;
+      case 'STATUS':
+        event.status = property.value.trim().toUpperCase();
+        break;
+      case 'DTSTART':
+        event.start = parseDateValue(property);
+        break;
+      case 'DTEND':
+        event.end = parseDateValue(property);
+        break;
+      case 'DURATION':
+        event.duration = parseDuration(property.value);
+        break;
+      case 'RRULE':
+        event.rrule = parseRecurrenceRule(property.value);
+        break;
+      case 'RECURRENCE-ID':
+        event.recurrenceId = parseDateValue(property);
+        break;
+      case 'EXDATE':
+        property.value.split(',').forEach(value => {
+          const exdate = parseDateValue({ value, params: property.params });
+          if (exdate) event.exdates.push(exdate);
+        });
+        break;
+      case 'ORGANIZER':
+        event.organizer = property.value.replace(/^mailto:/i, '').trim().toLowerCase();
+        break;
+      case 'ATTENDEE':
+        event.attendees.push({
+          email: property.value.replace(/^mailto:/i, '').trim().toLowerCase(),
+          name: property.params.CN,
+          partstat: (property.params.PARTSTAT || 'NEEDS-ACTION').toUpperCase()
+        });
+        break;
+      default:
+        break;
+    }
+  }
+
+  return events;
+}
+
+// Build a filesystem-safe .ics filename from a meeting title
+function getIcsFilename(title) {
+  const base = String(title || 'meeting').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${base || 'meeting'}.ics`;
+}
+
+module.exports = {
+  PARTSTAT,
+  WEEKDAY_CODES,
+  escapeText,
+  formatUtc,
+  getMeetingUid,
+  buildMeetingEvents,
+  buildCalendar,
+  parseCalendar,
+  parseDateValue,
+  parseDuration,
+  getIcsFilename
+};
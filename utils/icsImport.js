@@ -0,0 +1,475 @@
+const mongoose = require('mongoose');
+const Meeting = require('../models/Meeting');
+const BusyBlock = require('../models/BusyBlock');
+const User = require('../models/User');
+const MeetingInvitation = require('../models/MeetingInvitation');
+const { parseCalendar, parseDateValue } = require('./ics');
+const { checkTimeConflict } = require('./scheduling');
+const { WEEKDAYS, getSeriesDates } = require('./recurrence');
+const { publish } = require('./meetingEvents');
+const { auditMeeting } = require('./audit');
+const {
+  DEFAULT_TIMEZONE,
+  MINUTE_MS,
+  isValidTimezone,
+  zonedTimeToUtc,
+  utcToZonedTime,
+  addDays
+} = require('./timezone');
+
+const IMPORT_MODES = ['meetings', 'busy'];
+const MAX_IMPORT_EVENTS = 500;
+
+// How many upcoming occurrences of an imported series are checked for conflicts
+const SERIES_CONFLICT_DAYS = 90;
+const SERIES_CONFLICT_CHECKS = 10;
+
+// RRULE parts we can't represent on a Meeting series
+const UNSUPPORTED_RULE_PARTS = ['BYSETPOS', 'BYMONTH', 'BYYEARDAY', 'BYWEEKNO', 'BYHOUR', 'BYMINUTE', 'BYSECOND'];
+
+const WEEKDAY_BY_CODE = WEEKDAYS.reduce((codes, day) => {
+  codes[day.slice(0, 2).toUpperCase()] = day;
+  return codes;
+}, {});
+
+const INVITATION_STATUS = {
+  ACCEPTED: 'accepted',
+  DECLINED: 'rejected'
+};
+
+const EXPORTED_UID_REGEX = /^([a-f0-9]{24})@meeting-scheduler$/i;
+
+// Get the UTC instant of a parsed DTSTART/DTEND value. Floating times and
+// TZIDs that aren't IANA names (e.g. Windows zone names) use the fallback zone.
+function toInstant(value, fallbackTimezone) {
+  if (value.isUtc) {
+    return new Date(`${value.date}T${value.time}:00Z`);
+  }
+
+  const timezone = isValidTimezone(value.tzid) ? value.tzid : fallbackTimezone;
+  return zonedTimeToUtc(value.date, value.time || '00:00', timezone);
+}
+
+// Get the wall-clock date of a parsed date value in a timezone
+function toLocalDate(value, timezone) {
+  if (value.allDay) return value.date;
+  return utcToZonedTime(toInstant(value, timezone), timezone).date;
+}
+
+// Split a span into per-day wall-clock segments. Midnight ends a day as "24:00".
+function getSegments(start, end, timezone) {
+  const startLocal = utcToZonedTime(start, timezone);
+  const endLocal = utcToZonedTime(end, timezone);
+  const segments = [];
+
+  for (let date = startLocal.date; date <= endLocal.date; date = addDays(date, 1)) {
+    const startTime = date === startLocal.date ? startLocal.time : '00:00';
+    const endTime = date === endLocal.date ? endLocal.time : '24:00';
+
+    if (startTime < endTime) {
+      segments.push({ date, startTime, endTime });
+    }
+  }
+
+  return segments;
+}
+
+function getSegmentMinutes(segment) {
+  const toMinutes = time => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  return toMinutes(segment.endTime) - toMinutes(segment.startTime);
+}
+
+// Map an RRULE onto the Meeting recurrence fields
+function mapRecurrence(rule, startDate, timezone) {
+  const frequency = (rule.FREQ || '').toLowerCase();
+
+  if (!['daily', 'weekly', 'monthly'].includes(frequency)) {
+    return { error: `Unsupported recurrence frequency ${rule.FREQ || '(none)'}` };
+  }
+
+  const unsupported = UNSUPPORTED_RULE_PARTS.filter(part => rule[part]);
+  if (
+    unsupported.length > 0 ||
+    (frequency !== 'weekly' && rule.BYDAY) ||
+    (rule.BYMONTHDAY && Number(rule.BYMONTHDAY) !== Number(startDate.split('-')[2]))
+  ) {
+    return { error: 'Unsupported recurrence rule' };
+  }
+
+  const recurrence = {
+    frequency,
+    interval: Math.max(parseInt(rule.INTERVAL, 10) || 1, 1)
+  };
+
+  if (rule.BYDAY) {
+    const byWeekday = rule.BYDAY.split(',').map(code => WEEKDAY_BY_CODE[code.trim().toUpperCase()]);
+
+    // Ordinal days such as "2MO" don't map onto a weekday list
+    if (byWeekday.some(day => !day)) {
+      return { error: 'Unsupported recurrence rule' };
+    }
+
+    recurrence.byWeekday = byWeekday;
+  }
+
+  if (rule.COUNT) {
+    recurrence.count = parseInt(rule.COUNT, 10);
+  }
+
+  if (rule.UNTIL) {
+    const until = parseDateValue({ value: rule.UNTIL, params: {} });
+    if (!until) {
+      return { error: 'Invalid recurrence end date' };
+    }
+    recurrence.until = toLocalDate(until, timezone);
+  }
+
+  return { recurrence };
+}
+
+// Turn a parsed VEVENT into wall-clock meeting fields
+function normalizeEvent(event, userTimezone) {
+  const item = {
+    uid: event.uid || null,
+    title: event.summary || 'Busy',
+    description: event.description,
+    meetingLink: event.url || (/^https?:\/\//i.test(event.location || '') ? event.location : undefined),
+    organizer: event.organizer,
+    attendees: event.attendees
+  };
+
+  if (!event.start) {
+    return { ...item, error: 'Event has no start time' };
+  }
+
+  // Keep the event's own zone when it is an IANA name; everything else lands in the user's zone
+  const timezone = !event.start.isUtc && isValidTimezone(event.start.tzid) ? event.start.tzid : userTimezone;
+  const start = toInstant(event.start, timezone);
+  let end;
+
+  if (event.end) {
+    end = toInstant(event.end, timezone);
+  } else if (event.duration) {
+    end = new Date(start.getTime() + event.duration * MINUTE_MS);
+  } else if (event.start.allDay) {
+    end = zonedTimeToUtc(addDays(event.start.date, 1), '00:00', timezone);
+  } else {
+    end = start;
+  }
+
+  const segments = end > start ? getSegments(start, end, timezone) : [];
+
+  if (segments.length === 0) {
+    return { ...item, error: 'Event has no duration' };
+  }
+
+  Object.assign(item, { timezone, allDay: event.start.allDay, segments });
+
+  if (event.rrule) {
+    if (segments.length > 1) {
+      return { ...item, error: 'Recurring events spanning multiple days are not supported' };
+    }
+
+    const { recurrence, error } = mapRecurrence(event.rrule, segments[0].date, timezone);
+    if (error) {
+      return { ...item, error };
+    }
+
+    item.recurrence = recurrence;
+    item.exceptions = event.exdates.map(exdate => ({
+      originalDate: toLocalDate(exdate, timezone),
+      isCancelled: true
+    }));
+  }
+
+  return item;
+}
+
+// Fold RECURRENCE-ID overrides into the exceptions of their series
+function applyOverride(item, override, userTimezone) {
+  const originalDate = toLocalDate(override.recurrenceId, item.timezone);
+  const exceptions = item.exceptions.filter(e => e.originalDate !== originalDate);
+
+  if (override.status === 'CANCELLED') {
+    exceptions.push({ originalDate, isCancelled: true });
+  } else {
+    const moved = normalizeEvent(override, userTimezone);
+
+    if (moved.error || moved.segments.length > 1) {
+      item.warnings.push(`Change to the ${originalDate} occurrence could not be imported`);
+      return;
+    }
+
+    // The override may carry its own zone; store its times in the series' zone
+    const segment = moved.timezone === item.timezone
+      ? moved.segments[0]
+      : getSegments(
+        zonedTimeToUtc(moved.segments[0].date, moved.segments[0].startTime, moved.timezone),
+        zonedTimeToUtc(moved.segments[0].date, moved.segments[0].endTime, moved.timezone),
+        item.timezone
+      )[0];
+
+    if (!segment) {
+      item.warnings.push(`Change to the ${originalDate} occurrence could not be imported`);
+      return;
+    }
+
+    exceptions.push({
+      originalDate,
+      date: segment.date,
+      startTime: segment.startTime,
+      endTime: segment.endTime,
+      title: override.summary !== item.title ? override.summary : undefined,
+      description: override.description !== item.description ? override.description : undefined
+    });
+  }
+
+  item.exceptions = exceptions;
+}
+
+// Find something already on the user's calendar that this event duplicates
+async function findExisting(user, item, mode) {
+  // Events exported from this app carry the meeting id in their UID
+  const exported = item.uid && EXPORTED_UID_REGEX.exec(item.uid);
+  if (exported) {
+    const meeting = await Meeting.findOne({
+      _id: new mongoose.Types.ObjectId(exported[1]),
+      $or: [{ hostId: user._id }, { 'participants.userId': user._id }]
+    });
+    if (meeting) return meeting;
+  }
+
+  const Model = mode === 'busy' ? BusyBlock : Meeting;
+  const owner = mode === 'busy' ? { userId: user._id } : { hostId: user._id };
+  const segment = item.segments[0];
+
+  if (item.uid) {
+    return Model.findOne({ ...owner, icsUid: item.uid });
+  }
+
+  return Model.findOne({ ...owner, title: item.title, date: segment.date, startTime: segment.startTime });
+}
+
+// Check the event (or the next occurrences of a series) against the user's calendar
+async function findConflicts(user, item) {
+  let slots = item.segments;
+
+  if (item.recurrence) {
+    const today = utcToZonedTime(new Date(), item.timezone).date;
+    const from = item.segments[0].date > today ? item.segments[0].date : today;
+    const cancelled = new Set(item.exceptions.filter(e => e.isCancelled).map(e => e.originalDate));
+
+    slots = getSeriesDates({ date: item.segments[0].date, recurrence: item.recurrence }, from, addDays(from, SERIES_CONFLICT_DAYS))
+      .filter(date => !cancelled.has(date))
+      .slice(0, SERIES_CONFLICT_CHECKS)
+      .map(date => ({ ...item.segments[0], date }));
+  }
+
+  const conflicts = [];
+
+  for (const slot of slots) {
+    const conflict = await checkTimeConflict(user._id, slot.date, slot.startTime, slot.endTime, null, item.timezone);
+
+    if (conflict) {
+      conflicts.push({
+        meetingId: conflict.seriesId || conflict._id,
+        title: conflict.title,
+        date: conflict.date,
+        time: `${conflict.startTime} - ${conflict.endTime}`,
+        type: conflict.isTimeOff ? 'time-off' : conflict.isBusyBlock ? 'busy' : 'meeting'
+      });
+    }
+  }
+
+  return conflicts;
+}
+
+// Parse an .ics file and work out what importing each event would do.
+// Actions: "create", "duplicate", "conflict" (meetings only) or "skip".
+async function planImport(user, text, { mode = 'meetings' } = {}) {
+  const userTimezone = user.preferences?.timezone || DEFAULT_TIMEZONE;
+  const events = parseCalendar(text);
+
+  if (events.length === 0) {
+    return { error: 'No events found in the calendar file' };
+  }
+
+  if (events.length > MAX_IMPORT_EVENTS) {
+    return { error: `Calendar files can contain at most ${MAX_IMPORT_EVENTS} events` };
+  }
+
+  // Changed occurrences are folded into their series; orphans import on their own
+  const seriesUids = new Set(events.filter(event => !event.recurrenceId && event.uid).map(event => event.uid));
+  const isOverride = event => Boolean(event.recurrenceId && seriesUids.has(event.uid));
+  const masters = events.filter(event => !isOverride(event));
+  const overrides = events.filter(isOverride);
+  const seenUids = new Set();
+  const items = [];
+
+  for (const event of masters) {
+    const item = { ...normalizeEvent(event, userTimezone), warnings: [], conflicts: [] };
+
+    if (item.recurrence) {
+      overrides
+        .filter(override => override.uid === item.uid)
+        .forEach(override => applyOverride(item, override, userTimezone));
+    }
+
+    if (event.status === 'CANCELLED') {
+      item.action = 'skip';
+      item.reason = 'Event is cancelled';
+    } else if (item.error) {
+      item.action = 'skip';
+      item.reason = item.error;
+    } else if (mode === 'meetings' && item.allDay) {
+      item.action = 'skip';
+      item.reason = 'All-day events can only be imported as busy time';
+    } else if (mode === 'meetings' && item.segments.length > 1) {
+      item.action = 'skip';
+      item.reason = 'Events spanning multiple days can only be imported as busy time';
+    } else if (item.uid && seenUids.has(item.uid)) {
+      item.action = 'duplicate';
+      item.reason = 'Event appears more than once in the file';
+    } else {
+      const existing = await findExisting(user, item, mode);
+
+      if (existing) {
+        item.action = 'duplicate';
+        item.reason = 'Already imported';
+        item.existingId = existing._id;
+      } else {
+        item.conflicts = await findConflicts(user, item);
+        // Busy time is allowed to overlap meetings; new meetings are not
+        item.action = mode === 'meetings' && item.conflicts.length > 0 ? 'conflict' : 'create';
+      }
+    }
+
+    if (item.uid) seenUids.add(item.uid);
+    items.push(item);
+  }
+
+  return { items };
+}
+
+// Create a meeting, its invitations and participants from a planned item
+async function createImportedMeeting(user, item) {
+  const segment = item.segments[0];
+  const meeting = new Meeting({
+    hostId: user._id,
+    title: item.title,
+    description: item.description,
+    date: segment.date,
+    startTime: segment.startTime,
+    endTime: segment.endTime,
+    duration: getSegmentMinutes(segment),
+    timezone: item.timezone,
+    meetingLink: item.meetingLink,
+    recurrence: item.recurrence,
+    exceptions: item.exceptions,
+    icsUid: item.uid || undefined,
+    participants: [{
+      userId: user._id,
+      email: user.email,
+      status: 'accepted'
+    }]
+  });
+
+  const attendees = item.attendees.filter(a => a.email && a.email !== user.email.toLowerCase());
+
+  for (const attendee of attendees) {
+    const invitedUser = await User.findOne({ email: attendee.email });
+    const status = INVITATION_STATUS[attendee.partstat] || 'pending';
+
+    await MeetingInvitation.create({
+      meetingId: meeting._id,
+      userId: invitedUser ? invitedUser._id : undefined,
+      email: attendee.email,
+      status
+    });
+
+    meeting.participants.push({
+      userId: invitedUser ? invitedUser._id : undefined,
+      email: attendee.email,
+      status,
+      responseAt: status === 'pending' ? undefined : new Date()
+    });
+  }
+
+  await meeting.save();
+
+  await auditMeeting(meeting, 'create', user, { metadata: { via: 'ics-import' } });
+
+  await publish('meeting.created', { meeting });
+
+  return { id: meeting._id };
+}
+
+// Create busy blocks (one per day for multi-day events) from a planned item
+async function createImportedBusyBlocks(user, item) {
+  const blocks = await BusyBlock.insertMany(item.segments.map(segment => ({
+    userId: user._id,
+    title: item.title,
+    date: segment.date,
+    startTime: segment.startTime,
+    endTime: segment.endTime,
+    timezone: item.timezone,
+    recurrence: item.recurrence,
+    exceptions: item.exceptions,
+    icsUid: item.uid || undefined
+  })));
+
+  return { id: blocks[0]._id };
+}
+
+// Carry out a planned import. Conflicting meetings are only created when allowed.
+async function commitImport(user, items, { mode = 'meetings', allowConflicts = false } = {}) {
+  for (const item of items) {
+    if (item.action !== 'create' && !(item.action === 'conflict' && allowConflicts)) {
+      continue;
+    }
+
+    const result = mode === 'busy'
+      ? await createImportedBusyBlocks(user, item)
+      : await createImportedMeeting(user, item);
+
+    item.action = 'created';
+    item.createdId = result.id;
+  }
+
+  return items;
+}
+
+// Shape a planned item for the API response
+function formatImportItem(item) {
+  const first = item.segments?.[0];
+  const last = item.segments?.[item.segments.length - 1];
+
+  return {
+    uid: item.uid,
+    title: item.title,
+    action: item.action,
+    reason: item.reason,
+    date: first?.date,
+    startTime: first?.startTime,
+    endDate: last && last.date !== first.date ? last.date : undefined,
+    endTime: last?.endTime,
+    timezone: item.timezone,
+    allDay: item.allDay,
+    recurrence: item.recurrence,
+    invitees: (item.attendees || []).map(a => a.email),
+    conflicts: item.conflicts,
+    warnings: item.warnings.length > 0 ? item.warnings : undefined,
+    existingId: item.existingId,
+    createdId: item.createdId
+  };
+}
+
+module.exports = {
+  IMPORT_MODES,
+  planImport,
+  commitImport,
+  formatImportItem
+};
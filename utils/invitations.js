@@ -0,0 +1,193 @@
+const Meeting = require('../models/Meeting');
+const MeetingInvitation = require('../models/MeetingInvitation');
+const { notifyInvitationResponse, notifyPromoted } = require('./notifications');
+const { publish } = require('./meetingEvents');
+const { auditInvitation } = require('./audit');
+const { countOpenSeats, getWaitlist, promoteFromWaitlist } = require('./waitlist');
+
+// Times a change to a meeting's seats is retried when someone else changed the
+// meeting at the same time
+const MAX_SEAT_ATTEMPTS = 5;
+
+// Make a change to the seats of a meeting and save it, but only if nobody else
+// saved the meeting in between (the last seat can't go to two people at once);
+// otherwise reload it and make the change again. `change(meeting)` changes the
+// meeting (null if it no longer exists) without saving it and returns what the
+// caller needs. Resolves with { meeting, ...that }.
+async function saveSeats(meetingId, change, loaded = null) {
+  let meeting = loaded;
+
+  for (let attempt = 1; ; attempt++) {
+    meeting = meeting || await Meeting.findById(meetingId);
+    const result = change(meeting);
+
+    if (!meeting) {
+      return { meeting, ...result };
+    }
+
+    try {
+      // Saves only if the meeting's version is still the one loaded
+      meeting.increment();
+      await meeting.save();
+
+      return { meeting, ...result };
+    } catch (error) {
+      if (error.name !== 'VersionError' || attempt >= MAX_SEAT_ATTEMPTS) throw error;
+
+      console.log(`Meeting ${meetingId} changed while updating its seats; trying again`);
+      meeting = null;
+    }
+  }
+}
+
+// Record an accept/reject on the invitation and the meeting's participant list,
+// refresh dashboards and let the host know. When the meeting is full, an
+// acceptance joins the waitlist instead; a seat given up goes to whoever is
+// first on it. `responder` is the invitee's User, or null for a guest without
+// an account. Returns the meeting, or null if it no longer exists.
+async function applyInvitationResponse(invitation, status, responder) {
+  const responderId = responder ? responder._id.toString() : null;
+  const now = new Date();
+
+  const { meeting, outcome, promoted } = await saveSeats(invitation.meetingId, meeting => {
+    // Find the participant entry for this invitee
+    const participant = meeting && meeting.participants.find(
+      p => (responderId && p.userId && p.userId.toString() === responderId) || p.email === invitation.email
+    );
+    const wasSeated = participant?.status === 'accepted';
+
+    // Past the meeting's capacity, an acceptance joins the waitlist
+    const outcome = status === 'accepted' && meeting && !wasSeated && countOpenSeats(meeting) === 0
+      ? 'waitlisted'
+      : status;
+
+    if (!meeting) {
+      return { outcome, promoted: [] };
+    }
+
+    if (outcome === 'rejected') {
+      // If found in participants array, update status to rejected
+      if (participant) {
+        participant.status = 'rejected';
+        participant.responseAt = now;
+        participant.waitlistedAt = undefined;
+      }
+    } else if (participant) {
+      // Someone already on the waitlist keeps their place
+      if (outcome === 'waitlisted' && participant.status !== 'waitlisted') {
+        participant.waitlistedAt = now;
+      }
+
+      participant.status = outcome;
+      participant.responseAt = now;
+
+      // Ensure user ID is set if it wasn't before
+      if (!participant.userId && responderId) {
+        participant.userId = responderId;
+      }
+    } else {
+      // Add invitee to participants
+      meeting.participants.push({
+        userId: responderId || undefined,
+        email: invitation.email,
+        status: outcome,
+        responseAt: now,
+        waitlistedAt: outcome === 'waitlisted' ? now : undefined
+      });
+    }
+
+    return {
+      outcome,
+      promoted: wasSeated && outcome === 'rejected' ? promoteFromWaitlist(meeting, now) : []
+    };
+  });
+
+  // Update invitation status
+  const before = invitation.toObject();
+  invitation.status = outcome;
+  await invitation.save();
+
+  // Guests without an account are identified by the email they were invited with
+  await auditInvitation(invitation, 'respond', responder || { email: invitation.email }, { before });
+
+  if (!meeting) {
+    return null;
+  }
+
+  await publish(`invitation.${outcome}`, { meeting, invitation });
+
+  // Let the host know (in the background)
+  notifyInvitationResponse(meeting, invitation, responder);
+
+  await seatPromotedParticipants(meeting, promoted);
+
+  return meeting;
+}
+
+// Accept the invitations of participants promoted off the waitlist (already
+// saved on the meeting), and let them know they have a seat
+async function seatPromotedParticipants(meeting, promoted) {
+  if (promoted.length === 0) return [];
+
+  const invitations = await MeetingInvitation.find({
+    meetingId: meeting._id,
+    email: { $in: promoted.map(p => p.email) }
+  });
+
+  for (const invitation of invitations) {
+    const before = invitation.toObject();
+    invitation.status = 'accepted';
+    await invitation.save();
+
+    await auditInvitation(invitation, 'update', null, { before, metadata: { via: 'waitlist' } });
+    await publish('invitation.promoted', { meeting, invitation });
+  }
+
+  console.log(`Promoted ${promoted.length} participant(s) off the waitlist of meeting ${meeting._id}`);
+
+  // Email them (in the background)
+  notifyPromoted(meeting, promoted.map(p => p.email));
+
+  return invitations;
+}
+
+// Give any free seats of a meeting (e.g. after its capacity was raised) to the
+// people waiting for them. Returns the invitations that were accepted.
+async function fillOpenSeats(meeting) {
+  if (countOpenSeats(meeting) === 0 || getWaitlist(meeting).length === 0) return [];
+
+  const { meeting: saved, promoted } = await saveSeats(meeting._id, current => ({
+    promoted: current ? promoteFromWaitlist(current) : []
+  }), meeting);
+
+  return saved ? seatPromotedParticipants(saved, promoted) : [];
+}
+
+// Attach invitations (and guest participant entries) sent to a user's email
+// before they had an account. Returns the number of invitations linked.
+async function linkInvitationsToUser(user) {
+  const email = user.email.toLowerCase();
+
+  const result = await MeetingInvitation.updateMany(
+    { email, userId: null },
+    { userId: user._id }
+  );
+
+  await Meeting.updateMany(
+    { participants: { $elemMatch: { email, userId: null } } },
+    { $set: { 'participants.$[guest].userId': user._id } },
+    { arrayFilters: [{ 'guest.email': email, 'guest.userId': null }] }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`Linked ${result.modifiedCount} existing invitations to new user ${user._id}`);
+  }
+
+  return result.modifiedCount;
+}
+
+module.exports = {
+  applyInvitationResponse,
+  fillOpenSeats,
+  linkInvitationsToUser
+};
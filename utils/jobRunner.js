@@ -0,0 +1,51 @@
+// Minimal in-process scheduler for recurring background jobs. Jobs keep their
+// state in MongoDB, so a restart just picks up where the last run left off.
+const jobs = [];
+
+// Register a job to run every intervalMs. The handler gets the run time.
+function registerJob(name, intervalMs, handler) {
+  jobs.push({ name, intervalMs, handler, timer: null, running: false });
+}
+
+// Run a job once, skipping the tick if the previous run hasn't finished
+async function runJob(job) {
+  if (job.running) {
+    console.log(`Job ${job.name} is still running, skipping this tick`);
+    return;
+  }
+
+  job.running = true;
+
+  try {
+    await job.handler(new Date());
+  } catch (error) {
+    console.error(`Job ${job.name} failed: ${error.message}`);
+  } finally {
+    job.running = false;
+  }
+}
+
+// Start every registered job (each runs once straight away)
+function startJobs() {
+  for (const job of jobs) {
+    if (job.timer) continue;
+
+    console.log(`Starting job ${job.name} (every ${Math.round(job.intervalMs / 1000)}s)`);
+    job.timer = setInterval(() => runJob(job), job.intervalMs);
+    runJob(job);
+  }
+}
+
+// Stop every job
+function stopJobs() {
+  for (const job of jobs) {
+    clearInterval(job.timer);
+    job.timer = null;
+  }
+}
+
+module.exports = {
+  registerJob,
+  startJobs,
+  stopJobs
+};
@@ -0,0 +1,42 @@
+// In-process publish/subscribe for meeting and invitation lifecycle events.
+// Handlers are awaited in order; a failing handler is logged and doesn't stop the others.
+const MEETING_EVENTS = [
+  'meeting.created',
+  'meeting.updated',
+  'meeting.deleted',
+  'invitation.accepted',
+  'invitation.rejected',
+  'invitation.waitlisted',
+  'invitation.promoted'
+];
+
+const subscribers = [];
+
+// Subscribe to one event, or to every event with '*'
+function subscribe(event, handler) {
+  subscribers.push({ event, handler });
+}
+
+// Publish an event. The payload always includes the meeting; invitation events
+// also include the invitation.
+async function publish(event, payload) {
+  if (!MEETING_EVENTS.includes(event)) {
+    throw new Error(`Unknown meeting event "${event}"`);
+  }
+
+  for (const subscriber of subscribers) {
+    if (subscriber.event !== '*' && subscriber.event !== event) continue;
+
+    try {
+      await subscriber.handler(event, payload);
+    } catch (error) {
+      console.error(`Error handling ${event}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  MEETING_EVENTS,
+  subscribe,
+  publish
+};
@@ -0,0 +1,156 @@
+const Meeting = require('../models/Meeting');
+const MeetingInvitation = require('../models/MeetingInvitation');
+const { publish } = require('./meetingEvents');
+const { notifyCancelled } = require('./notifications');
+const { addDays } = require('./timezone');
+const { auditMeeting } = require('./audit');
+
+// Meeting lifecycle. `status` only ever changes through these transitions:
+//
+//   pending  --schedule--> upcoming
+//   pending, upcoming --cancel--> cancelled
+//   upcoming --complete--> past
+//   cancelled, past --reopen--> upcoming
+//   pending, upcoming --expire--> past   (automatic, once the meeting has ended)
+const TRANSITIONS = {
+  schedule: { from: ['pending'], to: 'upcoming' },
+  cancel: { from: ['pending', 'upcoming'], to: 'cancelled' },
+  complete: { from: ['upcoming'], to: 'past' },
+  reopen: { from: ['cancelled', 'past'], to: 'upcoming' },
+  expire: { from: ['pending', 'upcoming'], to: 'past', automatic: true }
+};
+
+// Statuses a meeting may be created with
+const INITIAL_STATUSES = ['pending', 'upcoming'];
+
+const MAX_REASON_LENGTH = 500;
+
+// Actions a user can take on a meeting in its current status
+function getAvailableActions(meeting) {
+  return Object.keys(TRANSITIONS).filter(action =>
+    !TRANSITIONS[action].automatic && TRANSITIONS[action].from.includes(meeting.status)
+  );
+}
+
+// Check a transition is allowed. Returns an error message, or null.
+function validateTransition(meeting, action, reason) {
+  const transition = TRANSITIONS[action];
+
+  if (!transition || transition.automatic) {
+    return `Unknown action "${action}". Allowed actions: ${Object.keys(TRANSITIONS).filter(a => !TRANSITIONS[a].automatic).join(', ')}`;
+  }
+
+  if (!transition.from.includes(meeting.status)) {
+    const available = getAvailableActions(meeting);
+    return `Cannot ${action} a meeting that is ${meeting.status}` +
+      (available.length > 0 ? ` (allowed: ${available.join(', ')})` : '');
+  }
+
+  if (action === 'cancel' && (typeof reason !== 'string' || !reason.trim())) {
+    return 'Please provide a reason for cancelling';
+  }
+
+  if (reason && String(reason).length > MAX_REASON_LENGTH) {
+    return `Reason can be at most ${MAX_REASON_LENGTH} characters`;
+  }
+
+  // A meeting that has already ended can't go back to upcoming; it needs a new time first
+  if (action === 'reopen' && meeting.isPast()) {
+    return 'This meeting has already ended; reschedule it before reopening';
+  }
+
+  return null;
+}
+
+// Apply a transition and record it in the meeting's status history. The status
+// is compared and set in one update, so two concurrent transitions can't both
+// succeed. `actor` is the user making the change, or null for automatic ones.
+// Returns { meeting } or { error, statusCode }.
+async function transitionMeeting(meeting, action, { actor = null, reason } = {}) {
+  if (!TRANSITIONS[action]?.automatic) {
+    const error = validateTransition(meeting, action, reason);
+
+    if (error) {
+      return { error, statusCode: TRANSITIONS[action] ? 409 : 400 };
+    }
+  }
+
+  const { to } = TRANSITIONS[action];
+  const entry = {
+    from: meeting.status,
+    to,
+    action,
+    reason: reason ? String(reason).trim() : undefined,
+    actorId: actor ? actor._id || actor.id : undefined,
+    at: new Date()
+  };
+
+  // Calendars only act on a cancellation (or a reopened event) with a higher sequence
+  const bumpsSequence = action === 'cancel' || action === 'reopen';
+  const previous = meeting.toObject();
+
+  const updated = await Meeting.findOneAndUpdate(
+    { _id: meeting._id, status: meeting.status },
+    {
+      $set: { status: to, updatedAt: entry.at },
+      $push: { statusHistory: entry },
+      ...(bumpsSequence ? { $inc: { sequence: 1 } } : {})
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    return { error: 'The meeting status was changed by someone else; reload and try again', statusCode: 409 };
+  }
+
+  console.log(`Meeting ${meeting._id}: ${entry.from} -> ${to} (${action}) by ${entry.actorId || 'system'}`);
+
+  await auditMeeting(updated, 'status', actor, {
+    before: previous,
+    metadata: { action, reason: entry.reason }
+  });
+
+  await publish('meeting.updated', { meeting: updated });
+
+  // Email the participants (in the background)
+  if (action === 'cancel') {
+    const invitations = await MeetingInvitation.find({ meetingId: meeting._id });
+    notifyCancelled({ ...previous, cancellationReason: entry.reason }, invitations);
+  }
+
+  return { meeting: updated };
+}
+
+// Move every meeting that has ended to past. A series ends with its last occurrence.
+async function expireEndedMeetings(now = new Date()) {
+  // A meeting whose first occurrence starts after tomorrow (UTC) can't have ended anywhere
+  const cutoff = addDays(now.toISOString().split('T')[0], 1);
+
+  const candidates = await Meeting.find({
+    status: { $in: TRANSITIONS.expire.from },
+    date: { $lte: cutoff }
+  });
+
+  let expired = 0;
+
+  for (const meeting of candidates) {
+    if (!meeting.isPast()) continue;
+
+    const result = await transitionMeeting(meeting, 'expire');
+    if (result.meeting) expired++;
+  }
+
+  if (expired > 0) {
+    console.log(`Moved ${expired} ended meetings to past`);
+  }
+
+  return expired;
+}
+
+module.exports = {
+  TRANSITIONS,
+  INITIAL_STATUSES,
+  getAvailableActions,
+  transitionMeeting,
+  expireEndedMeetings
+};
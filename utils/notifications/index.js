@@ -0,0 +1,273 @@
+const User = require('../../models/User');
+const { buildCalendar, getIcsFilename } = require('../ics');
+const { issueRsvpToken } = require('../rsvpTokens');
+const templates = require('./templates');
+
+// Transports are picked with NOTIFICATION_TRANSPORT (console | file | smtp)
+const TRANSPORTS = {
+  console: require('./transports/console'),
+  file: require('./transports/file'),
+  smtp: require('./transports/smtp')
+};
+
+const DEFAULT_FROM = 'Meeting Scheduler <no-reply@meeting-scheduler.local>';
+
+let activeTransport = null;
+
+// Get the configured transport, creating it on first use
+function getTransport() {
+  if (!activeTransport) {
+    const name = process.env.NOTIFICATION_TRANSPORT || 'console';
+
+    if (!TRANSPORTS[name]) {
+      console.error(`Unknown notification transport "${name}", falling back to console`);
+    }
+
+    activeTransport = (TRANSPORTS[name] || TRANSPORTS.console)();
+  }
+
+  return activeTransport;
+}
+
+// Replace the transport, e.g. with a provider-specific one ({ name, send(message) })
+function setTransport(transport) {
+  activeTransport = transport;
+}
+
+// Send one email. Failures are logged, never thrown; returns whether it was sent.
+async function sendEmail(message) {
+  try {
+    await getTransport().send({ from: process.env.MAIL_FROM || DEFAULT_FROM, ...message });
+    return true;
+  } catch (error) {
+    console.error(`Failed to send "${message.subject}" to ${message.to}: ${error.message}`);
+    return false;
+  }
+}
+
+// Run a notification without holding up the request that triggered it
+function sendInBackground(name, task) {
+  task().catch(error => console.error(`Error sending ${name} notification: ${error.message}`));
+}
+
+// Build the one-click accept/decline links for an invitation. They carry an RSVP
+// token, so they work for invitees without an account; issuing new links
+// invalidates the ones sent in earlier emails.
+async function getResponseLinks(invitation) {
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const url = `${baseUrl}/rsvp/${await issueRsvpToken(invitation)}`;
+
+  return {
+    accept: `${url}?response=accepted`,
+    decline: `${url}?response=rejected`
+  };
+}
+
+// Attach the meeting as an .ics the recipient's calendar can act on
+function buildCalendarAttachment(meeting, host, method, status) {
+  return {
+    filename: getIcsFilename(meeting.title),
+    method,
+    content: buildCalendar([{ meeting, host }], { method, status })
+  };
+}
+
+// Look up registered recipients so times can be shown in their own timezone
+async function getTimezonesByEmail(emails) {
+  const users = await User.find({ email: { $in: emails } });
+  return users.reduce((zones, user) => {
+    zones[user.email] = user.preferences?.timezone;
+    return zones;
+  }, {});
+}
+
+// Email invitees that they've been invited
+function notifyInvitations(meeting, invitations) {
+  sendInBackground('invitation', async () => {
+    if (invitations.length === 0) return;
+
+    const host = await User.findById(meeting.hostId);
+    if (!host) return;
+
+    const timezones = await getTimezonesByEmail(invitations.map(i => i.email));
+    const icalEvent = buildCalendarAttachment(meeting, host, 'REQUEST');
+
+    for (const invitation of invitations) {
+      const content = templates.invitation({
+        meeting,
+        host,
+        timezone: timezones[invitation.email],
+        links: await getResponseLinks(invitation)
+      });
+
+      await sendEmail({ to: invitation.email, ...content, icalEvent });
+    }
+  });
+}
+
+// Email the host that an invitee accepted or declined
+function notifyInvitationResponse(meeting, invitation, invitee) {
+  sendInBackground('response', async () => {
+    const host = await User.findById(meeting.hostId);
+
+    if (!host || host.email === invitation.email) return;
+
+    const content = templates.invitationResponse({
+      meeting,
+      invitee: { name: invitee?.name, email: invitation.email },
+      status: invitation.status,
+      timezone: host.preferences?.timezone
+    });
+
+    await sendEmail({
+      to: host.email,
+      ...content,
+      icalEvent: buildCalendarAttachment(meeting, host, 'PUBLISH')
+    });
+  });
+}
+
+// Email participants promoted off a meeting's waitlist that they now have a seat
+function notifyPromoted(meeting, emails) {
+  sendInBackground('waitlist promotion', async () => {
+    const host = await User.findById(meeting.hostId);
+
+    if (!host || emails.length === 0) return;
+
+    const timezones = await getTimezonesByEmail(emails);
+    const icalEvent = buildCalendarAttachment(meeting, host, 'REQUEST');
+
+    for (const email of emails) {
+      const content = templates.promoted({
+        meeting,
+        host,
+        timezone: timezones[email]
+      });
+
+      await sendEmail({ to: email, ...content, icalEvent });
+    }
+  });
+}
+
+// Email participants that the meeting has a new time. `previous` holds the old date and times.
+// `occurrence` is the new time when only one occurrence of a series moved;
+// `previousSeries` is the series a split-off part was taken from.
+function notifyRescheduled(meeting, previous, invitations, { occurrence = null, previousSeries = null } = {}) {
+  sendInBackground('reschedule', async () => {
+    const host = await User.findById(meeting.hostId);
+    const recipients = host ? invitations.filter(i => i.status !== 'rejected' && i.email !== host.email) : [];
+
+    if (recipients.length === 0) return;
+
+    const timezones = await getTimezonesByEmail(recipients.map(i => i.email));
+    // A series split at the change also sends the old part, which now ends before it
+    const icalEvent = previousSeries
+      ? {
+        filename: getIcsFilename(meeting.title),
+        method: 'REQUEST',
+        content: buildCalendar([{ meeting: previousSeries, host }, { meeting, host }], { method: 'REQUEST' })
+      }
+      : buildCalendarAttachment(meeting, host, 'REQUEST');
+
+    for (const invitation of recipients) {
+      const content = templates.rescheduled({
+        meeting,
+        occurrence,
+        // A moved occurrence was a one-off time; otherwise the series repeated
+        previous: occurrence ? previous : { ...previous, recurrence: meeting.recurrence },
+        host,
+        timezone: timezones[invitation.email],
+        links: await getResponseLinks(invitation)
+      });
+
+      await sendEmail({ to: invitation.email, ...content, icalEvent });
+    }
+  });
+}
+
+// Email participants that the meeting was cancelled. Takes a plain copy of the
+// meeting and its invitations since both are usually deleted by now.
+function notifyCancelled(meeting, invitations) {
+  sendInBackground('cancellation', async () => {
+    const host = await User.findById(meeting.hostId);
+    const recipients = host ? invitations.filter(i => i.status !== 'rejected' && i.email !== host.email) : [];
+
+    if (recipients.length === 0) return;
+
+    const timezones = await getTimezonesByEmail(recipients.map(i => i.email));
+    const icalEvent = buildCalendarAttachment(
+      { ...meeting, sequence: (meeting.sequence || 0) + 1 },
+      host,
+      'CANCEL',
+      'CANCELLED'
+    );
+
+    for (const invitation of recipients) {
+      const content = templates.cancelled({
+        meeting,
+        host,
+        timezone: timezones[invitation.email]
+      });
+
+      await sendEmail({ to: invitation.email, ...content, icalEvent });
+    }
+  });
+}
+
+// Email a user the link to reset their password
+function notifyPasswordReset(user, token, expiresInMinutes) {
+  sendInBackground('password reset', async () => {
+    const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const content = templates.passwordReset({
+      user,
+      link: `${baseUrl}/reset-password/${token}`,
+      expiresInMinutes
+    });
+
+    await sendEmail({ to: user.email, ...content });
+  });
+}
+
+// Email an invitation to join a team
+function notifyTeamInvitation(team, invitation, inviter) {
+  sendInBackground('team invitation', async () => {
+    const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const content = templates.teamInvitation({
+      team,
+      inviter,
+      role: invitation.role,
+      link: `${baseUrl}/teams/invitations`
+    });
+
+    await sendEmail({ to: invitation.email, ...content });
+  });
+}
+
+// Email a participant that a meeting (occurrence) starts soon.
+// Awaited by the reminder job, which retries when this returns false.
+async function sendReminder(meeting, recipient, minutesUntilStart) {
+  const host = await User.findById(meeting.hostId);
+
+  const content = templates.reminder({
+    meeting,
+    host,
+    timezone: recipient.timezone,
+    minutesUntilStart
+  });
+
+  return sendEmail({ to: recipient.email, ...content });
+}
+
+module.exports = {
+  setTransport,
+  sendEmail,
+  getResponseLinks,
+  notifyInvitations,
+  notifyInvitationResponse,
+  notifyPromoted,
+  notifyRescheduled,
+  notifyCancelled,
+  notifyPasswordReset,
+  notifyTeamInvitation,
+  sendReminder
+};
@@ -0,0 +1,244 @@
+const { DEFAULT_TIMEZONE, zonedTimeToUtc } = require('../timezone');
+const { isRecurring } = require('../recurrence');
+
+const FREQUENCY_UNITS = {
+  daily: 'days',
+  weekly: 'weeks',
+  monthly: 'months'
+};
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Describe when a meeting happens, in the recipient's timezone
+// e.g. "Mon, 2 Nov 2026, 09:00 - 09:30 (Asia/Kolkata), repeats weekly"
+function describeWhen(meeting, timezone) {
+  const meetingTimezone = meeting.timezone || DEFAULT_TIMEZONE;
+  const zone = timezone || meetingTimezone;
+  const start = zonedTimeToUtc(meeting.date, meeting.startTime, meetingTimezone);
+  const end = zonedTimeToUtc(meeting.date, meeting.endTime, meetingTimezone);
+
+  const day = new Intl.DateTimeFormat('en-GB', {
+    timeZone: zone,
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+  }).format(start);
+  const time = new Intl.DateTimeFormat('en-GB', {
+    timeZone: zone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  });
+
+  let when = `${day}, ${time.format(start)} - ${time.format(end)} (${zone})`;
+
+  if (isRecurring(meeting)) {
+    const { frequency, interval } = meeting.recurrence;
+    when += interval > 1 ? `, repeats every ${interval} ${FREQUENCY_UNITS[frequency]}` : `, repeats ${frequency}`;
+  }
+
+  return when;
+}
+
+// Lay out an email as plain text and matching HTML
+function render({ heading, lines, links = [], footer }) {
+  const text = [
+    heading,
+    '',
+    ...lines,
+    '',
+    ...links.map(link => `${link.label}: ${link.url}`),
+    ...(footer ? ['', footer] : [])
+  ].join('\n');
+
+  const html = [
+    `<h2>${escapeHtml(heading)}</h2>`,
+    ...lines.map(line => `<p>${escapeHtml(line)}</p>`),
+    links.length > 0
+      ? `<p>${links.map(link => `<a href="${escapeHtml(link.url)}">${escapeHtml(link.label)}</a>`).join(' &middot; ')}</p>`
+      : '',
+    footer ? `<p style="color:#666">${escapeHtml(footer)}</p>` : ''
+  ].join('\n');
+
+  return { text, html };
+}
+
+function meetingLines(meeting, timezone) {
+  return [
+    `When: ${describeWhen(meeting, timezone)}`,
+    ...(meeting.meetingLink ? [`Where: ${meeting.meetingLink}`] : []),
+    ...(meeting.description ? [meeting.description] : [])
+  ];
+}
+
+function responseLinks(links) {
+  return links ? [
+    { label: 'Accept', url: links.accept },
+    { label: 'Decline', url: links.decline }
+  ] : [];
+}
+
+// Invitee: you've been invited
+function invitation({ meeting, host, timezone, links }) {
+  return {
+    subject: `Invitation: ${meeting.title}`,
+    ...render({
+      heading: `${host.name} invited you to "${meeting.title}"`,
+      lines: meetingLines(meeting, timezone),
+      links: responseLinks(links),
+      footer: 'The attached calendar file adds the meeting to your calendar.'
+    })
+  };
+}
+
+// Host: an invitee accepted, declined or (accepting a full meeting) joined the waitlist
+function invitationResponse({ meeting, invitee, status, timezone }) {
+  const name = invitee.name || invitee.email;
+
+  if (status === 'waitlisted') {
+    return {
+      subject: `${name} is waitlisted: ${meeting.title}`,
+      ...render({
+        heading: `${name} accepted your invitation to "${meeting.title}", which is full, and joined the waitlist`,
+        lines: meetingLines(meeting, timezone)
+      })
+    };
+  }
+
+  const verb = status === 'accepted' ? 'accepted' : 'declined';
+
+  return {
+    subject: `${name} ${verb}: ${meeting.title}`,
+    ...render({
+      heading: `${name} ${verb} your invitation to "${meeting.title}"`,
+      lines: meetingLines(meeting, timezone)
+    })
+  };
+}
+
+// Participant: a seat opened up and they were moved off the waitlist
+function promoted({ meeting, host, timezone }) {
+  return {
+    subject: `You're in: ${meeting.title}`,
+    ...render({
+      heading: `A seat opened up in "${meeting.title}" and it's yours`,
+      lines: [
+        ...meetingLines(meeting, timezone),
+        `Host: ${host.name}`
+      ],
+      footer: 'The attached calendar file adds the meeting to your calendar.'
+    })
+  };
+}
+
+// Participant: the meeting moved
+function rescheduled({ meeting, occurrence = null, previous, host, timezone, links }) {
+  return {
+    subject: `Updated: ${meeting.title}`,
+    ...render({
+      heading: occurrence
+        ? `${host.name} changed the time of one occurrence of "${meeting.title}"`
+        : `${host.name} changed the time of "${meeting.title}"`,
+      lines: [
+        `Was: ${describeWhen(previous, timezone)}`,
+        // Only the moved occurrence, not the series
+        ...meetingLines(occurrence ? { ...occurrence, meetingLink: meeting.meetingLink } : meeting, timezone)
+      ],
+      links: responseLinks(links),
+      footer: 'The attached calendar file updates the meeting in your calendar.'
+    })
+  };
+}
+
+// Participant: the meeting was cancelled
+function cancelled({ meeting, host, timezone }) {
+  return {
+    subject: `Cancelled: ${meeting.title}`,
+    ...render({
+      heading: `${host.name} cancelled "${meeting.title}"`,
+      lines: [
+        `Was: ${describeWhen(meeting, timezone)}`,
+        ...(meeting.cancellationReason ? [`Reason: ${meeting.cancellationReason}`] : [])
+      ],
+      footer: 'The attached calendar file removes the meeting from your calendar.'
+    })
+  };
+}
+
+// Describe how soon something starts, e.g. "in 15 minutes", "in 24 hours", "in 3 days"
+function describeStartsIn(minutes) {
+  const [count, unit] = minutes < 90
+    ? [Math.max(minutes, 1), 'minute']
+    : minutes < 48 * 60
+      ? [Math.round(minutes / 60), 'hour']
+      : [Math.round(minutes / (24 * 60)), 'day'];
+
+  return `in ${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+// Participant: the meeting starts soon
+function reminder({ meeting, host, timezone, minutesUntilStart }) {
+  const startsIn = describeStartsIn(minutesUntilStart);
+
+  return {
+    subject: `Reminder: ${meeting.title} starts ${startsIn}`,
+    ...render({
+      heading: `"${meeting.title}" starts ${startsIn}`,
+      lines: [
+        ...meetingLines(meeting, timezone),
+        ...(host ? [`Host: ${host.name}`] : [])
+      ]
+    })
+  };
+}
+
+// User: the link to reset their password
+function passwordReset({ user, link, expiresInMinutes }) {
+  return {
+    subject: 'Reset your password',
+    ...render({
+      heading: `Hi ${user.name}, reset your password`,
+      lines: [
+        `Someone (hopefully you) asked to reset the password of your account (${user.username}).`,
+        `The link works once, for the next ${expiresInMinutes} minutes.`
+      ],
+      links: [{ label: 'Choose a new password', url: link }],
+      footer: 'If you didn\'t ask for this, ignore this email; your password stays as it is.'
+    })
+  };
+}
+
+// Invitee: you've been invited to join a team
+function teamInvitation({ team, inviter, role, link }) {
+  return {
+    subject: `Join ${team.name}`,
+    ...render({
+      heading: `${inviter.name} invited you to join the team "${team.name}"`,
+      lines: [
+        ...(team.description ? [team.description] : []),
+        `You'd join as ${role === 'admin' ? 'an admin' : 'a member'}. Team members share event types and can see each other's availability.`
+      ],
+      links: [{ label: 'View invitation', url: link }],
+      footer: 'Sign in (or sign up) with this email address to accept or decline.'
+    })
+  };
+}
+
+module.exports = {
+  describeWhen,
+  invitation,
+  invitationResponse,
+  promoted,
+  rescheduled,
+  cancelled,
+  reminder,
+  passwordReset,
+  teamInvitation
+};
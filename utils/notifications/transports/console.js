@@ -0,0 +1,19 @@
+// Log emails to the console instead of sending them (the default in development)
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log('---------- Email ----------');
+      console.log(`To: ${message.to}`);
+      console.log(`Subject: ${message.subject}`);
+      if (message.icalEvent) {
+        console.log(`Attachment: ${message.icalEvent.filename} (${message.icalEvent.method})`);
+      }
+      console.log('');
+      console.log(message.text);
+      console.log('---------------------------');
+    }
+  };
+}
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Write each email as an .eml file (open it in any mail client to check the
+// rendering and the .ics attachment). Directory: NOTIFICATION_DIR, default ./mail-outbox
+function createFileTransport() {
+  const directory = path.resolve(process.env.NOTIFICATION_DIR || 'mail-outbox');
+  const mailer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: 'file',
+    async send(message) {
+      const info = await mailer.sendMail(message);
+      const slug = String(message.subject).toLowerCase().replace(/[^a-z0-9]+/g, '-').slice(0, 40).replace(/-$/, '');
+      const filename = `${Date.now()}-${crypto.randomBytes(3).toString('hex')}-${slug}.eml`;
+
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.writeFile(path.join(directory, filename), info.message);
+
+      console.log(`Email to ${message.to} written to ${path.join(directory, filename)}`);
+    }
+  };
+}
+
+module.exports = createFileTransport;
@@ -0,0 +1,28 @@
+const nodemailer = require('nodemailer');
+
+// Send email through an SMTP server configured with SMTP_* environment variables
+function createSmtpTransport() {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST must be set to use the smtp notification transport');
+  }
+
+  const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+  const mailer = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await mailer.sendMail(message);
+      console.log(`Email to ${message.to} sent: ${info.messageId}`);
+    }
+  };
+}
+
+module.exports = createSmtpTransport;
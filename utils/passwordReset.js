@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { createRateLimiter } = require('./rateLimit');
+
+// Reset tokens are random strings emailed to the user. Only their SHA-256 is
+// stored, so a leaked database doesn't hand out working links. A user has at
+// most one valid token: asking again replaces it, and using it clears it.
+const DEFAULT_EXPIRE_MINUTES = 60;
+
+// How often a reset may be requested for one email address
+const MAX_REQUESTS = 3;
+const REQUEST_WINDOW_MS = 60 * 60 * 1000;
+
+const requestLimiter = createRateLimiter({ max: MAX_REQUESTS, windowMs: REQUEST_WINDOW_MS });
+
+function getExpireMinutes() {
+  return parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || DEFAULT_EXPIRE_MINUTES;
+}
+
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Count a reset request for an email, whether or not it has an account, so
+// the limit doesn't reveal which addresses are registered.
+// Returns { allowed, retryAfter }.
+function limitResetRequests(email) {
+  return requestLimiter.hit(String(email).trim().toLowerCase());
+}
+
+// Issue a new reset token for a user, replacing any earlier one.
+// Returns { token, expiresInMinutes }.
+async function issuePasswordResetToken(user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresInMinutes = getExpireMinutes();
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      passwordResetToken: hashResetToken(token),
+      passwordResetExpire: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+    }
+  );
+
+  return { token, expiresInMinutes };
+}
+
+// Use up a reset token. The check and the consumption are one atomic update,
+// so a token can't be used twice. Returns the user, or null when the token is
+// unknown, already used or expired.
+async function consumePasswordResetToken(token) {
+  if (!token) return null;
+
+  return User.findOneAndUpdate(
+    {
+      passwordResetToken: hashResetToken(token),
+      passwordResetExpire: { $gt: new Date() },
+      isActive: { $ne: false }
+    },
+    { $unset: { passwordResetToken: 1, passwordResetExpire: 1 } },
+    { new: true }
+  );
+}
+
+module.exports = {
+  limitResetRequests,
+  issuePasswordResetToken,
+  consumePasswordResetToken
+};
@@ -0,0 +1,59 @@
+// Who may do what. Roles are set on the user: most are plain users; support
+// staff can look at any account and meeting; admins can also change accounts.
+const ROLES = ['user', 'admin', 'support'];
+
+// Roles allowed to look at other people's accounts and meetings
+const STAFF_ROLES = ['admin', 'support'];
+
+// Roles within a team: one owner; admins manage members, invitations and
+// event types; members share the team's event types and availability
+const TEAM_ROLES = ['owner', 'admin', 'member'];
+const TEAM_MANAGER_ROLES = ['owner', 'admin'];
+
+// Compare ids whether they're ObjectIds, strings or populated documents
+function sameId(a, b) {
+  if (!a || !b) return false;
+
+  return String(a._id || a) === String(b._id || b);
+}
+
+// Whether a user has one of some roles
+function hasRole(user, ...roles) {
+  return Boolean(user) && roles.includes(user.role || 'user');
+}
+
+// Whether a user hosts a meeting
+function isMeetingHost(meeting, user) {
+  return Boolean(user) && sameId(meeting.hostId, user._id || user.id);
+}
+
+// Whether a user is on a meeting's participant list (by account, not email)
+function isMeetingParticipant(meeting, user) {
+  return Boolean(user) && (meeting.participants || []).some(
+    participant => sameId(participant.userId, user._id || user.id)
+  );
+}
+
+// A user's (or user id's) membership of a team, or undefined
+function findTeamMember(team, user) {
+  return team.members.find(member => sameId(member.userId, user));
+}
+
+// Whether a user has one of some roles in a team
+function hasTeamRole(team, user, ...roles) {
+  const member = findTeamMember(team, user);
+  return Boolean(member) && roles.includes(member.role);
+}
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  TEAM_ROLES,
+  TEAM_MANAGER_ROLES,
+  sameId,
+  hasRole,
+  isMeetingHost,
+  isMeetingParticipant,
+  findTeamMember,
+  hasTeamRole
+};
@@ -0,0 +1,54 @@
+// Sliding-window limits on how often something may happen per key
+// (e.g. per email address). Counts live in memory, so each server process
+// keeps its own and they reset on restart.
+
+// Sweep keys with no recent hits once this many are tracked
+const SWEEP_THRESHOLD = 10000;
+
+// Create a limiter allowing `max` hits per key within `windowMs`
+function createRateLimiter({ max, windowMs }) {
+  const hits = new Map();
+
+  function recentHits(key, now) {
+    return (hits.get(key) || []).filter(time => time > now - windowMs);
+  }
+
+  function sweep(now) {
+    for (const [key, times] of hits) {
+      if (times[times.length - 1] <= now - windowMs) {
+        hits.delete(key);
+      }
+    }
+  }
+
+  // Record a hit unless the key is over its limit. Returns { allowed } and,
+  // when not allowed, the seconds until the next hit would be (retryAfter).
+  function hit(key, now = Date.now()) {
+    const times = recentHits(key, now);
+
+    if (times.length >= max) {
+      hits.set(key, times);
+      return { allowed: false, retryAfter: Math.ceil((times[0] + windowMs - now) / 1000) };
+    }
+
+    times.push(now);
+    hits.set(key, times);
+
+    if (hits.size > SWEEP_THRESHOLD) {
+      sweep(now);
+    }
+
+    return { allowed: true };
+  }
+
+  // Forget a key's hits
+  function reset(key) {
+    hits.delete(key);
+  }
+
+  return { hit, reset };
+}
+
+module.exports = {
+  createRateLimiter
+};
@@ -0,0 +1,219 @@
+const { addDays } = require('./timezone');
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// How far back and ahead the booking dashboard expands a series
+const DASHBOARD_PAST_DAYS = 30;
+const DASHBOARD_FUTURE_DAYS = 90;
+
+// Hard stop for open-ended iteration
+const MAX_OCCURRENCES = 5000;
+
+// Monday-based index (0-6) of a "YYYY-MM-DD" date
+function getWeekdayIndex(date) {
+  return (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// Check if a meeting (or plain meeting object) is a recurring series
+function isRecurring(meeting) {
+  return Boolean(meeting && meeting.recurrence && meeting.recurrence.frequency);
+}
+
+// Yield the original dates of a series in ascending order, honouring count and until
+function* iterateSeriesDates(startDate, recurrence) {
+  const interval = Math.max(parseInt(recurrence.interval, 10) || 1, 1);
+  const until = recurrence.until || null;
+  const count = recurrence.count || null;
+  let emitted = 0;
+
+  const emit = date => {
+    if (until && date > until) return false;
+    if (count && emitted >= count) return false;
+    if (emitted >= MAX_OCCURRENCES) return false;
+    emitted++;
+    return true;
+  };
+
+  if (recurrence.frequency === 'daily') {
+    for (let date = startDate; ; date = addDays(date, interval)) {
+      if (!emit(date)) return;
+      yield date;
+    }
+  }
+
+  if (recurrence.frequency === 'weekly') {
+    const weekdays = recurrence.byWeekday && recurrence.byWeekday.length > 0
+      ? [...new Set(recurrence.byWeekday.map(day => WEEKDAYS.indexOf(day)))].filter(i => i !== -1).sort((a, b) => a - b)
+      : [getWeekdayIndex(startDate)];
+    const firstMonday = addDays(startDate, -getWeekdayIndex(startDate));
+
+    for (let weekStart = firstMonday; ; weekStart = addDays(weekStart, 7 * interval)) {
+      for (const weekday of weekdays) {
+        const date = addDays(weekStart, weekday);
+        if (date < startDate) continue;
+        if (!emit(date)) return;
+        yield date;
+      }
+    }
+  }
+
+  if (recurrence.frequency === 'monthly') {
+    const [startYear, startMonth, startDay] = startDate.split('-').map(Number);
+
+    for (let step = 0; ; step += interval) {
+      const monthIndex = startMonth - 1 + step;
+      const year = startYear + Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+
+      // Months without this day (e.g. the 31st) are skipped
+      if (startDay > daysInMonth(year, month)) continue;
+
+      const date = `${year}-${String(month).padStart(2, '0')}-${String(startDay).padStart(2, '0')}`;
+      if (!emit(date)) return;
+      yield date;
+    }
+  }
+}
+
+// List the original dates of a series between two dates (inclusive)
+function getSeriesDates(meeting, fromDate, toDate) {
+  const dates = [];
+
+  for (const date of iterateSeriesDates(meeting.date, meeting.recurrence)) {
+    if (date > toDate) break;
+    if (date >= fromDate) dates.push(date);
+  }
+
+  return dates;
+}
+
+// Check whether a date is one of the original dates of a series
+function isOccurrenceDate(meeting, date) {
+  if (!isRecurring(meeting)) {
+    return meeting.date === date;
+  }
+
+  return getSeriesDates(meeting, date, date).length === 1;
+}
+
+// Get the last original date of a series, or null if it never ends
+function getLastOccurrenceDate(meeting) {
+  if (!isRecurring(meeting)) {
+    return meeting.date;
+  }
+
+  if (!meeting.recurrence.until && !meeting.recurrence.count) {
+    return null;
+  }
+
+  let last = null;
+  for (const date of iterateSeriesDates(meeting.date, meeting.recurrence)) {
+    last = date;
+  }
+  return last;
+}
+
+// Count the occurrences of a series that fall before a date
+function countOccurrencesBefore(meeting, date) {
+  return getSeriesDates(meeting, meeting.date, addDays(date, -1)).length;
+}
+
+// Find the exception recorded for an original occurrence date
+function findException(meeting, originalDate) {
+  return (meeting.exceptions || []).find(e => e.originalDate === originalDate) || null;
+}
+
+// Build a single occurrence object from a series and one of its original dates
+function buildOccurrence(meeting, originalDate) {
+  const exception = findException(meeting, originalDate);
+
+  if (exception && exception.isCancelled) {
+    return null;
+  }
+
+  return {
+    ...meeting,
+    date: exception?.date || originalDate,
+    startTime: exception?.startTime || meeting.startTime,
+    endTime: exception?.endTime || meeting.endTime,
+    title: exception?.title || meeting.title,
+    description: exception?.description || meeting.description,
+    occurrenceDate: originalDate,
+    seriesId: meeting._id,
+    isRecurring: true,
+    isException: Boolean(exception)
+  };
+}
+
+// Expand a meeting into the occurrences that fall between two dates (inclusive).
+// Non-recurring meetings expand to themselves. Accepts documents or plain objects.
+function expandOccurrences(meeting, fromDate, toDate) {
+  const source = typeof meeting.toObject === 'function' ? meeting.toObject() : meeting;
+
+  if (!isRecurring(source)) {
+    return source.date >= fromDate && source.date <= toDate ? [source] : [];
+  }
+
+  const originalDates = new Set(getSeriesDates(source, fromDate, toDate));
+
+  // Occurrences moved into the range from an original date outside it
+  for (const exception of source.exceptions || []) {
+    if (
+      !exception.isCancelled &&
+      exception.date && exception.date >= fromDate && exception.date <= toDate &&
+      !originalDates.has(exception.originalDate) &&
+      isOccurrenceDate(source, exception.originalDate)
+    ) {
+      originalDates.add(exception.originalDate);
+    }
+  }
+
+  return [...originalDates]
+    .map(date => buildOccurrence(source, date))
+    .filter(occurrence => occurrence && occurrence.date >= fromDate && occurrence.date <= toDate)
+    .sort((a, b) => a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime));
+}
+
+// Expand a meeting for the booking dashboard. One-off meetings are always kept;
+// a series only contributes occurrences in a window around today.
+function expandForDashboard(meeting, today) {
+  if (!isRecurring(meeting)) {
+    return [typeof meeting.toObject === 'function' ? meeting.toObject() : meeting];
+  }
+
+  return expandOccurrences(
+    meeting,
+    addDays(today, -DASHBOARD_PAST_DAYS),
+    addDays(today, DASHBOARD_FUTURE_DAYS)
+  );
+}
+
+// Mongo filter for meetings that may have an occurrence between two dates
+function occurrenceDateFilter(fromDate, toDate) {
+  return {
+    $or: [
+      { date: { $gte: fromDate, $lte: toDate } },
+      { 'recurrence.frequency': { $exists: true }, date: { $lte: toDate } },
+      // Single occurrences moved into the range
+      { 'exceptions.date': { $gte: fromDate, $lte: toDate } }
+    ]
+  };
+}
+
+module.exports = {
+  WEEKDAYS,
+  isRecurring,
+  iterateSeriesDates,
+  getSeriesDates,
+  isOccurrenceDate,
+  getLastOccurrenceDate,
+  countOccurrencesBefore,
+  findException,
+  expandOccurrences,
+  expandForDashboard,
+  occurrenceDateFilter
+};
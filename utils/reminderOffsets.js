@@ -0,0 +1,33 @@
+// Minutes before a meeting starts that reminders go out, when neither the
+// meeting nor the participant has chosen their own
+const DEFAULT_REMINDER_OFFSETS = [24 * 60, 15];
+
+// Reminders can be set up to a week ahead
+const MAX_REMINDER_OFFSET = 7 * 24 * 60;
+
+// Check a list of reminder offsets (whole minutes, 1 minute to 1 week)
+function isValidReminderOffsets(offsets) {
+  return Array.isArray(offsets) &&
+    offsets.every(offset => Number.isInteger(offset) && offset > 0 && offset <= MAX_REMINDER_OFFSET);
+}
+
+// Pick the offsets for one participant: the meeting's own setting wins,
+// then the participant's preference, then the defaults
+function resolveReminderOffsets(meeting, user) {
+  if (meeting && Array.isArray(meeting.reminderOffsets)) {
+    return [...new Set(meeting.reminderOffsets)];
+  }
+
+  if (user && user.preferences && Array.isArray(user.preferences.reminderOffsets)) {
+    return [...new Set(user.preferences.reminderOffsets)];
+  }
+
+  return DEFAULT_REMINDER_OFFSETS;
+}
+
+module.exports = {
+  DEFAULT_REMINDER_OFFSETS,
+  MAX_REMINDER_OFFSET,
+  isValidReminderOffsets,
+  resolveReminderOffsets
+};
@@ -0,0 +1,214 @@
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const Reminder = require('../models/Reminder');
+const { expandOccurrences, occurrenceDateFilter } = require('./recurrence');
+const { MAX_REMINDER_OFFSET, resolveReminderOffsets } = require('./reminderOffsets');
+const { sendReminder } = require('./notifications');
+const {
+  DEFAULT_TIMEZONE,
+  MINUTE_MS,
+  zonedTimeToUtc,
+  utcToZonedTime,
+  addDays
+} = require('./timezone');
+
+// How long a worker holds a claimed reminder before another may retry it
+const CLAIM_MS = 5 * MINUTE_MS;
+const MAX_ATTEMPTS = 3;
+
+// Reminders already this far overdue when first scheduled (e.g. a meeting booked
+// ten minutes before it starts) are not created. Longer than the scheduling interval.
+const SCHEDULE_GRACE_MS = 10 * MINUTE_MS;
+
+// Get the start of an occurrence as a UTC instant
+function getOccurrenceStart(occurrence) {
+  return zonedTimeToUtc(occurrence.date, occurrence.startTime, occurrence.timezone || DEFAULT_TIMEZONE);
+}
+
+// Create the reminders for every accepted participant of every meeting starting
+// within the longest reminder offset. Safe to run repeatedly: existing reminders are left alone.
+async function scheduleUpcomingReminders(now = new Date()) {
+  const horizon = new Date(now.getTime() + MAX_REMINDER_OFFSET * MINUTE_MS);
+
+  // Pad by a day either side so every timezone's wall-clock dates are covered
+  const fromDate = addDays(now.toISOString().split('T')[0], -1);
+  const toDate = addDays(horizon.toISOString().split('T')[0], 1);
+
+  const meetings = await Meeting.find({
+    status: { $ne: 'cancelled' },
+    isActive: { $ne: false },
+    $and: [occurrenceDateFilter(fromDate, toDate)]
+  });
+
+  const userIds = [...new Set(meetings.flatMap(meeting =>
+    meeting.participants.filter(p => p.userId).map(p => p.userId.toString())
+  ))];
+  const users = await User.find({ _id: { $in: userIds } });
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  const operations = [];
+
+  for (const meeting of meetings) {
+    for (const occurrence of expandOccurrences(meeting, fromDate, toDate)) {
+      const startAt = getOccurrenceStart(occurrence);
+
+      if (startAt <= now || startAt > horizon) continue;
+
+      for (const participant of meeting.participants) {
+        if (participant.status !== 'accepted' || !participant.email) continue;
+
+        const user = participant.userId ? usersById.get(participant.userId.toString()) : null;
+
+        for (const offsetMinutes of resolveReminderOffsets(meeting, user)) {
+          const fireAt = new Date(startAt.getTime() - offsetMinutes * MINUTE_MS);
+
+          if (fireAt.getTime() < now.getTime() - SCHEDULE_GRACE_MS) continue;
+
+          operations.push({
+            updateOne: {
+              filter: {
+                meetingId: meeting._id,
+                occurrenceDate: occurrence.occurrenceDate || occurrence.date,
+                email: participant.email,
+                offsetMinutes,
+                startAt
+              },
+              update: {
+                $setOnInsert: {
+                  userId: participant.userId,
+                  fireAt
+                }
+              },
+              upsert: true
+            }
+          });
+        }
+      }
+    }
+  }
+
+  if (operations.length === 0) return 0;
+
+  try {
+    const result = await Reminder.bulkWrite(operations, { ordered: false });
+
+    if (result.upsertedCount > 0) {
+      console.log(`Scheduled ${result.upsertedCount} new reminders`);
+    }
+
+    return result.upsertedCount;
+  } catch (error) {
+    // Another instance inserted the same reminder first
+    if (error.code === 11000) return 0;
+    throw error;
+  }
+}
+
+// Close a reminder without sending it
+async function skipReminder(reminder, reason) {
+  reminder.status = 'skipped';
+  reminder.lastError = reason;
+  reminder.lockedUntil = undefined;
+  await reminder.save();
+}
+
+// Deliver one claimed reminder, checking the meeting still happens as scheduled
+async function deliverReminder(reminder, now) {
+  if (reminder.startAt <= now) {
+    return skipReminder(reminder, 'Meeting already started');
+  }
+
+  const meeting = await Meeting.findById(reminder.meetingId);
+
+  if (!meeting || meeting.status === 'cancelled' || meeting.isActive === false) {
+    return skipReminder(reminder, 'Meeting was cancelled');
+  }
+
+  // Find the occurrence on the day it was scheduled for; if it moved, a new
+  // reminder has been (or will be) scheduled for the new time
+  const timezone = meeting.timezone || DEFAULT_TIMEZONE;
+  const scheduledDate = utcToZonedTime(reminder.startAt, timezone).date;
+  const occurrence = expandOccurrences(meeting, scheduledDate, scheduledDate)
+    .find(o => (o.occurrenceDate || o.date) === reminder.occurrenceDate);
+
+  if (!occurrence || getOccurrenceStart(occurrence).getTime() !== reminder.startAt.getTime()) {
+    return skipReminder(reminder, 'Meeting was rescheduled');
+  }
+
+  const participant = meeting.participants.find(p => p.email === reminder.email);
+
+  if (!participant || participant.status !== 'accepted') {
+    return skipReminder(reminder, 'Participant is no longer attending');
+  }
+
+  const user = reminder.userId ? await User.findById(reminder.userId) : null;
+
+  // Say how long is actually left, which differs from the offset if the reminder is late
+  const sent = await sendReminder(occurrence, {
+    email: reminder.email,
+    timezone: user?.preferences?.timezone
+  }, Math.round((reminder.startAt - now) / MINUTE_MS));
+
+  if (sent) {
+    reminder.status = 'sent';
+    reminder.sentAt = new Date();
+    reminder.lockedUntil = undefined;
+  } else if (reminder.attempts >= MAX_ATTEMPTS) {
+    reminder.status = 'failed';
+    reminder.lastError = 'Email could not be sent';
+    reminder.lockedUntil = undefined;
+  } else {
+    // Keep the claim so the retry waits for it to run out
+    reminder.lastError = 'Email could not be sent, will retry';
+  }
+
+  await reminder.save();
+}
+
+// Send every reminder that is due. Each one is claimed atomically first, so
+// several server instances can run this without sending anything twice.
+async function sendDueReminders(now = new Date()) {
+  let processed = 0;
+
+  for (;;) {
+    const reminder = await Reminder.findOneAndUpdate(
+      {
+        status: 'pending',
+        fireAt: { $lte: now },
+        attempts: { $lt: MAX_ATTEMPTS },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      {
+        lockedUntil: new Date(now.getTime() + CLAIM_MS),
+        $inc: { attempts: 1 }
+      },
+      { sort: { fireAt: 1 }, new: true }
+    );
+
+    if (!reminder) break;
+
+    try {
+      await deliverReminder(reminder, now);
+    } catch (error) {
+      // Leave it claimed; it will be retried once the claim runs out
+      console.error(`Error delivering reminder ${reminder._id}: ${error.message}`);
+
+      if (reminder.attempts >= MAX_ATTEMPTS) {
+        await Reminder.updateOne({ _id: reminder._id }, { status: 'failed', lastError: error.message });
+      }
+    }
+
+    processed++;
+  }
+
+  if (processed > 0) {
+    console.log(`Processed ${processed} due reminders`);
+  }
+
+  return processed;
+}
+
+module.exports = {
+  scheduleUpcomingReminders,
+  sendDueReminders
+};
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const MeetingInvitation = require('../models/MeetingInvitation');
+
+// RSVP tokens are JWTs with their own audience so they can't be used as login tokens
+const RSVP_AUDIENCE = 'rsvp';
+const DEFAULT_EXPIRE = '30d';
+
+function getSecret() {
+  return process.env.RSVP_TOKEN_SECRET || process.env.JWT_SECRET;
+}
+
+// Issue a signed, expiring RSVP token for an invitation. Only the most recently
+// issued token is valid, and only until it has been used once.
+async function issueRsvpToken(invitation) {
+  const tokenId = crypto.randomBytes(16).toString('hex');
+
+  await MeetingInvitation.updateOne({ _id: invitation._id }, { rsvpTokenId: tokenId });
+
+  return jwt.sign(
+    { sub: invitation._id.toString() },
+    getSecret(),
+    {
+      audience: RSVP_AUDIENCE,
+      jwtid: tokenId,
+      expiresIn: process.env.RSVP_TOKEN_EXPIRE || DEFAULT_EXPIRE
+    }
+  );
+}
+
+// Decode a token, returning { decoded } or { error, statusCode }
+function decodeRsvpToken(token) {
+  try {
+    return { decoded: jwt.verify(token, getSecret(), { audience: RSVP_AUDIENCE }) };
+  } catch (error) {
+    return {
+      error: error.name === 'TokenExpiredError' ? 'This link has expired' : 'This link is invalid',
+      statusCode: error.name === 'TokenExpiredError' ? 410 : 400
+    };
+  }
+}
+
+// Look up the invitation for a token without using it up.
+// Returns { invitation } or { error, statusCode }.
+async function verifyRsvpToken(token) {
+  const { decoded, error, statusCode } = decodeRsvpToken(token);
+  if (error) return { error, statusCode };
+
+  const invitation = await MeetingInvitation.findById(decoded.sub).select('+rsvpTokenId');
+
+  if (!invitation) {
+    return { error: 'This invitation no longer exists', statusCode: 404 };
+  }
+
+  if (invitation.rsvpTokenId !== decoded.jti) {
+    return { error: 'This link has already been used', statusCode: 410 };
+  }
+
+  return { invitation };
+}
+
+// Use up a token. The check and the consumption are one atomic update, so
+// two clicks on the same link can't both succeed.
+async function redeemRsvpToken(token) {
+  const { decoded, error, statusCode } = decodeRsvpToken(token);
+  if (error) return { error, statusCode };
+
+  const invitation = await MeetingInvitation.findOneAndUpdate(
+    { _id: decoded.sub, rsvpTokenId: decoded.jti },
+    { $unset: { rsvpTokenId: 1 } },
+    { new: true }
+  );
+
+  if (!invitation) {
+    const exists = await MeetingInvitation.exists({ _id: decoded.sub });
+    return exists
+      ? { error: 'This link has already been used', statusCode: 410 }
+      : { error: 'This invitation no longer exists', statusCode: 404 };
+  }
+
+  return { invitation };
+}
+
+module.exports = {
+  issueRsvpToken,
+  verifyRsvpToken,
+  redeemRsvpToken
+};
@@ -0,0 +1,693 @@
+const mongoose = require('mongoose');
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const BusyBlock = require('../models/BusyBlock');
+const {
+  DEFAULT_TIMEZONE,
+  MINUTE_MS,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  utcToZonedTime,
+  addDays,
+  listDates
+} = require('./timezone');
+const { expandOccurrences, occurrenceDateFilter } = require('./recurrence');
+const {
+  resolveRules,
+  getBookingWindow,
+  getBufferedInterval,
+  countMeetingsByDate,
+  checkDailyLimits,
+  findRuleViolations
+} = require('./schedulingRules');
+const { resolveSchedule, getScheduleTimezone } = require('./availabilitySchedules');
+const { parseTime, formatTime } = require('./timeSlots');
+
+const DAYS_OF_WEEK = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Parse time strings ("HH:MM" or "h:mm AM/PM") to minutes since midnight.
+// NaN when the time can't be parsed, so it never matches a range.
+function parseTimeToMinutes(timeStr) {
+  const minutes = parseTime(timeStr);
+  return minutes === null ? NaN : minutes;
+}
+
+// Format minutes since midnight as "HH:MM"
+const formatMinutes = formatTime;
+
+// Two half-open ranges [startA, endA) and [startB, endB) overlap
+function rangesOverlap(startA, endA, startB, endB) {
+  return startA < endB && startB < endA;
+}
+
+// Get the weekday name ("Monday") for a "YYYY-MM-DD" date string
+function getDayOfWeek(date) {
+  return DAYS_OF_WEEK[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+// Find the user's time off covering a date, if any
+function findTimeOff(user, date) {
+  return (user.timeOff || []).find(entry => entry.startDate <= date && entry.endDate >= date) || null;
+}
+
+// Get the user's availability for a date in a schedule's timezone (by default
+// their default schedule). Time off comes first, then the schedule's override
+// for that date, then its weekly template. Returns an entry shaped like the
+// weekly ones ({ day, isAvailable, slots }) with the `source` it came from
+// ('time-off', 'override' or 'weekly'), or null.
+function getDayAvailability(user, date, schedule = resolveSchedule(user)) {
+  const dayOfWeek = getDayOfWeek(date);
+
+  const timeOff = findTimeOff(user, date);
+  if (timeOff) {
+    return {
+      day: dayOfWeek,
+      date,
+      isAvailable: false,
+      slots: [],
+      source: 'time-off',
+      timeOffId: timeOff._id,
+      reason: timeOff.reason
+    };
+  }
+
+  const override = (schedule.availabilityOverrides || []).find(o => o.date === date);
+  if (override) {
+    return {
+      day: dayOfWeek,
+      date,
+      isAvailable: override.isAvailable,
+      slots: override.slots,
+      source: 'override',
+      note: override.note
+    };
+  }
+
+  const weekly = (schedule.availability || []).find(a => a.day === dayOfWeek);
+  if (!weekly) return null;
+
+  return {
+    day: dayOfWeek,
+    date,
+    isAvailable: weekly.isAvailable,
+    slots: weekly.slots,
+    source: 'weekly'
+  };
+}
+
+// Find a day the user has explicitly taken off (time off, or an override
+// marking the date unavailable) between two instants. Returns a stand-in for a
+// conflicting meeting, or null. Days off in the weekly template aren't counted.
+function findDayOff(user, start, end, schedule = resolveSchedule(user)) {
+  const timezone = getScheduleTimezone(user, schedule);
+  const firstDate = utcToZonedTime(start, timezone).date;
+  const lastDate = utcToZonedTime(end - 1, timezone).date;
+
+  for (const date of listDates(firstDate, lastDate)) {
+    const dayAvailability = getDayAvailability(user, date, schedule);
+
+    if (dayAvailability && dayAvailability.source !== 'weekly' && !dayAvailability.isAvailable) {
+      return {
+        _id: dayAvailability.timeOffId,
+        title: dayAvailability.reason || dayAvailability.note || 'Time off',
+        date,
+        startTime: '00:00',
+        endTime: '24:00',
+        timezone,
+        isTimeOff: true
+      };
+    }
+  }
+
+  return null;
+}
+
+// Get the bookable ranges (in minutes) for a user's availability entry
+function getAvailableRanges(dayAvailability) {
+  if (!dayAvailability || !dayAvailability.isAvailable) {
+    return [];
+  }
+
+  const definedSlots = (dayAvailability.slots || []).filter(slot => slot.startTime && slot.endTime);
+
+  // If no specific slots are defined but the day is available, consider all day available
+  if (definedSlots.length === 0) {
+    return [{ start: 0, end: 24 * 60 }];
+  }
+
+  // Slots saved before times were validated may not parse; they offer nothing
+  return definedSlots
+    .map(slot => ({
+      start: parseTimeToMinutes(slot.startTime),
+      end: parseTimeToMinutes(slot.endTime)
+    }))
+    .filter(range => range.start < range.end);
+}
+
+// Find a user by email or ID (the frontend passes either)
+async function findUserByIdOrEmail(identifier) {
+  if (!identifier) return null;
+
+  if (typeof identifier === 'string' && identifier.includes('@')) {
+    return User.findOne({ email: identifier.toLowerCase() });
+  }
+
+  if (!mongoose.isValidObjectId(identifier)) {
+    return null;
+  }
+
+  return User.findById(identifier);
+}
+
+// Check for time conflicts for a user (by ID or email)
+// (date, startTime and endTime are wall-clock values in the given timezone).
+// Returns the conflicting meeting or busy block, a stand-in for time off
+// (see findDayOff), or null. Dates marked unavailable are read from the given
+// availability schedule, or the user's default.
+async function checkTimeConflict(userId, date, startTime, endTime, excludeMeetingId = null, timezone = DEFAULT_TIMEZONE, scheduleId = null) {
+  // Check if userId is an email (contains @)
+  const isEmail = typeof userId === 'string' && userId.includes('@');
+  console.log(`Checking time conflicts for ${isEmail ? 'email' : 'userId'}: ${userId}`);
+
+  // Find the user by ID or email to get their ID
+  let userIdToCheck = userId;
+  const user = isEmail ? await User.findOne({ email: userId }) : await User.findById(userId);
+
+  if (isEmail) {
+    if (user) {
+      userIdToCheck = user._id;
+      console.log(`Found user by email: ${userId} -> ID: ${userIdToCheck}`);
+    } else {
+      console.log(`No user found with email: ${userId}`);
+      return null; // No user with this email, so no conflicts
+    }
+  }
+
+  // Compare UTC instants; meetings can be stored in any timezone, so look one day either side
+  const newStart = zonedTimeToUtc(date, startTime, timezone).getTime();
+  const newEnd = zonedTimeToUtc(date, endTime, timezone).getTime();
+
+  // Time off and dates marked unavailable come before any meeting
+  const dayOff = user ? findDayOff(user, newStart, newEnd, resolveSchedule(user, scheduleId)) : null;
+  if (dayOff) {
+    console.log(`User ${userId} is off on ${dayOff.date} ("${dayOff.title}")`);
+    return dayOff;
+  }
+
+  const userMeetings = await getBlockingMeetingsInRange(
+    userIdToCheck,
+    addDays(date, -1),
+    addDays(date, 1),
+    excludeMeetingId
+  );
+  console.log(`Found ${userMeetings.length} meetings for user around ${date}`);
+
+  console.log(`Checking conflicts between ${startTime} - ${endTime} (${timezone})`);
+
+  // Check for overlaps
+  for (const meeting of userMeetings) {
+    const existing = getMeetingInterval(meeting);
+    console.log(`Comparing with meeting "${meeting.title}": ${meeting.date} ${meeting.startTime} - ${meeting.endTime} (${meeting.timezone})`);
+
+    if (rangesOverlap(newStart, newEnd, existing.start, existing.end)) {
+      console.log(`Found conflict with meeting "${meeting.title}"`);
+      return meeting; // Conflict found
+    }
+  }
+
+  console.log(`No conflicts found for user ${userId} on ${date}`);
+  return null; // No conflict
+}
+
+// Find a meeting booked before `meeting` (by id) that overlaps it on a user's
+// calendar. Checking a time is free and booking it are separate steps, so two
+// bookings of the same time can both get through; the earlier one keeps it.
+async function findEarlierOverlap(meeting, userId) {
+  const interval = getMeetingInterval(meeting);
+  const meetings = await getBlockingMeetingsInRange(
+    userId,
+    addDays(meeting.date, -1),
+    addDays(meeting.date, 1),
+    meeting._id
+  );
+
+  return meetings.find(other => {
+    if (other.isBusyBlock || String(other._id) >= String(meeting._id)) return false;
+
+    const existing = getMeetingInterval(other);
+    return rangesOverlap(interval.start, interval.end, existing.start, existing.end);
+  }) || null;
+}
+
+// Check a proposed time on a user's calendar against their scheduling rules
+// (buffers, daily limits and, when someone else is booking them, notice and
+// horizon), tightened by the event type or the meeting's own buffers.
+// Returns a list of violations ({ rule, message }), empty when the time is fine.
+async function checkSchedulingRules(user, date, startTime, endTime, {
+  timezone = DEFAULT_TIMEZONE,
+  excludeMeetingId = null,
+  eventType = null,
+  buffers = null,
+  bookedByOther = false,
+  now = new Date()
+} = {}) {
+  const rules = resolveRules(user, { eventType, buffers });
+  const proposed = {
+    start: zonedTimeToUtc(date, startTime, timezone).getTime(),
+    end: zonedTimeToUtc(date, endTime, timezone).getTime()
+  };
+
+  // Buffers reach up to a day out, and meetings can be stored in any timezone
+  const meetings = await getBlockingMeetingsInRange(user._id, addDays(date, -2), addDays(date, 2), excludeMeetingId);
+
+  const violations = findRuleViolations(proposed, meetings, getMeetingInterval, rules, {
+    bookedByOther,
+    now,
+    timezone: user.preferences?.timezone || DEFAULT_TIMEZONE
+  });
+
+  if (violations.length > 0) {
+    console.log(`Scheduling rules of user ${user._id} rule out ${date} ${startTime} - ${endTime}: ${violations.map(v => v.rule).join(', ')}`);
+  }
+
+  return violations;
+}
+
+// Check whether an interval (UTC instants) falls inside the user's available hours
+// in a schedule (by default their default one), evaluated in the schedule's timezone
+function isWithinAvailability(user, start, end, schedule = resolveSchedule(user)) {
+  const timezone = getScheduleTimezone(user, schedule);
+  const localStart = utcToZonedTime(start, timezone);
+  const localEnd = utcToZonedTime(end, timezone);
+
+  const startMinutes = parseTimeToMinutes(localStart.time);
+  let endMinutes = parseTimeToMinutes(localEnd.time);
+
+  // A meeting ending at or past local midnight
+  if (localEnd.date > localStart.date) {
+    endMinutes += 24 * 60 * listDates(localStart.date, localEnd.date).slice(1).length;
+  }
+
+  return getAvailableRanges(getDayAvailability(user, localStart.date, schedule))
+    .some(range => startMinutes >= range.start && endMinutes <= range.end);
+}
+
+// List the open slots of a given duration for a user on a date in their
+// schedule's timezone. `options` are passed on to getUserFreeIntervals.
+async function getOpenSlots(user, date, duration, interval = duration, options = {}) {
+  const timezone = getScheduleTimezone(user, options.schedule || resolveSchedule(user));
+  const range = getSearchRange(date, date, timezone);
+
+  if (!range) {
+    return [];
+  }
+
+  const free = await getUserFreeIntervals(user, range.start, range.end, options);
+  return splitIntoWindows(free, duration, interval, timezone);
+}
+
+// Merge overlapping or touching intervals ({ start, end } in ms)
+function mergeIntervals(intervals) {
+  const sorted = intervals
+    .filter(interval => interval.end > interval.start)
+    .sort((a, b) => a.start - b.start);
+  const merged = [];
+
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ start: interval.start, end: interval.end });
+    }
+  }
+
+  return merged;
+}
+
+// Remove busy intervals from free intervals (both merged and sorted)
+function subtractIntervals(free, busy) {
+  const result = [];
+
+  for (const interval of free) {
+    let cursor = interval.start;
+
+    for (const block of busy) {
+      if (block.end <= block.start || block.end <= cursor || block.start >= interval.end) continue;
+      if (block.start > cursor) {
+        result.push({ start: cursor, end: block.start });
+      }
+      cursor = Math.max(cursor, block.end);
+    }
+
+    if (cursor < interval.end) {
+      result.push({ start: cursor, end: interval.end });
+    }
+  }
+
+  return result;
+}
+
+// Intersect two lists of merged, sorted intervals
+function intersectIntervals(a, b) {
+  const result = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length && j < b.length) {
+    const start = Math.max(a[i].start, b[j].start);
+    const end = Math.min(a[i].end, b[j].end);
+
+    if (start < end) {
+      result.push({ start, end });
+    }
+
+    if (a[i].end < b[j].end) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return result;
+}
+
+// Get the UTC interval of a meeting, using the meeting's own timezone
+function getMeetingInterval(meeting) {
+  const timezone = meeting.timezone || DEFAULT_TIMEZONE;
+  return {
+    start: zonedTimeToUtc(meeting.date, meeting.startTime, timezone).getTime(),
+    end: zonedTimeToUtc(meeting.date, meeting.endTime, timezone).getTime()
+  };
+}
+
+// Get meetings (and occurrences of recurring series) that block a user's time
+// between two dates (inclusive)
+async function getBlockingMeetingsInRange(userId, startDate, endDate, excludeMeetingId = null) {
+  const query = {
+    $or: [
+      // Check if user is a participant with accepted status (the same entry, not
+      // theirs and someone else's acceptance)
+      { participants: { $elemMatch: { userId, status: 'accepted' } } },
+      // Check if user is the host
+      { hostId: userId }
+    ],
+    status: { $ne: 'cancelled' },
+    $and: [occurrenceDateFilter(startDate, endDate)]
+  };
+
+  if (excludeMeetingId) {
+    query._id = { $ne: excludeMeetingId };
+  }
+
+  const meetings = await Meeting.find(query);
+
+  // Busy time imported from external calendars blocks the user just like a meeting
+  const busyBlocks = await BusyBlock.find({
+    userId,
+    $and: [occurrenceDateFilter(startDate, endDate)]
+  });
+
+  return [
+    ...meetings.flatMap(meeting => expandOccurrences(meeting, startDate, endDate)),
+    ...busyBlocks.flatMap(block => expandOccurrences(block, startDate, endDate))
+      .map(block => ({ ...block, isBusyBlock: true }))
+  ];
+}
+
+// Get a user's free intervals between two instants, from the hours in an
+// availability schedule (by default their default one, in its timezone) minus
+// their meetings and the buffers around them. Days that reached the user's
+// daily limit are left out, and when someone else is booking (`bookedByOther`)
+// so is time outside their notice and horizon. `eventType` and `buffers`
+// tighten the rules as in checkSchedulingRules.
+async function getUserFreeIntervals(user, rangeStart, rangeEnd, {
+  schedule = resolveSchedule(user),
+  eventType = null,
+  buffers = null,
+  bookedByOther = false,
+  now = new Date()
+} = {}) {
+  const timezone = getScheduleTimezone(user, schedule);
+  const rules = resolveRules(user, { eventType, buffers });
+
+  if (bookedByOther) {
+    const window = getBookingWindow(rules, now);
+    rangeStart = new Date(Math.max(rangeStart.getTime(), window.earliest));
+    rangeEnd = new Date(Math.min(rangeEnd.getTime(), window.latest));
+
+    if (rangeStart >= rangeEnd) {
+      return [];
+    }
+  }
+
+  const firstDate = utcToZonedTime(rangeStart, timezone).date;
+  const lastDate = utcToZonedTime(rangeEnd, timezone).date;
+
+  // Buffers reach up to a day out, and meetings can be stored in any timezone
+  const meetings = await getBlockingMeetingsInRange(user._id, addDays(firstDate, -2), addDays(lastDate, 2));
+
+  const available = [];
+  for (const date of listDates(firstDate, lastDate)) {
+    for (const range of getAvailableRanges(getDayAvailability(user, date, schedule))) {
+      available.push({
+        start: Math.max(zonedTimeToUtc(date, formatMinutes(range.start), timezone).getTime(), rangeStart.getTime()),
+        end: Math.min(zonedTimeToUtc(date, formatMinutes(range.end), timezone).getTime(), rangeEnd.getTime())
+      });
+    }
+  }
+
+  const busy = meetings.map(meeting => getBufferedInterval(meeting, getMeetingInterval(meeting), rules));
+
+  // Days are counted in the user's own timezone, which the schedule's may differ from
+  const userTimezone = user.preferences?.timezone || DEFAULT_TIMEZONE;
+  for (const [date, count] of countMeetingsByDate(meetings, getMeetingInterval, rules, userTimezone)) {
+    if (checkDailyLimits(date, count, rules)) {
+      busy.push({
+        start: zonedTimeToUtc(date, '00:00', userTimezone).getTime(),
+        end: zonedTimeToUtc(addDays(date, 1), '00:00', userTimezone).getTime()
+      });
+    }
+  }
+
+  return subtractIntervals(mergeIntervals(available), mergeIntervals(busy));
+}
+
+// Split free intervals into bookable windows of a duration, with start times
+// aligned to the granularity in the given timezone
+function splitIntoWindows(intervals, duration, granularity, timezone = DEFAULT_TIMEZONE) {
+  if (!(duration > 0) || !(granularity > 0)) {
+    throw new RangeError('Window duration and granularity must be positive numbers of minutes');
+  }
+
+  const durationMs = duration * MINUTE_MS;
+  const granularityMs = granularity * MINUTE_MS;
+  const windows = [];
+
+  for (const interval of intervals) {
+    const offsetMs = getTimezoneOffset(interval.start, timezone) * MINUTE_MS;
+    const alignedLocal = Math.ceil((interval.start + offsetMs) / granularityMs) * granularityMs;
+
+    for (let start = alignedLocal - offsetMs; start + durationMs <= interval.end; start += granularityMs) {
+      const startLocal = utcToZonedTime(start, timezone);
+      const endLocal = utcToZonedTime(start + durationMs, timezone);
+
+      windows.push({
+        date: startLocal.date,
+        startTime: startLocal.time,
+        endTime: endLocal.time,
+        start: new Date(start).toISOString(),
+        end: new Date(start + durationMs).toISOString()
+      });
+    }
+  }
+
+  return windows;
+}
+
+// Get the search range for two dates (inclusive, in the given timezone), never starting in the past
+function getSearchRange(startDate, endDate, timezone = DEFAULT_TIMEZONE) {
+  const rangeStart = zonedTimeToUtc(startDate, '00:00', timezone);
+  const rangeEnd = zonedTimeToUtc(addDays(endDate, 1), '00:00', timezone);
+  const now = new Date();
+  const effectiveStart = rangeStart < now ? now : rangeStart;
+
+  if (effectiveStart >= rangeEnd) {
+    return null;
+  }
+
+  return { start: effectiveStart, end: rangeEnd };
+}
+
+// Check whether merged intervals fully contain [start, end)
+function intervalsContain(intervals, start, end) {
+  return intervals.some(interval => interval.start <= start && interval.end >= end);
+}
+
+// Find windows between two dates (inclusive, in the given timezone) where every
+// user is free. Users other than `bookerId` are held to their notice and horizon
+// and read from their default schedule; the booker from `scheduleId`.
+async function findFreeWindows(users, { startDate, endDate, duration, granularity, timezone = DEFAULT_TIMEZONE, bookerId = null, scheduleId = null }) {
+  const range = getSearchRange(startDate, endDate, timezone);
+
+  if (!range) {
+    return [];
+  }
+
+  let common = [{ start: range.start.getTime(), end: range.end.getTime() }];
+
+  for (const user of users) {
+    const isBooker = Boolean(bookerId) && user._id.toString() === bookerId.toString();
+    const free = await getUserFreeIntervals(user, range.start, range.end, {
+      schedule: resolveSchedule(user, isBooker ? scheduleId : null),
+      bookedByOther: !isBooker
+    });
+    common = intersectIntervals(common, free);
+  }
+
+  return splitIntoWindows(common, duration, granularity, timezone);
+}
+
+// Suggest meeting times where the host and at least `quorum` invitees are free,
+// ranked by attendance and then by start time. Invitees are held to their notice
+// and horizon. The host's hours come from `scheduleId`, or their default schedule.
+async function suggestMeetingTimes(host, invitees, {
+  startDate,
+  endDate,
+  duration,
+  granularity,
+  quorum = invitees.length,
+  limit = 10,
+  timezone = DEFAULT_TIMEZONE,
+  scheduleId = null
+}) {
+  const range = getSearchRange(startDate, endDate, timezone);
+
+  if (!range) {
+    return [];
+  }
+
+  const hostFree = await getUserFreeIntervals(host, range.start, range.end, {
+    schedule: resolveSchedule(host, scheduleId)
+  });
+
+  const inviteeFree = [];
+  for (const invitee of invitees) {
+    inviteeFree.push({
+      email: invitee.email,
+      intervals: await getUserFreeIntervals(invitee, range.start, range.end, { bookedByOther: true })
+    });
+  }
+
+  const candidates = [];
+
+  for (const window of splitIntoWindows(hostFree, duration, granularity, timezone)) {
+    const start = new Date(window.start).getTime();
+    const end = new Date(window.end).getTime();
+
+    const available = [];
+    const unavailable = [];
+
+    for (const invitee of inviteeFree) {
+      if (intervalsContain(invitee.intervals, start, end)) {
+        available.push(invitee.email);
+      } else {
+        unavailable.push(invitee.email);
+      }
+    }
+
+    if (available.length >= quorum) {
+      candidates.push({
+        ...window,
+        availableCount: available.length,
+        totalInvitees: invitees.length,
+        available,
+        unavailable
+      });
+    }
+  }
+
+  candidates.sort((a, b) => b.availableCount - a.availableCount || a.start.localeCompare(b.start));
+
+  return candidates.slice(0, limit);
+}
+
+// Get the intervals a user is busy between two instants: their meetings and
+// imported busy time, without buffers, merged and clipped to the range
+async function getUserBusyIntervals(user, rangeStart, rangeEnd) {
+  const timezone = user.preferences?.timezone || DEFAULT_TIMEZONE;
+  const firstDate = utcToZonedTime(rangeStart, timezone).date;
+  const lastDate = utcToZonedTime(rangeEnd, timezone).date;
+
+  // Meetings can be stored in any timezone, so look one day either side
+  const meetings = await getBlockingMeetingsInRange(user._id, addDays(firstDate, -1), addDays(lastDate, 1));
+
+  return mergeIntervals(meetings.map(meeting => {
+    const interval = getMeetingInterval(meeting);
+    return {
+      start: Math.max(interval.start, rangeStart.getTime()),
+      end: Math.min(interval.end, rangeEnd.getTime())
+    };
+  }));
+}
+
+// Free/busy of several users between two dates (inclusive, in the given
+// timezone): each user's free time (their default schedule's hours minus their
+// meetings and rules) and busy time, and the time when all of them are free.
+// Intervals are { start, end } ISO strings; meeting details aren't included.
+async function getFreeBusy(users, { startDate, endDate, timezone = DEFAULT_TIMEZONE }) {
+  const range = getSearchRange(startDate, endDate, timezone);
+
+  if (!range) {
+    return { users: [], commonFree: [] };
+  }
+
+  const toIso = intervals => intervals.map(interval => ({
+    start: new Date(interval.start).toISOString(),
+    end: new Date(interval.end).toISOString()
+  }));
+
+  const results = [];
+  let common = [{ start: range.start.getTime(), end: range.end.getTime() }];
+
+  for (const user of users) {
+    const free = await getUserFreeIntervals(user, range.start, range.end);
+    const busy = await getUserBusyIntervals(user, range.start, range.end);
+
+    common = intersectIntervals(common, free);
+    results.push({ user, free: toIso(free), busy: toIso(busy) });
+  }
+
+  return { users: results, commonFree: toIso(common) };
+}
+
+module.exports = {
+  DAYS_OF_WEEK,
+  parseTimeToMinutes,
+  formatMinutes,
+  rangesOverlap,
+  getDayOfWeek,
+  findTimeOff,
+  getDayAvailability,
+  findDayOff,
+  getAvailableRanges,
+  findUserByIdOrEmail,
+  checkTimeConflict,
+  findEarlierOverlap,
+  checkSchedulingRules,
+  isWithinAvailability,
+  getOpenSlots,
+  mergeIntervals,
+  subtractIntervals,
+  intersectIntervals,
+  getMeetingInterval,
+  getBlockingMeetingsInRange,
+  getUserFreeIntervals,
+  splitIntoWindows,
+  getSearchRange,
+  intervalsContain,
+  findFreeWindows,
+  suggestMeetingTimes,
+  getUserBusyIntervals,
+  getFreeBusy
+};
@@ -0,0 +1,252 @@
+const { DEFAULT_TIMEZONE, MINUTE_MS, utcToZonedTime } = require('./timezone');
+
+// Scheduling rules a user keeps on their calendar. Event types can tighten them
+// for meetings booked from them, but never loosen them.
+//
+//   bufferBefore / bufferAfter  minutes kept free around each meeting
+//   minimumNotice               minutes between booking and the meeting's start
+//   maxHorizonDays              how many days ahead the user can be booked (unset: no limit)
+//   maxMeetingsPerDay           meetings per day on the user's calendar (unset: no limit)
+//
+// Notice and horizon protect a user from others booking them; they don't apply
+// to meetings a user puts on their own calendar. Buffers and the daily limit always apply.
+const RULE_FIELDS = ['bufferBefore', 'bufferAfter', 'minimumNotice', 'maxHorizonDays', 'maxMeetingsPerDay'];
+
+// Rules that are a limit; the rest are minutes and default to 0
+const LIMIT_FIELDS = ['maxHorizonDays', 'maxMeetingsPerDay'];
+
+const MAX_VALUES = {
+  bufferBefore: 24 * 60,
+  bufferAfter: 24 * 60,
+  minimumNotice: 30 * 24 * 60,
+  maxHorizonDays: 2 * 365,
+  maxMeetingsPerDay: 100
+};
+
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Check a partial update of a user's rules. null clears a limit (or resets
+// minutes to 0). Returns { rules } with only the given fields, or { errors: [{ field, message }] }.
+function validateRules(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: [{ field: 'rules', message: `Please provide any of: ${RULE_FIELDS.join(', ')}` }] };
+  }
+
+  const rules = {};
+  const errors = [];
+
+  for (const field of RULE_FIELDS) {
+    const value = input[field];
+
+    if (value === undefined) continue;
+
+    if (value === null) {
+      rules[field] = LIMIT_FIELDS.includes(field) ? null : 0;
+      continue;
+    }
+
+    const min = LIMIT_FIELDS.includes(field) ? 1 : 0;
+
+    if (!Number.isInteger(value) || value < min || value > MAX_VALUES[field]) {
+      errors.push({ field, message: `${field} must be a whole number between ${min} and ${MAX_VALUES[field]}` });
+      continue;
+    }
+
+    rules[field] = value;
+  }
+
+  return errors.length > 0 ? { errors } : { rules };
+}
+
+// A user's own rules, with defaults filled in
+function getUserRules(user) {
+  const own = user?.preferences?.schedulingRules || {};
+
+  return {
+    bufferBefore: own.bufferBefore || 0,
+    bufferAfter: own.bufferAfter || 0,
+    minimumNotice: own.minimumNotice || 0,
+    maxHorizonDays: own.maxHorizonDays || null,
+    maxMeetingsPerDay: own.maxMeetingsPerDay || null
+  };
+}
+
+// The smaller of two optional limits
+function tighterLimit(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return Math.min(a, b);
+}
+
+// Work out the rules for placing a meeting on a user's calendar: the user's
+// own, tightened by the event type it's booked from and by the meeting's own
+// buffers (`buffers`, e.g. the meeting being rescheduled)
+function resolveRules(user, { eventType = null, buffers = null } = {}) {
+  const own = getUserRules(user);
+
+  return {
+    ...own,
+    // The user's buffers also pad the meetings already on their calendar
+    userBufferBefore: own.bufferBefore,
+    userBufferAfter: own.bufferAfter,
+    bufferBefore: Math.max(own.bufferBefore, eventType?.bufferBefore || 0, buffers?.bufferBefore || 0),
+    bufferAfter: Math.max(own.bufferAfter, eventType?.bufferAfter || 0, buffers?.bufferAfter || 0),
+    minimumNotice: Math.max(own.minimumNotice, eventType?.minimumNotice || 0),
+    maxHorizonDays: tighterLimit(own.maxHorizonDays, eventType?.maxHorizonDays),
+    maxBookingsPerDay: eventType?.maxBookingsPerDay || null,
+    eventType
+  };
+}
+
+// The earliest and latest instants someone else can book a user for
+function getBookingWindow(rules, now = new Date()) {
+  return {
+    earliest: now.getTime() + rules.minimumNotice * MINUTE_MS,
+    latest: rules.maxHorizonDays ? now.getTime() + rules.maxHorizonDays * DAY_MS : Infinity
+  };
+}
+
+// Pad an existing meeting's interval ({ start, end } in ms) with the time that
+// must stay free around it when placing a new meeting: the larger of its own
+// buffer, the user's and the new meeting's facing buffer on each side
+function getBufferedInterval(occurrence, interval, rules) {
+  const before = Math.max(occurrence.bufferBefore || 0, rules.userBufferBefore, rules.bufferAfter);
+  const after = Math.max(occurrence.bufferAfter || 0, rules.userBufferAfter, rules.bufferBefore);
+
+  return {
+    start: interval.start - before * MINUTE_MS,
+    end: interval.end + after * MINUTE_MS,
+    before,
+    after
+  };
+}
+
+// Count the meetings (not imported busy time) on each local date of the
+// user's calendar: Map of date -> { total, eventType }, where eventType counts
+// the ones booked from the rules' event type
+function countMeetingsByDate(occurrences, getInterval, rules, timezone = DEFAULT_TIMEZONE) {
+  const counts = new Map();
+  const eventTypeId = rules.eventType?._id?.toString();
+
+  for (const occurrence of occurrences) {
+    if (occurrence.isBusyBlock) continue;
+
+    const { date } = utcToZonedTime(getInterval(occurrence).start, timezone);
+    const count = counts.get(date) || { total: 0, eventType: 0 };
+
+    count.total++;
+    if (eventTypeId && occurrence.eventTypeId && occurrence.eventTypeId.toString() === eventTypeId) {
+      count.eventType++;
+    }
+
+    counts.set(date, count);
+  }
+
+  return counts;
+}
+
+// Whether a day's count has reached the daily limits. Returns a violation or null.
+function checkDailyLimits(date, count = { total: 0, eventType: 0 }, rules) {
+  if (rules.maxMeetingsPerDay && count.total >= rules.maxMeetingsPerDay) {
+    return {
+      rule: 'daily-limit',
+      message: `Already has ${count.total} meeting${count.total === 1 ? '' : 's'} on ${date} (limit ${rules.maxMeetingsPerDay} a day)`
+    };
+  }
+
+  if (rules.maxBookingsPerDay && count.eventType >= rules.maxBookingsPerDay) {
+    return {
+      rule: 'event-type-daily-limit',
+      message: `"${rules.eventType.title}" is fully booked on ${date} (limit ${rules.maxBookingsPerDay} a day)`
+    };
+  }
+
+  return null;
+}
+
+// Describe a number of minutes, e.g. "90 minutes", "2 hours", "1 day"
+function describeMinutes(minutes) {
+  if (minutes > 0 && minutes % (24 * 60) === 0) {
+    const days = minutes / (24 * 60);
+    return `${days} day${days === 1 ? '' : 's'}`;
+  }
+
+  if (minutes > 0 && minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+// Check a proposed meeting ({ start, end } in ms) against resolved rules and the
+// meetings already on the user's calendar. Meetings that overlap it outright are
+// conflicts, which checkTimeConflict reports. Returns a list of { rule, message }.
+function findRuleViolations(proposed, occurrences, getInterval, rules, {
+  bookedByOther = false,
+  now = new Date(),
+  timezone = DEFAULT_TIMEZONE
+} = {}) {
+  const violations = [];
+
+  if (bookedByOther) {
+    const window = getBookingWindow(rules, now);
+
+    if (proposed.start < window.earliest) {
+      violations.push({
+        rule: 'minimum-notice',
+        message: `Needs at least ${describeMinutes(rules.minimumNotice)} notice`
+      });
+    }
+
+    if (proposed.start > window.latest) {
+      violations.push({
+        rule: 'booking-horizon',
+        message: `Can't be booked more than ${rules.maxHorizonDays} days ahead`
+      });
+    }
+  }
+
+  for (const occurrence of occurrences) {
+    const interval = getInterval(occurrence);
+
+    if (proposed.start < interval.end && interval.start < proposed.end) continue;
+
+    const padded = getBufferedInterval(occurrence, interval, rules);
+
+    if (proposed.start < padded.end && padded.start < proposed.end) {
+      violations.push(proposed.start >= interval.end
+        ? {
+          rule: 'buffer',
+          message: `Needs ${describeMinutes(padded.after)} free after "${occurrence.title}"`,
+          meetingId: occurrence._id
+        }
+        : {
+          rule: 'buffer',
+          message: `Needs ${describeMinutes(padded.before)} free before "${occurrence.title}"`,
+          meetingId: occurrence._id
+        });
+    }
+  }
+
+  const { date } = utcToZonedTime(proposed.start, timezone);
+  const dailyLimit = checkDailyLimits(date, countMeetingsByDate(occurrences, getInterval, rules, timezone).get(date), rules);
+
+  if (dailyLimit) {
+    violations.push(dailyLimit);
+  }
+
+  return violations;
+}
+
+module.exports = {
+  RULE_FIELDS,
+  validateRules,
+  getUserRules,
+  resolveRules,
+  getBookingWindow,
+  getBufferedInterval,
+  countMeetingsByDate,
+  checkDailyLimits,
+  findRuleViolations
+};
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+// Signing in starts a session: a refresh token the client trades for new
+// short-lived access tokens. Each trade rotates the refresh token. A token that
+// was already rotated out can only be presented again by someone who copied
+// it, so that ends the whole session. Sessions last a fixed time from sign-in.
+const DEFAULT_REFRESH_EXPIRE_DAYS = 30;
+
+// Rotated-out tokens remembered per session
+const MAX_PREVIOUS_TOKENS = 50;
+
+function getRefreshExpireDays() {
+  return parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || DEFAULT_REFRESH_EXPIRE_DAYS;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Refresh tokens are "<sessionId>.<random secret>"
+function generateRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+}
+
+// Split a refresh token into its session id and hash, or null if it's malformed
+function parseRefreshToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const [sessionId, secret] = token.split('.');
+
+  if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+
+  return { sessionId, hash: hashToken(token) };
+}
+
+// Summarize a user agent, e.g. "Firefox on macOS"
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari'],
+    [/PostmanRuntime/, 'Postman'],
+    [/curl\//, 'curl']
+  ].find(([pattern]) => pattern.test(userAgent));
+
+  const os = [
+    [/Windows/, 'Windows'],
+    [/iPhone|iPad/, 'iOS'],
+    [/Android/, 'Android'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/Linux/, 'Linux']
+  ].find(([pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return 'Unknown device';
+  if (!os) return browser[1];
+  if (!browser) return os[1];
+
+  return `${browser[1]} on ${os[1]}`;
+}
+
+// Where a request comes from
+function getClientInfo(req) {
+  const userAgent = req.get('user-agent') || undefined;
+
+  return {
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip
+  };
+}
+
+// Start a session for a user signing in from a request.
+// Returns { session, refreshToken }.
+async function createSession(user, req) {
+  const session = new Session({
+    userId: user._id,
+    tokenVersion: user.tokenVersion,
+    expiresAt: new Date(Date.now() + getRefreshExpireDays() * 24 * 60 * 60 * 1000),
+    ...getClientInfo(req)
+  });
+
+  const refreshToken = generateRefreshToken(session._id);
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { session, refreshToken };
+}
+
+// End a session
+async function revokeSession(sessionId, reason) {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+}
+
+// End every session of a user, optionally except one. Returns how many ended.
+async function revokeUserSessions(userId, reason, { except = null } = {}) {
+  const result = await Session.updateMany(
+    { userId, revokedAt: null, ...(except ? { _id: { $ne: except } } : {}) },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  return result.modifiedCount;
+}
+
+// Trade a refresh token for a new one. Returns { user, session, refreshToken },
+// or { error, statusCode } when the token can't be used.
+async function rotateSession(refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+
+  if (!parsed) {
+    return { error: 'Invalid refresh token', statusCode: 401 };
+  }
+
+  const session = await Session.findById(parsed.sessionId).select('+tokenHash +previousTokenHashes');
+
+  if (!session || (session.tokenHash !== parsed.hash && !session.previousTokenHashes.includes(parsed.hash))) {
+    return { error: 'Invalid refresh token', statusCode: 401 };
+  }
+
+  if (session.revokedAt) {
+    return { error: 'This session has ended, please login again', statusCode: 401 };
+  }
+
+  if (session.tokenHash !== parsed.hash) {
+    console.warn(`Refresh token reuse detected on session ${session._id} of user ${session.userId}; ending the session`);
+    await revokeSession(session._id, 'reuse-detected');
+    return { error: 'This session has ended, please login again', statusCode: 401 };
+  }
+
+  if (session.expiresAt < new Date()) {
+    return { error: 'This session has expired, please login again', statusCode: 401 };
+  }
+
+  // Signing out everywhere and changing the password bump the token version
+  const user = await User.findById(session.userId);
+
+  if (!user || !user.isActive || user.tokenVersion !== session.tokenVersion) {
+    await revokeSession(session._id, 'signed-out-everywhere');
+    return { error: 'This session has ended, please login again', statusCode: 401 };
+  }
+
+  // Rotate only if nobody else rotated it first; a concurrent use of the same
+  // token is treated as reuse
+  const nextToken = generateRefreshToken(session._id);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: parsed.hash, revokedAt: null },
+    {
+      $set: { tokenHash: hashToken(nextToken), lastUsedAt: new Date(), ...getClientInfo(req) },
+      $push: { previousTokenHashes: { $each: [parsed.hash], $slice: -MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    console.warn(`Refresh token reuse detected on session ${session._id} of user ${session.userId}; ending the session`);
+    await revokeSession(session._id, 'reuse-detected');
+    return { error: 'This session has ended, please login again', statusCode: 401 };
+  }
+
+  return { user, session: rotated, refreshToken: nextToken };
+}
+
+// Whether a session (named in an access token) is still going
+async function isSessionActive(sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+
+  return Boolean(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+}
+
+// A user's sessions that are still going, most recently used first
+function findActiveSessions(userId) {
+  return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastUsedAt: -1 });
+}
+
+// The view of a session for its user
+function summarizeSession(session, currentSessionId = null) {
+  return {
+    id: session._id,
+    device: session.device,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    isCurrent: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString()
+  };
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  isSessionActive,
+  findActiveSessions,
+  summarizeSession
+};
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const { STAFF_ROLES, TEAM_MANAGER_ROLES, sameId, hasRole, findTeamMember, hasTeamRole } = require('./permissions');
+
+// The teams a user belongs to
+function findUserTeams(userId) {
+  return Team.find({ 'members.userId': userId }).sort({ name: 1 });
+}
+
+// A team by id, but only if the user belongs to it; null otherwise (also for
+// ids that aren't valid), so non-members can't tell the team exists
+async function findMemberTeam(teamId, user) {
+  if (!mongoose.isValidObjectId(teamId)) return null;
+
+  const team = await Team.findById(teamId);
+
+  return team && findTeamMember(team, user) ? team : null;
+}
+
+// A team by id, but only if the user owns or administers it; null otherwise
+async function findManagedTeam(teamId, user) {
+  const team = await findMemberTeam(teamId, user);
+
+  return team && hasTeamRole(team, user, ...TEAM_MANAGER_ROLES) ? team : null;
+}
+
+// Whether two users are in a team together
+async function shareTeam(userId, otherUserId) {
+  return Boolean(await Team.exists({ 'members.userId': { $all: [userId, otherUserId] } }));
+}
+
+// Whether a viewer may see a user's availability: their own, a teammate's,
+// or anyone's for support staff and admins
+async function canViewAvailability(viewer, user) {
+  if (sameId(viewer, user)) return true;
+  if (hasRole(viewer, ...STAFF_ROLES)) return true;
+
+  return shareTeam(viewer._id, user._id);
+}
+
+module.exports = {
+  findUserTeams,
+  findMemberTeam,
+  findManagedTeam,
+  shareTeam,
+  canViewAvailability
+};
@@ -0,0 +1,262 @@
+// Validation and normalization of the times and slots users send us. Every
+// write of availability or meeting times goes through here, so what's stored
+// is always 24-hour "HH:MM" and slots never overlap.
+
+const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const TIME_24H = /^(\d{1,2}):(\d{2})$/;
+const TIME_12H = /^(\d{1,2}):(\d{2})\s*([AaPp][Mm])$/;
+const DATE_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parse "HH:MM" (24-hour) or "h:mm AM/PM" to minutes since midnight. "24:00"
+// is allowed, as the end of a day. Returns null for anything else.
+function parseTime(value) {
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim();
+  let match = text.match(TIME_24H);
+
+  if (match) {
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+
+    if (minutes > 59 || hours > 24 || (hours === 24 && minutes > 0)) return null;
+    return hours * 60 + minutes;
+  }
+
+  match = text.match(TIME_12H);
+
+  if (match) {
+    let hours = Number(match[1]);
+    const minutes = Number(match[2]);
+
+    if (hours < 1 || hours > 12 || minutes > 59) return null;
+
+    const isPm = match[3].toUpperCase() === 'PM';
+    if (isPm && hours < 12) hours += 12;
+    if (!isPm && hours === 12) hours = 0;
+
+    return hours * 60 + minutes;
+  }
+
+  return null;
+}
+
+// Format minutes since midnight as "HH:MM"
+function formatTime(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+// Check a "YYYY-MM-DD" string is a real date
+function isValidDate(date) {
+  return typeof date === 'string' &&
+    DATE_FORMAT.test(date) &&
+    !isNaN(Date.parse(`${date}T00:00:00Z`)) &&
+    new Date(`${date}T00:00:00Z`).toISOString().startsWith(date);
+}
+
+// Validate a list of slots ({ startTime, endTime }) and normalize it: times in
+// 24-hour format, sorted, with overlapping and touching slots merged. Slots with
+// both times blank are placeholders and dropped. `field` prefixes the error
+// paths. Returns { slots } or { errors: [{ field, message }] }.
+function validateSlots(slots, field = 'slots') {
+  if (slots === undefined || slots === null) {
+    return { slots: [] };
+  }
+
+  if (!Array.isArray(slots)) {
+    return { errors: [{ field, message: 'Slots must be a list' }] };
+  }
+
+  const errors = [];
+  const ranges = [];
+
+  slots.forEach((slot, index) => {
+    const path = `${field}[${index}]`;
+
+    if (!slot || typeof slot !== 'object') {
+      errors.push({ field: path, message: 'Slot must have a startTime and an endTime' });
+      return;
+    }
+
+    if (!slot.startTime && !slot.endTime) return;
+
+    const start = parseTime(slot.startTime);
+    const end = parseTime(slot.endTime);
+
+    if (start === null) {
+      errors.push({ field: `${path}.startTime`, message: `"${slot.startTime || ''}" is not a valid time; use HH:MM or h:mm AM/PM` });
+    }
+
+    if (end === null) {
+      errors.push({ field: `${path}.endTime`, message: `"${slot.endTime || ''}" is not a valid time; use HH:MM or h:mm AM/PM` });
+    }
+
+    if (start === null || end === null) return;
+
+    if (start === MINUTES_PER_DAY) {
+      errors.push({ field: `${path}.startTime`, message: 'A slot cannot start at 24:00' });
+    } else if (end <= start) {
+      errors.push({ field: `${path}.endTime`, message: `Slot must end after it starts (${formatTime(start)})` });
+    } else {
+      ranges.push({ start, end });
+    }
+  });
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const merged = [];
+
+  for (const range of ranges.sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+
+  return {
+    slots: merged.map(range => ({ startTime: formatTime(range.start), endTime: formatTime(range.end) }))
+  };
+}
+
+// Validate one day of availability ({ day?, isAvailable, slots }). A day that
+// isn't available has no slots. `field` prefixes the error paths (none for a
+// request body that is the day itself). Returns { entry } or { errors }.
+function validateDay(entry, field = '', { requireDay = true } = {}) {
+  if (!entry || typeof entry !== 'object') {
+    return { errors: [{ field: field || 'availability', message: 'Please provide the day\'s availability' }] };
+  }
+
+  const errors = [];
+  const prefix = field ? `${field}.` : '';
+
+  if (requireDay && !DAY_NAMES.includes(entry.day)) {
+    errors.push({ field: `${prefix}day`, message: `Day must be one of ${DAY_NAMES.join(', ')}` });
+  }
+
+  if (entry.isAvailable !== undefined && typeof entry.isAvailable !== 'boolean') {
+    errors.push({ field: `${prefix}isAvailable`, message: 'isAvailable must be true or false' });
+  }
+
+  const isAvailable = entry.isAvailable !== false;
+  const result = isAvailable ? validateSlots(entry.slots, `${prefix}slots`) : { slots: [] };
+
+  if (result.errors) {
+    errors.push(...result.errors);
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    entry: {
+      ...(requireDay ? { day: entry.day } : {}),
+      isAvailable,
+      slots: result.slots
+    }
+  };
+}
+
+// Validate a whole weekly availability: a list of days, each at most once.
+// Returns { availability } or { errors }.
+function validateWeeklyAvailability(availability, field = 'availability') {
+  if (!Array.isArray(availability)) {
+    return { errors: [{ field, message: 'Availability must be a list of days' }] };
+  }
+
+  const errors = [];
+  const days = [];
+  const seen = new Set();
+
+  availability.forEach((entry, index) => {
+    const result = validateDay(entry, `${field}[${index}]`);
+
+    if (result.errors) {
+      errors.push(...result.errors);
+      return;
+    }
+
+    if (seen.has(result.entry.day)) {
+      errors.push({ field: `${field}[${index}].day`, message: `${result.entry.day} is listed more than once` });
+      return;
+    }
+
+    seen.add(result.entry.day);
+    days.push(result.entry);
+  });
+
+  return errors.length > 0 ? { errors } : { availability: days };
+}
+
+// Validate the date and times of a meeting. Only the fields present are
+// checked, besides the `required` ones; `current` (e.g. the meeting being
+// edited) fills in the rest when checking that the end comes after the start.
+// Returns { times } with the canonical values that were given, or { errors }.
+function validateMeetingTimes(input, { required = [], current = {} } = {}) {
+  const errors = [];
+  const times = {};
+
+  for (const field of ['date', 'startTime', 'endTime']) {
+    if (input[field] === undefined || input[field] === null || input[field] === '') {
+      if (required.includes(field)) {
+        errors.push({ field, message: `Please provide ${field}` });
+      }
+      continue;
+    }
+
+    if (field === 'date') {
+      if (isValidDate(input.date)) {
+        times.date = input.date;
+      } else {
+        errors.push({ field, message: 'Date must be a valid YYYY-MM-DD date' });
+      }
+      continue;
+    }
+
+    const minutes = parseTime(input[field]);
+
+    if (minutes === null) {
+      errors.push({ field, message: `"${input[field]}" is not a valid time; use HH:MM or h:mm AM/PM` });
+    } else {
+      times[field] = formatTime(minutes);
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const start = parseTime(times.startTime || current.startTime);
+  const end = parseTime(times.endTime || current.endTime);
+
+  if (start === MINUTES_PER_DAY) {
+    return { errors: [{ field: 'startTime', message: 'A meeting cannot start at 24:00' }] };
+  }
+
+  if (start !== null && end !== null && end <= start) {
+    return { errors: [{ field: 'endTime', message: 'End time must be after the start time' }] };
+  }
+
+  return { times };
+}
+
+module.exports = {
+  DAY_NAMES,
+  parseTime,
+  formatTime,
+  isValidDate,
+  validateSlots,
+  validateDay,
+  validateWeeklyAvailability,
+  validateMeetingTimes
+};
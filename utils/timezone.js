@@ -0,0 +1,148 @@
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const formatterCache = {};
+
+// Get (and cache) an Intl formatter that renders the parts of an instant in a zone
+function getFormatter(timezone) {
+  if (!formatterCache[timezone]) {
+    formatterCache[timezone] = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+
+  return formatterCache[timezone];
+}
+
+// Check that a string is a valid IANA timezone name
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Get the wall-clock parts of an instant in a timezone
+function getZonedParts(instant, timezone = DEFAULT_TIMEZONE) {
+  const parts = {};
+  getFormatter(timezone).formatToParts(new Date(instant)).forEach(part => {
+    if (part.type !== 'literal') {
+      parts[part.type] = Number(part.value);
+    }
+  });
+  return parts;
+}
+
+// Get the UTC offset of a timezone at an instant, in minutes
+function getTimezoneOffset(instant, timezone = DEFAULT_TIMEZONE) {
+  const parts = getZonedParts(instant, timezone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const time = new Date(instant).getTime();
+  return Math.round((asUtc - (time - (time % 1000))) / MINUTE_MS);
+}
+
+// Convert a wall-clock date ("YYYY-MM-DD") and time ("HH:MM") in a timezone to a UTC Date
+function zonedTimeToUtc(date, time, timezone = DEFAULT_TIMEZONE) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = (time || '00:00').split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // Try the offsets in force a day either side; at most one DST change falls in between
+  const offsetBefore = getTimezoneOffset(wallClock - DAY_MS, timezone);
+  const offsetAfter = getTimezoneOffset(wallClock + DAY_MS, timezone);
+  const matches = [...new Set([offsetBefore, offsetAfter])]
+    .map(offset => wallClock - offset * MINUTE_MS)
+    .filter(instant => getTimezoneOffset(instant, timezone) === (wallClock - instant) / MINUTE_MS);
+
+  // A time that happens twice (clocks going back) is the first of them; one that
+  // never happens (clocks going forward) is moved on by the size of the gap
+  return new Date(matches.length > 0 ? Math.min(...matches) : wallClock - offsetBefore * MINUTE_MS);
+}
+
+// Render an instant as a wall-clock date ("YYYY-MM-DD") and time ("HH:MM") in a timezone
+function utcToZonedTime(instant, timezone = DEFAULT_TIMEZONE) {
+  const parts = getZonedParts(instant, timezone);
+  const pad = value => String(value).padStart(2, '0');
+
+  return {
+    date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+    time: `${pad(parts.hour)}:${pad(parts.minute)}`
+  };
+}
+
+// Add days to a "YYYY-MM-DD" date string
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+// List every "YYYY-MM-DD" date from startDate to endDate inclusive
+function listDates(startDate, endDate) {
+  const dates = [];
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+// Pick the timezone to render times in: a valid requested zone, else the user's preference
+function resolveViewerTimezone(requested, user) {
+  if (requested && isValidTimezone(requested)) {
+    return requested;
+  }
+
+  return (user && user.preferences && user.preferences.timezone) || DEFAULT_TIMEZONE;
+}
+
+// Add UTC instants and the meeting's times rendered in a viewer's timezone
+function localizeMeeting(meeting, viewerTimezone) {
+  if (!meeting.date || !meeting.startTime || !meeting.endTime) {
+    return meeting;
+  }
+
+  const timezone = meeting.timezone || DEFAULT_TIMEZONE;
+  const start = zonedTimeToUtc(meeting.date, meeting.startTime, timezone);
+  const end = zonedTimeToUtc(meeting.date, meeting.endTime, timezone);
+  const localStart = utcToZonedTime(start, viewerTimezone);
+  const localEnd = utcToZonedTime(end, viewerTimezone);
+
+  return {
+    ...meeting,
+    start: start.toISOString(),
+    end: end.toISOString(),
+    viewerTimezone,
+    local: {
+      date: localStart.date,
+      startTime: localStart.time,
+      endDate: localEnd.date,
+      endTime: localEnd.time
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  MINUTE_MS,
+  DAY_MS,
+  isValidTimezone,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  utcToZonedTime,
+  addDays,
+  listDates,
+  resolveViewerTimezone,
+  localizeMeeting
+};
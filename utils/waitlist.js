@@ -0,0 +1,53 @@
+// Seats and the waitlist of meetings with a capacity. The host doesn't take a
+// seat; every other accepted participant does. Acceptances past the capacity
+// are waitlisted and seated in the order they joined when seats free up.
+
+function isHost(meeting, participant) {
+  return Boolean(participant.userId) && participant.userId.toString() === meeting.hostId.toString();
+}
+
+// Number of seats taken
+function countTakenSeats(meeting) {
+  return meeting.participants.filter(p => p.status === 'accepted' && !isHost(meeting, p)).length;
+}
+
+// Number of seats still free (Infinity without a capacity)
+function countOpenSeats(meeting) {
+  if (!meeting.capacity) return Infinity;
+  return Math.max(meeting.capacity - countTakenSeats(meeting), 0);
+}
+
+// Waitlisted participants, first in line first
+function getWaitlist(meeting) {
+  return meeting.participants
+    .filter(p => p.status === 'waitlisted')
+    .sort((a, b) => (a.waitlistedAt || 0) - (b.waitlistedAt || 0));
+}
+
+// A participant's place on the waitlist (1 is next), or null when they aren't on it
+function getWaitlistPosition(meeting, participant) {
+  const index = getWaitlist(meeting).indexOf(participant);
+  return index === -1 ? null : index + 1;
+}
+
+// Move people from the front of the waitlist into free seats. Changes the
+// meeting without saving it; returns the participants that got a seat.
+function promoteFromWaitlist(meeting, now = new Date()) {
+  const promoted = getWaitlist(meeting).slice(0, countOpenSeats(meeting));
+
+  promoted.forEach(participant => {
+    participant.status = 'accepted';
+    participant.responseAt = now;
+    participant.waitlistedAt = undefined;
+  });
+
+  return promoted;
+}
+
+module.exports = {
+  countTakenSeats,
+  countOpenSeats,
+  getWaitlist,
+  getWaitlistPosition,
+  promoteFromWaitlist
+};
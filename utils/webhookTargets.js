@@ -0,0 +1,124 @@
+const dns = require('dns');
+const net = require('net');
+
+// Addresses webhooks may never be sent to: this server's own network, cloud
+// metadata endpoints and anything else not on the public internet
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  // IPv6 forms that carry an IPv4 address (NAT64, Teredo and 6to4), which
+  // could be one of the private ones above
+  ['64:ff9b::', 96, 'ipv6'],
+  ['64:ff9b:1::', 48, 'ipv6'],
+  ['2001::', 32, 'ipv6'],
+  ['2002::', 16, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+// Loopback addresses, allowed only with WEBHOOK_ALLOW_LOCALHOST=true so the
+// local receiver (scripts/webhook-receiver.js) can be used in development
+const LOOPBACK_RANGES = [
+  ['127.0.0.0', 8, 'ipv4'],
+  ['::1', 128, 'ipv6']
+];
+
+function buildBlockList(ranges) {
+  const list = new net.BlockList();
+  ranges.forEach(([address, prefix, type]) => list.addSubnet(address, prefix, type));
+  return list;
+}
+
+const blocked = buildBlockList(BLOCKED_RANGES);
+const loopback = buildBlockList(LOOPBACK_RANGES);
+
+function allowsLocalhost() {
+  return process.env.WEBHOOK_ALLOW_LOCALHOST === 'true';
+}
+
+// Whether webhooks may be sent to an IP address. IPv4 addresses mapped into
+// IPv6 (::ffff:127.0.0.1) are checked as IPv4.
+function isAllowedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const ip = mapped ? mapped[1] : address;
+  const type = net.isIPv4(ip) ? 'ipv4' : 'ipv6';
+
+  if (!net.isIP(ip)) return false;
+  if (loopback.check(ip, type)) return allowsLocalhost();
+
+  return !blocked.check(ip, type);
+}
+
+// dns.lookup for outgoing webhook requests that refuses blocked addresses. The
+// request connects to the address checked here, so a name can't pass the check
+// and then resolve somewhere else.
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const refused = addresses.find(({ address }) => !isAllowedAddress(address));
+    if (refused) {
+      const blockedError = new Error(`Webhook URL resolves to a blocked address (${refused.address})`);
+      blockedError.code = 'EBLOCKEDADDRESS';
+      return callback(blockedError);
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Check a URL can be used as a webhook: http(s), and its host resolves only to
+// public addresses. Returns an error message, or null when it's fine.
+async function checkWebhookUrl(url) {
+  if (!url) {
+    return 'Please provide a webhook URL';
+  }
+
+  let parsed;
+
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'Webhook URL is not valid';
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'Webhook URL must start with http:// or https://';
+  }
+
+  if (parsed.username || parsed.password) {
+    return 'Webhook URL must not contain credentials';
+  }
+
+  // URL keeps IPv6 hosts in brackets
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    return `Could not resolve ${hostname}`;
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => !isAllowedAddress(address))) {
+    return 'Webhook URL must point to a public address';
+  }
+
+  return null;
+}
+
+module.exports = {
+  isAllowedAddress,
+  safeLookup,
+  checkWebhookUrl
+};
@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { subscribe } = require('./meetingEvents');
+const { MINUTE_MS } = require('./timezone');
+const { safeLookup } = require('./webhookTargets');
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const CLAIM_MS = 2 * MINUTE_MS;
+
+// Wait before each retry: 1m, 5m, 30m, 2h, 12h. After the last one the delivery fails.
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+
+// Fields of a meeting that are never sent to webhooks
+const PRIVATE_MEETING_FIELDS = ['password', '__v'];
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Signature of a delivery: HMAC-SHA256 over "<timestamp>.<raw body>", hex encoded
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function serializeMeeting(meeting) {
+  const data = typeof meeting.toObject === 'function' ? meeting.toObject() : { ...meeting };
+  PRIVATE_MEETING_FIELDS.forEach(field => delete data[field]);
+  return data;
+}
+
+// Everyone involved in a meeting whose webhooks should hear about it
+function getInterestedUserIds(meeting) {
+  const ids = [meeting.hostId, ...(meeting.participants || []).map(p => p.userId)]
+    .filter(Boolean)
+    .map(id => id.toString());
+  return [...new Set(ids)];
+}
+
+// Record one delivery per matching webhook, then try to send them straight away
+async function enqueueWebhookDeliveries(event, { meeting, invitation }) {
+  const webhooks = await Webhook.find({
+    userId: { $in: getInterestedUserIds(meeting) },
+    events: event,
+    isActive: true
+  });
+
+  if (webhooks.length === 0) return [];
+
+  const eventId = crypto.randomUUID();
+  const payload = {
+    id: eventId,
+    event,
+    createdAt: new Date().toISOString(),
+    data: {
+      meeting: serializeMeeting(meeting),
+      ...(invitation ? { invitation: typeof invitation.toObject === 'function' ? invitation.toObject() : invitation } : {})
+    }
+  };
+
+  const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+    webhookId: webhook._id,
+    userId: webhook.userId,
+    event,
+    eventId,
+    payload
+  })));
+
+  console.log(`Queued ${deliveries.length} webhook deliveries for ${event}`);
+
+  // Send in the background; anything that fails is retried by the delivery job
+  processDueDeliveries().catch(error => console.error(`Error sending webhooks: ${error.message}`));
+
+  return deliveries;
+}
+
+// POST a body to a webhook URL. Only connects to addresses safeLookup allows,
+// and doesn't follow redirects. Resolves with the response status code.
+function postToWebhook(url, headers, body, signal) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: {
+        ...headers,
+        'Content-Length': Buffer.byteLength(body)
+      },
+      lookup: safeLookup,
+      // A fresh connection each time, so every request goes through the lookup
+      agent: false,
+      signal
+    }, response => {
+      // Only the status is recorded
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+      response.on('error', reject);
+    });
+
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// POST a delivery to its webhook once. Returns the attempt record.
+async function sendDelivery(delivery, webhook) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const startedAt = Date.now();
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  try {
+    const statusCode = await postToWebhook(webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Meeting-Scheduler-Webhooks/1.0',
+      'X-Webhook-Id': webhook._id.toString(),
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': delivery._id.toString(),
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+    }, body, controller.signal);
+    const ok = statusCode >= 200 && statusCode < 300;
+
+    return {
+      at: new Date(startedAt),
+      statusCode,
+      error: ok ? undefined : `Receiver responded with ${statusCode}`,
+      durationMs: Date.now() - startedAt
+    };
+  } catch (error) {
+    return {
+      at: new Date(startedAt),
+      error: error.name === 'AbortError' ? `Timed out after ${REQUEST_TIMEOUT_MS / 1000}s` : (error.cause?.message || error.message),
+      durationMs: Date.now() - startedAt
+    };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Send one claimed delivery and record the outcome, scheduling a retry on failure
+async function attemptDelivery(delivery) {
+  const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+
+  if (!webhook || !webhook.isActive) {
+    delivery.status = 'failed';
+    delivery.attempts.push({ error: webhook ? 'Webhook is disabled' : 'Webhook was deleted' });
+  } else {
+    const attempt = await sendDelivery(delivery, webhook);
+    delivery.attempts.push(attempt);
+
+    if (!attempt.error) {
+      delivery.status = 'succeeded';
+    } else if (delivery.attempts.length >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+    } else {
+      const delay = RETRY_DELAYS_MINUTES[delivery.attempts.length - 1] * MINUTE_MS;
+      delivery.nextAttemptAt = new Date(Date.now() + delay);
+    }
+  }
+
+  if (delivery.status !== 'pending') {
+    delivery.completedAt = new Date();
+  }
+
+  delivery.lockedUntil = undefined;
+  await delivery.save();
+
+  return delivery;
+}
+
+// Send every delivery that is due. Deliveries are claimed atomically, so the
+// job and the immediate send after an event never send the same one twice.
+async function processDueDeliveries(now = new Date()) {
+  let processed = 0;
+
+  for (;;) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      {
+        status: 'pending',
+        nextAttemptAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      { lockedUntil: new Date(now.getTime() + CLAIM_MS) },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+
+    if (!delivery) break;
+
+    try {
+      await attemptDelivery(delivery);
+    } catch (error) {
+      // Leave it claimed; it will be picked up again once the claim runs out
+      console.error(`Error delivering webhook ${delivery._id}: ${error.message}`);
+    }
+
+    processed++;
+  }
+
+  return processed;
+}
+
+// Send a past delivery's payload again as a new delivery
+async function redeliver(delivery) {
+  const copy = await WebhookDelivery.create({
+    webhookId: delivery.webhookId,
+    userId: delivery.userId,
+    event: delivery.event,
+    eventId: delivery.eventId,
+    payload: delivery.payload,
+    redeliveryOf: delivery._id,
+    lockedUntil: new Date(Date.now() + CLAIM_MS)
+  });
+
+  // Failures are retried on the usual schedule
+  return attemptDelivery(copy);
+}
+
+// Send a test event to a webhook right away
+async function sendPing(webhook) {
+  const eventId = crypto.randomUUID();
+  const delivery = await WebhookDelivery.create({
+    webhookId: webhook._id,
+    userId: webhook.userId,
+    event: 'webhook.ping',
+    eventId,
+    payload: {
+      id: eventId,
+      event: 'webhook.ping',
+      createdAt: new Date().toISOString(),
+      data: { webhookId: webhook._id.toString() }
+    },
+    lockedUntil: new Date(Date.now() + CLAIM_MS)
+  });
+
+  await attemptDelivery(delivery);
+
+  // A ping is only tried once
+  if (delivery.status === 'pending') {
+    delivery.status = 'failed';
+    delivery.completedAt = new Date();
+    await delivery.save();
+  }
+
+  return delivery;
+}
+
+// Forward every meeting event to webhooks
+function subscribeWebhooks() {
+  subscribe('*', enqueueWebhookDeliveries);
+}
+
+module.exports = {
+  generateWebhookSecret,
+  signPayload,
+  processDueDeliveries,
+  redeliver,
+  sendPing,
+  subscribeWebhooks
+};